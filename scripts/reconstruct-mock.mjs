@@ -11,13 +11,17 @@
  * Outputs (gitignored, see scripts/.gitignore):
  *   recon-out/mock-topdown.png  — top-down verification (compare to source)
  *   recon-out/mock-iso.png      — isometric 3D view
- *   recon-out/mock-cells.json   — SPP ParticleCell array
+ *   recon-out/mock.spp.json     — canonical SPP document; layout and doors in meta
+ *   recon-out/mock-egress.json  — egress analysis from the entrance
  *
  * Run:  node scripts/reconstruct-mock.mjs
  */
 import { createCanvas } from 'canvas';
-import { generateCellsFromLayout } from '../spp-lib/spp-inverse-engine.js';
-import { OPTION_REGISTRY } from '../spp-lib/spp-core.js';
+import { generateCellsFromLayout, spacesFromLayout } from '../spp-lib/spp-inverse-engine.js';
+import { ChunkIndex } from '../spp-lib/spp-spatial.js';
+import { analyzeEgress, formatEgressReport } from '../spp-lib/spp-egress.js';
+import { serializeChunk } from '../spp-lib/spp-format.js';
+import { DEFAULT_REGISTRY as REG, OPTION_ROLE } from '../spp-lib/spp-core.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -50,8 +54,9 @@ const windows = [
 const entrance = { x: 3, z: 0, face: NEG_Z };
 
 // ── RECONSTRUCT (genuine engine) ───────────────────────────────────────────────
-const cells = generateCellsFromLayout(layout, gridX, gridZ, doors);
-const at = (x, z) => cells.find(c => c.position[0] === x && c.position[2] === z);
+const spaces = spacesFromLayout(layout);
+const cells = generateCellsFromLayout(layout, gridX, gridZ, doors, { spaces });
+const index = new ChunkIndex(cells), at = (x, z) => index.get([x, 0, z]);
 const isExt = (x, z, f) => {
   const n = { [POS_X]: [x + 1, z], [NEG_X]: [x - 1, z], [POS_Z]: [x, z + 1], [NEG_Z]: [x, z - 1] }[f];
   return n[0] < 0 || n[0] >= gridX || n[1] < 0 || n[1] >= gridZ || !layout[n[1]]?.[n[0]];
@@ -60,12 +65,18 @@ for (const c of cells) { const [x, , z] = c.position; for (const f of [POS_X, NE
 for (const [x, z, f] of windows) { const c = at(x, z); if (c) c.faceOptions[f] = [20]; }
 { const c = at(entrance.x, entrance.z); if (c) c.faceOptions[entrance.face] = [2]; }
 
-fs.writeFileSync(path.join(OUT, 'mock-cells.json'), JSON.stringify({ gridX, gridZ, layout, doors, cells }, null, 2));
+fs.writeFileSync(path.join(OUT, 'mock.spp.json'), serializeChunk({ gridX, gridZ, spaces, cells }, { meta: { source: 'mock', layout, doors, windows, entrance } }));
+
+// ── EGRESS (walking distance to the entrance, dead ends, intervening rooms) ────
+const egress = analyzeEgress({ spaces, cells }, { exits: [{ at: [[entrance.x, 0, entrance.z]], face: entrance.face }] });
+const { exits, cells: egressCells, maxDistance, deadEnds, intervening, trappedRooms } = egress;
+fs.writeFileSync(path.join(OUT, 'mock-egress.json'), JSON.stringify({ exits, maxDistance, deadEnds, intervening, trappedRooms, cells: egressCells }, null, 2));
+console.log(formatEgressReport(egress));
 
 // ── RENDER ──────────────────────────────────────────────────────────────────────
 const ROOM_COLOR = { Kitchen: '#fde9c8', Bathroom: '#cfe9f3', Hallway: '#eeeeee', 'Living Room': '#e6f3d8', Bedroom: '#f3dce6' };
-const isWall = id => OPTION_REGISTRY[id]?.type === 'wall' && id !== 20;
-const isWin = id => id === 20, isDoor = id => id === 1 || id === 2;
+const isWin = id => id === REG.role(OPTION_ROLE.WINDOW), isDoor = id => REG.isOpen(id) && id !== REG.role(OPTION_ROLE.OPEN);
+const isWall = id => REG.isWall(id) && !isWin(id);
 
 function renderTopDown() {
   const CELL = 84, PAD = 40, W = gridX * CELL + PAD * 2, Hh = gridZ * CELL + PAD * 2;
@@ -142,4 +153,4 @@ function renderIso() {
 }
 
 renderTopDown(); renderIso();
-console.log(`reconstructed ${cells.length} cells; wrote ${OUT}/{mock-topdown.png,mock-iso.png,mock-cells.json}`);
+console.log(`reconstructed ${cells.length} cells; wrote ${OUT}/{mock-topdown.png,mock-iso.png,mock.spp.json}`);
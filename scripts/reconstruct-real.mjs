@@ -8,12 +8,16 @@
  * generateCellsFromLayout() engine. APPROXIMATE — unlike the clean mock, a
  * furnished render has occluded walls and open-plan ambiguity.
  *
- * Output (gitignored): recon-out/real-topdown.png, recon-out/real-cells.json
+ * Output (gitignored): recon-out/real-topdown.png, recon-out/real.spp.json,
+ *                      recon-out/real-egress.json
  * Run:  node scripts/reconstruct-real.mjs
  */
 import { createCanvas } from 'canvas';
-import { generateCellsFromLayout } from '../spp-lib/spp-inverse-engine.js';
-import { OPTION_REGISTRY } from '../spp-lib/spp-core.js';
+import { generateCellsFromLayout, spacesFromLayout } from '../spp-lib/spp-inverse-engine.js';
+import { ChunkIndex } from '../spp-lib/spp-spatial.js';
+import { analyzeEgress, formatEgressReport } from '../spp-lib/spp-egress.js';
+import { serializeChunk } from '../spp-lib/spp-format.js';
+import { DEFAULT_REGISTRY as REG, OPTION_ROLE } from '../spp-lib/spp-core.js';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
@@ -46,16 +50,23 @@ const doors = [
 const windows = [[1, 0, NEG_Z], [7, 0, NEG_Z], [1, 6, POS_Z], [6, 6, POS_Z], [9, 5, POS_X], [0, 4, NEG_X]];
 const entrance = { x: 4, z: 6, face: POS_Z };
 
-const cells = generateCellsFromLayout(layout, gridX, gridZ, doors);
-const at = (x, z) => cells.find(c => c.position[0] === x && c.position[2] === z);
+const spaces = spacesFromLayout(layout);
+const cells = generateCellsFromLayout(layout, gridX, gridZ, doors, { spaces });
+const index = new ChunkIndex(cells), at = (x, z) => index.get([x, 0, z]);
 const isExt = (x, z, f) => { const n = { [POS_X]: [x + 1, z], [NEG_X]: [x - 1, z], [POS_Z]: [x, z + 1], [NEG_Z]: [x, z - 1] }[f]; return n[0] < 0 || n[0] >= gridX || n[1] < 0 || n[1] >= gridZ || !layout[n[1]]?.[n[0]]; };
 for (const c of cells) { const [x, , z] = c.position; for (const f of [POS_X, NEG_X, POS_Z, NEG_Z]) if (isExt(x, z, f) && c.faceOptions[f][0] === 20) c.faceOptions[f] = [10]; }
 for (const [x, z, f] of windows) { const c = at(x, z); if (c) c.faceOptions[f] = [20]; }
 { const c = at(entrance.x, entrance.z); if (c) c.faceOptions[entrance.face] = [2]; }
-fs.writeFileSync(path.join(OUT, 'real-cells.json'), JSON.stringify({ gridX, gridZ, layout, doors, cells }, null, 2));
+fs.writeFileSync(path.join(OUT, 'real.spp.json'), serializeChunk({ gridX, gridZ, spaces, cells }, { meta: { source: 'real', layout, doors, windows, entrance } }));
+
+// ── EGRESS (walking distance to the entrance, dead ends, intervening rooms) ────
+const egress = analyzeEgress({ spaces, cells }, { exits: [{ at: [[entrance.x, 0, entrance.z]], face: entrance.face }] });
+const { exits, cells: egressCells, maxDistance, deadEnds, intervening, trappedRooms } = egress;
+fs.writeFileSync(path.join(OUT, 'real-egress.json'), JSON.stringify({ exits, maxDistance, deadEnds, intervening, trappedRooms, cells: egressCells }, null, 2));
+console.log(formatEgressReport(egress));
 
 const COL = { 'Master Bedroom': '#f3dce6', 'Bedroom 2': '#f7d9d0', Bathroom: '#cfe9f3', 'Living Room': '#e6f3d8', Dining: '#fdeecb', Kitchen: '#fde9c8', Balcony: '#d8efd0', Hallway: '#eeeeee' };
-const isWall = id => OPTION_REGISTRY[id]?.type === 'wall' && id !== 20, isWin = id => id === 20, isDoor = id => id === 1 || id === 2;
+const isWin = id => id === REG.role(OPTION_ROLE.WINDOW), isWall = id => REG.isWall(id) && !isWin(id), isDoor = id => REG.isOpen(id) && id !== REG.role(OPTION_ROLE.OPEN);
 const CELL = 72, PAD = 44, W = gridX * CELL + PAD * 2, Hh = gridZ * CELL + PAD * 2;
 const cv = createCanvas(W, Hh), ctx = cv.getContext('2d'); ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, W, Hh);
 const px = x => PAD + x * CELL, py = z => PAD + z * CELL;
@@ -78,4 +89,4 @@ for (const c of cells) {
   }
 }
 fs.writeFileSync(path.join(OUT, 'real-topdown.png'), cv.toBuffer('image/png'));
-console.log(`reconstructed ${cells.length} cells (approximate); wrote ${OUT}/{real-topdown.png,real-cells.json}`);
+console.log(`reconstructed ${cells.length} cells (approximate); wrote ${OUT}/{real-topdown.png,real.spp.json}`);
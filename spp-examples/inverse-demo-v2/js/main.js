@@ -20,7 +20,16 @@ import {
     SPPInverseEngine,
     RecursiveGridManager,
     generateCellsFromLayout,
+    spacesFromLayout,
     scanComplexCells,
+    ChunkHistory,
+    cellAt,
+    cellPath,
+    buildRoomGraph,
+    analyzeEgress,
+    formatEgressReport,
+    serializeChunk,
+    SPP_FILE_EXTENSION,
 } from './shim.js';
 
 // ─── Model definitions ────────────────────────────────────────
@@ -47,6 +56,7 @@ const state = {
     rootCells:           [],
     gridInfo:            null,
     engine:              null,
+    history:             null,   // ChunkHistory over rootCells — every edit goes through it
 };
 
 // ─── Module instances ─────────────────────────────────────────
@@ -74,6 +84,7 @@ const floorOpacity  = document.getElementById('floorOpacity');
 const depthLegend   = document.getElementById('depthLegend');
 const cellTooltip   = document.getElementById('cellTooltip');
 const viewBtn       = document.getElementById('viewBtn');
+const egressBtn     = document.getElementById('egressBtn');
 const logBtn        = document.getElementById('logBtn');
 const logPanel      = document.getElementById('logPanel');
 const logEntries    = document.getElementById('logEntries');
@@ -166,6 +177,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     // JSON viewer
     viewBtn.addEventListener('click', viewJSON);
+    egressBtn.addEventListener('click', toggleEgress);
     jsonCloseBtn.addEventListener('click', () => jsonOverlay.classList.remove('open'));
     jsonOverlay.addEventListener('click', e => {
         if (e.target === jsonOverlay) jsonOverlay.classList.remove('open');
@@ -606,7 +618,7 @@ async function runStructuralRefinement(cells, gridInfo, cropInfo, depth = 0) {
                 parentLayout: region.parentLayout,
             });
             const localCells = generateCellsFromLayout(
-                localGridInfo.layout, localGridInfo.gridX, localGridInfo.gridZ, []
+                localGridInfo.layout, localGridInfo.gridX, localGridInfo.gridZ, [], { spaces: spaceTable() }
             );
             aiOutput = {
                 scale:   localGridInfo.scale || 3,
@@ -617,7 +629,9 @@ async function runStructuralRefinement(cells, gridInfo, cropInfo, depth = 0) {
             };
         }
 
-        RecursiveGridManager.integratePerCellRefinement(region.cells, aiOutput);
+        state.history.record(`Structural refinement: ${roomNames}`, () => {
+            RecursiveGridManager.integratePerCellRefinement(region.cells, aiOutput, { boundary: 'repair', registry: state.engine.registry });
+        });
 
         // Tag sub-cells with depth metadata
         for (const parent of region.cells) {
@@ -661,6 +675,7 @@ async function runReconstruct() {
             state.gridInfo  = gridInfo;
             state.rootCells = cells;
             state.cropInfo  = gridInfo.crop || { x: 0, y: 0, w: 1, h: 1 };
+            startHistory();
         } else {
             // ── Step 0: Door symbol detection (full image, before sealing) ──
             log('Step 0: Detecting door symbols...', 'running');
@@ -704,13 +719,16 @@ async function runReconstruct() {
 
             // ── Step 4: Deterministic wall topology ───────────────
             log('Step 4: Generating walls from layout...');
-            cells = generateCellsFromLayout(gridInfo.layout, gridInfo.gridX, gridInfo.gridZ, []);
+            cells = generateCellsFromLayout(gridInfo.layout, gridInfo.gridX, gridInfo.gridZ, [], {
+                spaces: spacesFromLayout(gridInfo.layout),
+            });
             log(`Step 4 done: ${cells.length} cells`);
 
             // Preview after step 4
             state.gridInfo  = gridInfo;
             state.rootCells = cells;
             state.cropInfo  = autoCrop;
+            startHistory();
 
             layerRenderer.render(state.rootCells, gridInfo.gridX, gridInfo.gridZ);
             layerRenderer.focusScene();
@@ -733,8 +751,7 @@ async function runReconstruct() {
 
             // ── Step 7: Pierce doors into root cell faceOptions ───
             if (doorAnnotations.length > 0) {
-                cells = engine.pierceFeatures(state.rootCells, doorAnnotations);
-                state.rootCells = cells;
+                state.history.record('Pierce doors', chunk => engine.pierceFeatures(chunk.cells, doorAnnotations));
                 log(`Step 7: ${doorAnnotations.length} door(s) pierced`);
             }
         }
@@ -755,6 +772,7 @@ async function runReconstruct() {
         phase5Btn.disabled = false;
         exportBtn.style.display = 'inline-block';
         viewBtn.style.display   = 'inline-block';
+        egressBtn.style.display = 'inline-block';
 
         log(`✓ Reconstruction complete`, 'success');
         toast(`✓ ${state.gridInfo.gridX}×${state.gridInfo.gridZ} grid, ${state.rootCells.length} cells`, 'success');
@@ -857,7 +875,7 @@ async function refineRegion(selectedCells, parentLayout) {
 
         log('Local Phase 2: generating walls from layout...');
         const localCells = generateCellsFromLayout(
-            localGridInfo.layout, localGridInfo.gridX, localGridInfo.gridZ, []
+            localGridInfo.layout, localGridInfo.gridX, localGridInfo.gridZ, [], { spaces: spaceTable() }
         );
         log(`Local Phase 2 done: ${localCells.length} sub-cells`);
 
@@ -881,7 +899,12 @@ async function refineRegion(selectedCells, parentLayout) {
         };
     }
 
-    RecursiveGridManager.integratePerCellRefinement(selectedCells, aiOutput);
+    // Selected cells are the renderer's flattened copies — refine the cells they came from
+    const chunk = state.history.chunk;
+    const targets = selectedCells.map(c => cellAt(chunk, cellPath(chunk, c))).filter(Boolean);
+    state.history.record(`Refine ${targets.length} cell(s)`, () => {
+        RecursiveGridManager.integratePerCellRefinement(targets, aiOutput, { boundary: 'repair', registry: state.engine.registry });
+    });
     log(`Integrated ${aiOutput.cells.length} sub-cells`);
 }
 
@@ -891,77 +914,78 @@ function deleteRefinement() {
     const selected = [...selectionMgr.selectedCells];
     if (selected.length === 0) return;
 
-    let blocked = false;
-    for (const cell of selected) {
-        const parent = cell._parentCell;
-        if (!parent) continue;
+    const parents = new Set(selected.map(c => c._parentCell).filter(Boolean));
+    if (parents.size === 0) return;
+    if ([...parents].some(p => p.refinement?.cells?.some(c => c.refinement))) {
+        toast('Delete deeper refinement layers first', 'error');
+        return;
+    }
 
-        const hasDeeper = parent.refinement?.cells?.some(c => c.refinement);
-        if (hasDeeper) {
-            toast('Delete deeper refinement layers first', 'error');
-            blocked = true;
-            break;
+    const chunk = state.history.chunk;
+    state.history.record('Delete refinement', () => {
+        for (const parent of parents) {
+            const cell = cellAt(chunk, cellPath(chunk, parent));
+            if (cell) delete cell.refinement;
         }
-        delete parent.refinement;
-    }
+    });
 
-    if (!blocked) {
-        layerRenderer.render(state.rootCells, state.gridInfo.gridX, state.gridInfo.gridZ);
-        selectionMgr.clear();
-        toast('Refinement layer removed', 'success');
+    layerRenderer.render(state.rootCells, state.gridInfo.gridX, state.gridInfo.gridZ);
+    selectionMgr.clear();
+    toast('Refinement layer removed', 'success');
+}
+
+// ─── Undo / redo ──────────────────────────────────────────────
+
+function startHistory() {
+    state.history = new ChunkHistory({
+        gridX: state.gridInfo.gridX,
+        gridZ: state.gridInfo.gridZ,
+        cells: state.rootCells,
+    });
+}
+
+function stepHistory(redo) {
+    if (!state.history) return;
+    const entry = redo ? state.history.redo() : state.history.undo();
+    if (!entry) {
+        toast(redo ? 'Nothing to redo' : 'Nothing to undo');
+        return;
     }
+    selectionMgr.clear();
+    layerRenderer.render(state.rootCells, state.gridInfo.gridX, state.gridInfo.gridZ);
+    log(`${redo ? 'Redo' : 'Undo'}: ${entry.label} (${state.history.version}/${state.history.length})`);
+    toast(`${redo ? 'Redid' : 'Undid'}: ${entry.label}`, 'success');
 }
 
-// ─── Connectivity analysis ────────────────────────────────────
+// ─── Egress heatmap ───────────────────────────────────────────
 
 /**
- * BFS flood-fill through OPEN (optionId=0) faces to find connected room islands.
- * Face layout in faceOptions: [+X, -X, +Y, -Y, z-1, z+1]
- * Returns Map<cell, componentId>.
+ * Color every floor by its walking distance to the nearest exterior door
+ * (green near, red far) and log the egress findings. Pressing again restores
+ * the normal colors.
  */
-function computeRoomComponents(leafCells) {
-    // Build position lookup (rounded to avoid float key issues)
-    const byPos = new Map();
-    for (const cell of leafCells) {
-        const [x, , z] = cell.position;
-        byPos.set(`${Math.round(x * 100)},${Math.round(z * 100)}`, cell);
+function toggleEgress() {
+    if (!state.rootCells.length) return;
+    if (layerRenderer.heatmapShown) {
+        layerRenderer.highlightSelection(selectionMgr.selectedCells);
+        return;
     }
 
-    // [myFaceIdx, dx, dz] — matches faceOptions after the POS_Z/NEG_Z fix
-    const DIRS = [
-        [0,  1,  0],   // faceOptions[0]: POS_X → neighbor at x+1
-        [1, -1,  0],   // faceOptions[1]: NEG_X → neighbor at x-1
-        [4,  0,  1],   // faceOptions[4]: POS_Z → neighbor at z+1
-        [5,  0, -1],   // faceOptions[5]: NEG_Z → neighbor at z-1
-    ];
-
-    const componentId = new Map();
-    let nextId = 0;
-
-    for (const startCell of leafCells) {
-        if (componentId.has(startCell)) continue;
-        const id = nextId++;
-        const queue = [startCell];
-        componentId.set(startCell, id);
-
-        while (queue.length) {
-            const cell = queue.shift();
-            const [cx, , cz] = cell.position;
-
-            for (const [myFace, dx, dz] of DIRS) {
-                const optId = cell.faceOptions?.[myFace]?.[0];
-                if (optId !== 0) continue;  // only OPEN faces (same room)
-
-                const nk = `${Math.round((cx + dx) * 100)},${Math.round((cz + dz) * 100)}`;
-                const neighbor = byPos.get(nk);
-                if (!neighbor || componentId.has(neighbor)) continue;
-                componentId.set(neighbor, id);
-                queue.push(neighbor);
-            }
-        }
+    const egress = analyzeEgress({ spaces: spaceTable(), cells: state.rootCells });
+    if (egress.exits.length === 0) {
+        toast('No exterior door to measure egress from', 'error');
+        return;
     }
-
-    return componentId;
+    // Rendered cells are flattened copies — look distances up on the originals
+    const chunk = state.history.chunk;
+    layerRenderer.highlightSelection(new Set());
+    layerRenderer.showHeatmap(cell => egress.distance.get(cellAt(chunk, cellPath(chunk, cell))) ?? null, egress.maxDistance);
+
+    log('─── Egress ───', 'phase');
+    formatEgressReport(egress).split('\n').forEach(line => log(line));
+    const findings = egress.deadEnds.length + egress.intervening.length + egress.trappedRooms.length;
+    toast(`Egress: farthest cell ${egress.maxDistance.toFixed(1)} from an exit` +
+        (findings ? ` · ${findings} finding(s) in the log` : ''), findings ? 'info' : 'success');
 }
 
 // ─── Selection change callback ────────────────────────────────
@@ -972,12 +996,9 @@ function onSelectionChange(selectedCells) {
     actionBar.classList.toggle('hidden', count === 0);
 
     if (count > 0 && state.rootCells.length > 0) {
-        // Show connectivity: color all leaf cells by connected-room component
-        const leafCells = RecursiveGridManager.flattenRecursiveCells(
-            state.rootCells, [0, 0, 0], CELL_SIZE
-        );
-        const componentMap = computeRoomComponents(leafCells);
-        layerRenderer.highlightComponents(componentMap, selectedCells);
+        // Show connectivity: color all leaf cells by the room they belong to
+        const graph = buildRoomGraph(state.rootCells);
+        layerRenderer.highlightComponents(cell => graph.roomOf(cell), selectedCells);
     } else {
         // Restore normal depth-based colors
         layerRenderer.highlightSelection(selectedCells);
@@ -988,11 +1009,17 @@ function onSelectionChange(selectedCells) {
 
 function onKeyDown(e) {
     if (e.target.tagName === 'INPUT') return;
+    if ((e.ctrlKey || e.metaKey) && ['Z', 'Y'].includes(e.key.toUpperCase())) {
+        e.preventDefault();
+        stepHistory(e.key.toUpperCase() === 'Y' || e.shiftKey);
+        return;
+    }
     switch (e.key.toUpperCase()) {
         case 'S': toggleSelectMode(); break;
         case 'T': layerRenderer.toggleTopView(); break;
         case 'E': exportJSON(); break;
         case 'V': viewJSON(); break;
+        case 'H': toggleEgress(); break;
         case 'ESCAPE':
             if (jsonOverlay.classList.contains('open')) jsonOverlay.classList.remove('open');
             else selectionMgr.clear();
@@ -1004,12 +1031,17 @@ function onKeyDown(e) {
 
 // ─── Export & View ────────────────────────────────────────────
 
+// Space table of the root layout — refined sub-cells point into it too
+function spaceTable() {
+    return spacesFromLayout(state.gridInfo?.layout);
+}
+
+// Canonical .spp.json document (spp-format.js) — private renderer fields are stripped
 function buildJSONText() {
-    return JSON.stringify({
-        gridX: state.gridInfo.gridX,
-        gridZ: state.gridInfo.gridZ,
-        cells: state.rootCells,
-    }, null, 2);
+    return serializeChunk(
+        { gridX: state.gridInfo.gridX, gridZ: state.gridInfo.gridZ, spaces: spaceTable(), cells: state.rootCells },
+        { meta: { source: 'inverse-demo-v2', model: modelSelect.value } },
+    );
 }
 
 function exportJSON() {
@@ -1017,7 +1049,7 @@ function exportJSON() {
     const blob = new Blob([buildJSONText()], { type: 'application/json' });
     const a = document.createElement('a');
     a.href = URL.createObjectURL(blob);
-    a.download = 'spp-reconstruction.json';
+    a.download = 'spp-reconstruction' + SPP_FILE_EXTENSION;
     a.click();
 }
 
@@ -1307,6 +1339,7 @@ async function loadMockData() {
         state.gridInfo  = gridInfo;
         state.rootCells = cells;
         state.cropInfo  = gridInfo.crop;
+        startHistory();
 
         layerRenderer.render(state.rootCells, gridInfo.gridX, gridInfo.gridZ);
         layerRenderer.focusScene();
@@ -1328,6 +1361,7 @@ async function loadMockData() {
         phase5Btn.disabled = false;
         exportBtn.style.display = 'inline-block';
         viewBtn.style.display   = 'inline-block';
+        egressBtn.style.display = 'inline-block';
 
         toast(`✓ Mock ready: ${gridInfo.gridX}×${gridInfo.gridZ} grid, ${cells.length} cells`, 'success');
     } catch (err) {
@@ -1380,7 +1414,7 @@ function buildMockData() {
     const cells = generateCellsFromLayout(layout, gridX, gridZ, doors);
 
     // Feature piercing: reset every exterior face to solid wall (the engine
-    // auto-windows all exterior faces of Kitchen/LivingRoom/Bedroom), then place
+    // glazes every exterior face of a kitchen, living room or bedroom), then place
     // only the windows + entrance actually observed in the floor plan.
     const POS_X = 0, NEG_X = 1, POS_Z = 4, NEG_Z = 5;
     const at = (x, z) => cells.find(c => c.position[0] === x && c.position[2] === z);
@@ -7,12 +7,17 @@
 
 import * as THREE from 'three';
 import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
-import { RecursiveGridManager, FACE, OPTION_REGISTRY, OPTION_TYPE, getResolvedOption } from './shim.js';
+import {
+    RecursiveGridManager, FACE, DEFAULT_REGISTRY, OPTION_ROLE, OPTION_TYPE, VERTICAL_KIND,
+    getResolvedOption, segmentSlots, segmentOptions,
+} from './shim.js';
 
 // ─── Constants ───────────────────────────────────────────────
 
-export const CELL_SIZE = 3;          // world-unit size of each root grid cell
+export const CELL_SIZE = 3;          // world-unit size of each root grid cell, and the storey height
 const WALL_THICKNESS = 0.15;         // fixed wall thickness (does not scale with depth)
+const SLAB_THICKNESS = 0.15;
+const STAIR_STEPS = 8;
 const HORIZONTAL_FACES = [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z];
 
 export const DEPTH_CONFIG = [
@@ -34,6 +39,7 @@ export class LayerRenderer {
         this._floorMeshes = [];   // [{ mesh, cell }] for raycasting
         this._animId    = null;
         this._isTopView = false;
+        this._heatmap   = false;
         this._gridX     = 0;
         this._gridZ     = 0;
     }
@@ -107,6 +113,7 @@ export class LayerRenderer {
         this._gridZ = gridZ;
         this._clearSceneGroup();
         this._floorMeshes = [];
+        this._heatmap = false;
 
         const renderedWallsInterior = new Set();
         const renderedWallsLeaf = new Set();
@@ -229,6 +236,7 @@ export class LayerRenderer {
     // ─── Highlight selected cells ──────────────────────────
 
     highlightSelection(selectedCells) {
+        this._heatmap = false;
         for (const { mesh, cell } of this._floorMeshes) {
             const depth = cell._depth || 0;
             const cfg = DEPTH_CONFIG[Math.min(depth, DEPTH_CONFIG.length - 1)];
@@ -243,7 +251,7 @@ export class LayerRenderer {
     }
 
     // ─── Connectivity visualization ────────────────────────
-    // componentMap: Map<cell, componentId (integer)>
+    // roomOf: (cell) → room id (integer) or null, e.g. RoomGraph.roomOf
     // selectedCells: Set<cell> — shown in blue on top
 
     static COMPONENT_COLORS = [
@@ -253,14 +261,15 @@ export class LayerRenderer {
         0xe87cb8, 0x7cc8e8, 0xb0b0e8, 0xe8b87c, 0x7ce8b0,
     ];
 
-    highlightComponents(componentMap, selectedCells) {
+    highlightComponents(roomOf, selectedCells) {
+        this._heatmap = false;
         for (const { mesh, cell } of this._floorMeshes) {
             if (selectedCells.has(cell)) {
                 mesh.material.color.setHex(0x4488ff);
                 mesh.material.emissive?.setHex(0x112244);
             } else {
-                const compId = componentMap.get(cell);
-                const color = compId !== undefined
+                const compId = roomOf(cell);
+                const color = compId !== null && compId !== undefined
                     ? LayerRenderer.COMPONENT_COLORS[compId % LayerRenderer.COMPONENT_COLORS.length]
                     : 0x888888;
                 mesh.material.color.setHex(color);
@@ -269,27 +278,55 @@ export class LayerRenderer {
         }
     }
 
+    // ─── Heatmap overlay ───────────────────────────────────
+    // valueOf: (cell) → number or null, e.g. egress distance; 0 is green,
+    // max red, null grey. Cleared by render() and the highlight methods.
+
+    showHeatmap(valueOf, max) {
+        this._heatmap = true;
+        for (const { mesh, cell } of this._floorMeshes) {
+            const value = valueOf(cell);
+            if (value === null || value === undefined) {
+                mesh.material.color.setHex(0x888888);
+            } else {
+                const t = max > 0 ? Math.min(1, value / max) : 0;
+                mesh.material.color.setHSL((1 - t) / 3, 0.75, 0.55);
+            }
+            mesh.material.emissive?.setHex(0x000000);
+        }
+    }
+
+    get heatmapShown() { return this._heatmap; }
+
     // ─── Private: build one cell ───────────────────────────
 
     _buildCell(cell, isInterior, renderedWalls) {
-        const [wx, , wz] = cell.worldPosition;
+        const [wx, wy, wz] = cell.worldPosition;
         const S    = cell.worldScale;
         const depth = cell._depth || 0;
         const cfg  = DEPTH_CONFIG[Math.min(depth, DEPTH_CONFIG.length - 1)];
-        const half = S / 2;
+        // A cell larger than one unit spans size[0] × size[2] units; wx / wz is its first unit's center
+        const [sx, , sz] = (cell.size || [1, 1, 1]).map(v => Math.max(1, v));
+        const W = S * sx, D = S * sz;
+        const cx = wx + (W - S) / 2, cz = wz + (D - S) / 2;
 
         const group = new THREE.Group();
-        group.position.set(wx, cfg.yOffset, wz);
+        group.position.set(cx, wy + cfg.yOffset, cz);
         group.userData.cell = cell;
 
         let floorMesh = null;
 
-        // Floor — leaf nodes only
+        // Floor — leaf nodes only; see-through over a slab opening, stair or shaft
         if (!isInterior) {
-            const floorGeo = new THREE.PlaneGeometry(S * 0.97, S * 0.97);
+            const below = getResolvedOption(cell, FACE.NEG_Y);
+            const openBelow = below !== null && DEFAULT_REGISTRY.isOpen(below);
+            const floorGeo = new THREE.PlaneGeometry(W - S * 0.03, D - S * 0.03);
             const fMat = new THREE.MeshStandardMaterial({
                 color: cfg.floorColor,
                 roughness: 0.9,
+                transparent: openBelow,
+                opacity: openBelow ? 0.2 : 1.0,
+                depthWrite: !openBelow,
             });
             floorMesh = new THREE.Mesh(floorGeo, fMat);
             floorMesh.rotation.x = -Math.PI / 2;
@@ -304,56 +341,112 @@ export class LayerRenderer {
             edges.rotation.x = -Math.PI / 2;
             edges.position.y = 0.02;
             group.add(edges);
+
+            this._buildVertical(group, cell, W, D, wy);
         }
 
-        // Walls
+        // Walls — one unit-long piece per face segment
         for (const face of HORIZONTAL_FACES) {
-            const optId = cell.faceOptions?.[face]?.[0];
-            if (optId === undefined || optId === null) continue;
-            const opt = OPTION_REGISTRY[optId];
-            if (!opt || opt.type === OPTION_TYPE.OPEN) continue;
-
-            // Dedup key: world position of the wall's center edge
-            let key;
-            if (face === FACE.POS_X) key = `${(wx + half).toFixed(3)},${wz.toFixed(3)},x`;
-            else if (face === FACE.NEG_X) key = `${(wx - half).toFixed(3)},${wz.toFixed(3)},x`;
-            else if (face === FACE.POS_Z) key = `${wx.toFixed(3)},${(wz + half).toFixed(3)},z`;
-            else key = `${wx.toFixed(3)},${(wz - half).toFixed(3)},z`;
-
-            const dedupKey = isInterior ? `i:${key}` : key;
-            if (renderedWalls.has(dedupKey)) continue;
-            renderedWalls.add(dedupKey);
-
-            const wallGeo = new THREE.BoxGeometry(
-                S + WALL_THICKNESS, cfg.wallHeight, WALL_THICKNESS
-            );
-            const wallColor = optId === 20 ? 0xaaccee     // window: light blue
-                            : optId <= 2  ? 0xc9a96e      // door: warm tan
-                            : cfg.wallColor;
-            const wallMat = new THREE.MeshStandardMaterial({
-                color:       wallColor,
-                roughness:   0.55,
-                transparent: isInterior,
-                opacity:     isInterior ? 0.18 : 1.0,
-            });
-            const wallMesh = new THREE.Mesh(wallGeo, wallMat);
-            wallMesh.position.y = cfg.wallHeight / 2;
-
-            const wrapper = new THREE.Group();
-            wrapper.add(wallMesh);
-            switch (face) {
-                case FACE.POS_X: wrapper.position.set( half, 0, 0); wrapper.rotation.y =  Math.PI / 2; break;
-                case FACE.NEG_X: wrapper.position.set(-half, 0, 0); wrapper.rotation.y = -Math.PI / 2; break;
-                case FACE.POS_Z: wrapper.position.set(0, 0,  half); wrapper.rotation.y = 0;            break;
-                case FACE.NEG_Z: wrapper.position.set(0, 0, -half); wrapper.rotation.y = Math.PI;      break;
+            for (const [segment, slot] of segmentSlots(cell, face).entries()) {
+                const optId = segmentOptions(cell, face, segment)?.[0];
+                if (optId === undefined || optId === null) continue;
+                const opt = DEFAULT_REGISTRY.get(optId);
+                if (!opt || opt.type === OPTION_TYPE.OPEN) continue;
+
+                // Segment center along the wall, relative to the cell center
+                const alongX = face === FACE.POS_Z || face === FACE.NEG_Z;
+                const off = alongX
+                    ? (slot[0] - cell.position[0]) * S - (W - S) / 2
+                    : (slot[2] - cell.position[2]) * S - (D - S) / 2;
+                let lx, lz;
+                switch (face) {
+                    case FACE.POS_X: lx =  W / 2; lz = off; break;
+                    case FACE.NEG_X: lx = -W / 2; lz = off; break;
+                    case FACE.POS_Z: lx = off; lz =  D / 2; break;
+                    case FACE.NEG_Z: lx = off; lz = -D / 2; break;
+                }
+
+                // Dedup key: world position of the wall segment's center edge
+                const key = `${(cx + lx).toFixed(3)},${wy.toFixed(3)},${(cz + lz).toFixed(3)},${alongX ? 'z' : 'x'}`;
+
+                const dedupKey = isInterior ? `i:${key}` : key;
+                if (renderedWalls.has(dedupKey)) continue;
+                renderedWalls.add(dedupKey);
+
+                const wallGeo = new THREE.BoxGeometry(
+                    S + WALL_THICKNESS, cfg.wallHeight, WALL_THICKNESS
+                );
+                const wallColor = optId === DEFAULT_REGISTRY.role(OPTION_ROLE.WINDOW) ? 0xaaccee  // window: light blue
+                                : DEFAULT_REGISTRY.isOpen(optId) ? 0xc9a96e                      // door: warm tan
+                                : cfg.wallColor;
+                const wallMat = new THREE.MeshStandardMaterial({
+                    color:       wallColor,
+                    roughness:   0.55,
+                    transparent: isInterior,
+                    opacity:     isInterior ? 0.18 : 1.0,
+                });
+                const wallMesh = new THREE.Mesh(wallGeo, wallMat);
+                wallMesh.position.y = cfg.wallHeight / 2;
+
+                const wrapper = new THREE.Group();
+                wrapper.add(wallMesh);
+                wrapper.position.set(lx, 0, lz);
+                switch (face) {
+                    case FACE.POS_X: wrapper.rotation.y =  Math.PI / 2; break;
+                    case FACE.NEG_X: wrapper.rotation.y = -Math.PI / 2; break;
+                    case FACE.POS_Z: wrapper.rotation.y = 0;            break;
+                    case FACE.NEG_Z: wrapper.rotation.y = Math.PI;      break;
+                }
+                group.add(wrapper);
             }
-            group.add(wrapper);
         }
 
         this._sceneGroup.add(group);
         return { group, floorMesh };
     }
 
+    // ─── Private: slabs, stairs, shafts ────────────────────
+    // Floors above ground get a slab; ceilings are left to the storey above.
+    // A stair on POS_Y climbs along +X to the next storey.
+
+    _buildVertical(group, cell, W, D, wy) {
+        const below = getResolvedOption(cell, FACE.NEG_Y);
+        const above = getResolvedOption(cell, FACE.POS_Y);
+        const kindBelow = below !== null ? DEFAULT_REGISTRY.verticalKind(below) : null;
+        const kindAbove = above !== null ? DEFAULT_REGISTRY.verticalKind(above) : null;
+
+        if (kindBelow === VERTICAL_KIND.SLAB && wy > 0) {
+            const slab = new THREE.Mesh(
+                new THREE.BoxGeometry(W, SLAB_THICKNESS, D),
+                new THREE.MeshStandardMaterial({ color: 0xb8b8c4, roughness: 0.8 })
+            );
+            slab.position.y = -SLAB_THICKNESS / 2;
+            group.add(slab);
+        }
+
+        if (kindAbove === VERTICAL_KIND.STAIR) {
+            const run = W / STAIR_STEPS;
+            const rise = CELL_SIZE / STAIR_STEPS;
+            const stairMat = new THREE.MeshStandardMaterial({ color: 0xc9a96e, roughness: 0.6 });
+            for (let i = 0; i < STAIR_STEPS; i++) {
+                const step = new THREE.Mesh(new THREE.BoxGeometry(run, rise * (i + 1), D * 0.5), stairMat);
+                step.position.set(-W / 2 + run * (i + 0.5), rise * (i + 1) / 2, 0);
+                group.add(step);
+            }
+        }
+
+        if (kindAbove === VERTICAL_KIND.ELEVATOR || kindBelow === VERTICAL_KIND.ELEVATOR) {
+            const shaft = new THREE.Mesh(
+                new THREE.BoxGeometry(W * 0.8, CELL_SIZE, D * 0.8),
+                new THREE.MeshStandardMaterial({
+                    color: 0x7cb8e8, roughness: 0.4, transparent: true, opacity: 0.25, depthWrite: false,
+                })
+            );
+            shaft.position.y = CELL_SIZE / 2;
+            group.add(shaft);
+        }
+    }
+
     // ─── Private: helpers ─────────────────────────────────
 
     _clearSceneGroup() {
@@ -2,3 +2,8 @@
  * shim.js — re-export spp-lib for this demo
  */
 export * from '../../../spp-lib/spp-inverse-engine.js';
+export * from '../../../spp-lib/spp-history.js';
+export { cellAt, cellPath } from '../../../spp-lib/spp-diff.js';
+export * from '../../../spp-lib/spp-graph.js';
+export * from '../../../spp-lib/spp-egress.js';
+export * from '../../../spp-lib/spp-format.js';
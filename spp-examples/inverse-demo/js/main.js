@@ -8,7 +8,7 @@ import { OrbitControls } from 'three/addons/controls/OrbitControls.js';
 import { analyzeGridSize, classifyFaces, MODELS, DEFAULT_MODEL, callModel } from './prompt.js';
 import { parseAIResponse } from './parser.js';
 import { renderCells, rebuildCellWalls, CELL_SIZE } from './renderer-3d.js';
-import { FACE_NAMES, OPTION_REGISTRY, ALL_IDS, cycleOption, getResolvedOption, expandScaledCells, optimizeGrid, generateCellsFromLayout } from './particle.js';
+import { FACE_NAMES, OPTION_REGISTRY, OPTION_CONTEXT, DEFAULT_REGISTRY, ALL_IDS, LeafIndex, ChunkHistory, cellAt, cellPath, serializeChunk, SPP_FILE_EXTENSION, cycleOption, getResolvedOption, expandScaledCells, optimizeGrid, generateCellsFromLayout } from './particle.js';
 import { drawGridOverlay } from './grid-overlay.js';
 import { RecursiveGridManager } from './recursive-core.js';
 
@@ -30,6 +30,7 @@ let currentGroup = null;
 let currentCellMap = null;
 let currentAllKeys = null;
 let currentCells = null;
+let history = null;
 let selectedCellKey = null;
 let raycaster, mouse;
 
@@ -254,12 +255,11 @@ analyzeBtn.addEventListener('click', async () => {
 
         const result = parseAIResponse(step2Text);
 
-        // Show parsed JSON
-        jsonOutput.textContent = JSON.stringify(result, null, 2);
         descriptionText.textContent = result.description || '';
 
-        // Render
+        // Render, then show the canonical document
         renderResult(result);
+        showCurrentJSON();
         setStatus(`✓ Reconstructed ${result.cells.length} cells (${result.gridX}×${result.gridZ} grid) - 5-Phase architecture aligned`, 'success');
         editInfo.style.display = 'block';
     } catch (err) {
@@ -279,6 +279,10 @@ function renderResult(result) {
         currentGroup = null;
     }
 
+    // A new reconstruction starts a new edit history
+    if (result.cells !== currentCells) {
+        history = new ChunkHistory({ gridX: result.gridX, gridZ: result.gridZ, cells: result.cells });
+    }
     currentCells = result.cells;
     
     // Flatten recursive structure for rendering
@@ -347,26 +351,106 @@ canvas.addEventListener('click', (e) => {
 
         const fi = obj.userData.faceIndex;
 
-        // Cycle the option
-        cycleOption(cell, fi);
-        const newId = cell.faceOptions[fi][0];
+        // Cycle through the options the registry allows on this face, then
+        // switch any neighbor face that can no longer meet the new option.
+        // Both go into the history as one entry.
+        const across = neighborsAcross(cell, fi);
+        const context = across.length > 0 ? OPTION_CONTEXT.INTERIOR : OPTION_CONTEXT.EXTERIOR;
+        const touchedKeys = new Set([cellKey]);
+        const newId = history.record(`Cycle ${FACE_NAMES[fi]}`, () => {
+            cycleOption(cell, fi, { context });
+            const id = cell.faceOptions[fi][0];
+            for (const { leaf, face } of across) {
+                const theirs = getResolvedOption(leaf.cell, face);
+                if (theirs === null || DEFAULT_REGISTRY.canMeet(id, theirs)) continue;
+                leaf.cell.faceOptions[face] = [id];
+                const key = keyOfLeaf(leaf.cell);
+                if (key) touchedKeys.add(key);
+            }
+            return id;
+        });
         const optName = OPTION_REGISTRY[newId]?.name || `ID ${newId}`;
 
-        // Rebuild this cell's visuals
-        rebuildCellWalls(currentGroup, currentCellMap, currentAllKeys, cellKey);
-
-        // Update JSON display
-        jsonOutput.textContent = JSON.stringify({
-            gridX: currentGridX || currentCells.length,
-            gridZ: currentGridZ || currentCells.length,
-            cells: currentCells,
-        }, null, 2);
+        // Rebuild the visuals of every cell that changed
+        for (const key of touchedKeys) {
+            rebuildCellWalls(currentGroup, currentCellMap, currentAllKeys, key);
+        }
 
+        showCurrentJSON();
         setStatus(`Edited ${FACE_NAMES[fi]} → ${optName}`, 'success');
         break;
     }
 });
 
+// Canonical .spp.json document (spp-format.js) — shown in the panel and exported
+function buildJSONText() {
+    return serializeChunk({
+        gridX: currentGridX || currentCells.length,
+        gridZ: currentGridZ || currentCells.length,
+        cells: currentCells,
+    }, { meta: { source: 'inverse-demo' } });
+}
+
+function showCurrentJSON() {
+    jsonOutput.textContent = buildJSONText();
+}
+
+// ─── Undo / Redo ────────────────────────────────────────────
+
+// Ctrl+Z undoes the last edit, Ctrl+Y / Ctrl+Shift+Z redoes it
+window.addEventListener('keydown', (e) => {
+    if (!history || !(e.ctrlKey || e.metaKey)) return;
+    if (e.target instanceof HTMLInputElement || e.target instanceof HTMLTextAreaElement) return;
+    const key = e.key.toLowerCase();
+    const redo = key === 'y' || (key === 'z' && e.shiftKey);
+    if (key !== 'z' && !redo) return;
+    e.preventDefault();
+
+    const entry = redo ? history.redo() : history.undo();
+    if (!entry) {
+        setStatus(redo ? 'Nothing to redo.' : 'Nothing to undo.', 'info');
+        return;
+    }
+    redrawCells();
+    showCurrentJSON();
+    setStatus(`${redo ? 'Redid' : 'Undid'}: ${entry.label} (${history.version}/${history.length})`, 'success');
+});
+
+// Rebuild the scene from currentCells, keeping the camera where it is
+function redrawCells() {
+    if (currentGroup) scene.remove(currentGroup);
+    const { sceneGroup, cellMap } = renderCells(RecursiveGridManager.flattenRecursiveCells(currentCells));
+    currentGroup = sceneGroup;
+    currentCellMap = cellMap;
+    currentAllKeys = new Set(cellMap.keys());
+    scene.add(sceneGroup);
+    if (selectedCellKey && !cellMap.has(selectedCellKey)) {
+        selectedCellKey = null;
+        refineBtn.style.display = 'none';
+    }
+}
+
+// ─── Face Neighbors ─────────────────────────────────────────
+
+// Rendered cells are flattened copies that share faceOptions with the
+// originals in currentCells, so leaves are matched by that array.
+function neighborsAcross(renderedCell, fi) {
+    const leaves = new LeafIndex(currentCells);
+    const scale = renderedCell.worldScale ?? 1;
+    const origin = renderedCell.worldPosition || renderedCell.position;
+    const size = renderedCell.size || [1, 1, 1];
+    const center = [0, 1, 2].map(a => origin[a] + (a === 1 ? 0.5 : size[a] * scale / 2));
+    const entry = leaves.leafAt(center);
+    return entry ? leaves.neighbors(entry, fi) : [];
+}
+
+function keyOfLeaf(cell) {
+    for (const [key, rendered] of currentCellMap) {
+        if (rendered.faceOptions === cell.faceOptions) return key;
+    }
+    return null;
+}
+
 // ─── Status ─────────────────────────────────────────────────
 
 function setStatus(message, type = 'info') {
@@ -378,12 +462,11 @@ function setStatus(message, type = 'info') {
 
 document.getElementById('exportBtn').addEventListener('click', () => {
     if (!currentCells) return;
-    const data = JSON.stringify({ cells: currentCells }, null, 2);
-    const blob = new Blob([data], { type: 'application/json' });
+    const blob = new Blob([buildJSONText()], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'spp-reconstruction.json';
+    a.download = 'spp-reconstruction' + SPP_FILE_EXTENSION;
     a.click();
     URL.revokeObjectURL(url);
     setStatus('Exported SPP JSON', 'success');
@@ -423,8 +506,13 @@ Return ONLY JSON:
         const responseText = await callModel(apiKey, imageDataUrl, subGridPrompt, "Generate the sub-grid JSON.", modelDef);
         const subGridData = parseAIResponse(responseText);
 
-        // Integrate back into recursive structure
-        RecursiveGridManager.integrateSubGrid(cell, subGridData);
+        // Integrate back into recursive structure. The selected cell is a
+        // flattened copy, so the sub-grid goes onto the cell it came from.
+        const original = cellAt(history.chunk, cellPath(history.chunk, cell));
+        if (!original) throw new Error('selected cell is no longer in the reconstruction');
+        history.record(`Refine ${context.roomType}`, () => {
+            RecursiveGridManager.integrateSubGrid(original, subGridData, { boundary: 'repair', registry: DEFAULT_REGISTRY });
+        });
 
         // Re-render
         renderResult({
@@ -628,10 +716,7 @@ if (new URLSearchParams(location.search).has('mock')) {
         imagePreview.onload = () => showGridOnImage(GRID_X, GRID_Z, mockLayout, mockCrop);
         showDensityBar(GRID_X, GRID_Z, mockLayout, mockCrop);
         renderResult(mockResult);
-        jsonOutput.textContent = JSON.stringify({
-            phase1: { crop: mockCrop, gridX: GRID_X, gridZ: GRID_Z, layout: mockLayout },
-            phase4_cells: mockResult,
-        }, null, 2);
+        showCurrentJSON();
         descriptionText.textContent = mockResult.description;
         setStatus(`Mock: ${mockCells.length} cells (${GRID_X}×${GRID_Z}) — Phase 1–4 pipeline`, 'success');
         editInfo.style.display = 'block';
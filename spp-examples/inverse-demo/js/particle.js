@@ -10,13 +10,24 @@
 export {
     FACE, OPPOSITE_FACE, FACE_DIRECTION, FACE_NAMES,
     OPTION_TYPE, OPTION_REGISTRY, OPEN_IDS, WALL_IDS, ALL_IDS,
+    OPTION_CONTEXT, VERTICAL_KIND, DEFAULT_REGISTRY,
     getResolvedOption, cycleOption,
+    segmentCount, segmentSlots, segmentOptions, getResolvedSegmentOption, setSegmentOptions,
     createCell, createChunk, collapseCell,
 } from '../../../spp-lib/spp-core.js';
 
+export { LeafIndex } from '../../../spp-lib/spp-spatial.js';
+
 // ─── Inverse-Modeling Specific ──────────────────────────────
 export {
     expandScaledCells,
     generateCellsFromLayout,
     optimizeGrid,
 } from '../../../spp-lib/spp-inverse-engine.js';
+
+// ─── Edit History ───────────────────────────────────────────
+export { ChunkHistory, HISTORY_OP } from '../../../spp-lib/spp-history.js';
+export { cellAt, cellPath } from '../../../spp-lib/spp-diff.js';
+
+// ─── File Format ────────────────────────────────────────────
+export { serializeChunk, parseChunk, SPP_FILE_EXTENSION } from '../../../spp-lib/spp-format.js';
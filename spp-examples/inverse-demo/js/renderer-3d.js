@@ -4,11 +4,16 @@
  */
 
 import * as THREE from 'three';
-import { FACE, OPPOSITE_FACE, FACE_DIRECTION, OPTION_REGISTRY, OPTION_TYPE, getResolvedOption } from './particle.js';
+import {
+    FACE, OPPOSITE_FACE, FACE_DIRECTION, OPTION_REGISTRY, OPTION_TYPE, VERTICAL_KIND, DEFAULT_REGISTRY,
+    getResolvedOption, segmentSlots, getResolvedSegmentOption,
+} from './particle.js';
 
-const CELL_SIZE = 3;
+const CELL_SIZE = 3;            // also the storey height: position[1] = 1 sits CELL_SIZE up
 const WALL_HEIGHT = 2.8;
 const WALL_THICKNESS = 0.12;
+const SLAB_THICKNESS = 0.15;
+const STAIR_STEPS = 8;
 
 // ─── Materials ──────────────────────────────────────────────
 
@@ -37,28 +42,57 @@ const subFloorMat = new THREE.MeshStandardMaterial({
     metalness: 0.0,
 });
 
+// Floor over a slab opening / stair / shaft: see-through to the storey below
+const openFloorMat = new THREE.MeshStandardMaterial({
+    color: 0xe8e8ef,
+    roughness: 0.85,
+    transparent: true,
+    opacity: 0.2,
+    depthWrite: false,
+});
+
+const slabMat = new THREE.MeshStandardMaterial({
+    color: 0xb8b8c4,
+    roughness: 0.8,
+});
+
+const stairMat = new THREE.MeshStandardMaterial({
+    color: 0xc9a96e,
+    roughness: 0.6,
+});
+
+const shaftMat = new THREE.MeshStandardMaterial({
+    color: 0x7cb8e8,
+    roughness: 0.4,
+    transparent: true,
+    opacity: 0.25,
+    depthWrite: false,
+});
+
 // ─── Wall Builder ───────────────────────────────────────────
 
-function createWallMesh(optionId, size) {
+function createWallMesh(optionId, length) {
     const opt = OPTION_REGISTRY[optionId];
     if (!opt || opt.type === OPTION_TYPE.OPEN) return null;
     // Over-extend length by WALL_THICKNESS so walls meet at corners
-    const geo = new THREE.BoxGeometry(size + WALL_THICKNESS, WALL_HEIGHT, WALL_THICKNESS);
+    const geo = new THREE.BoxGeometry(length + WALL_THICKNESS, WALL_HEIGHT, WALL_THICKNESS);
     const mesh = new THREE.Mesh(geo, wallMat);
     mesh.position.y = WALL_HEIGHT / 2;
     return mesh;
 }
 
-function positionWall(mesh, faceIndex, worldPos, half) {
+// half = [half width, half depth] of the cell; along = segment offset along the wall
+function positionWall(mesh, faceIndex, worldPos, half, along = 0) {
     const [cx, cy, cz] = worldPos;
+    const [hx, hz] = Array.isArray(half) ? half : [half, half];
     const wrapper = new THREE.Group();
     wrapper.add(mesh);
 
     switch (faceIndex) {
-        case FACE.POS_X: wrapper.position.set(cx + half, cy, cz); wrapper.rotation.y = Math.PI / 2; break;
-        case FACE.NEG_X: wrapper.position.set(cx - half, cy, cz); wrapper.rotation.y = -Math.PI / 2; break;
-        case FACE.POS_Z: wrapper.position.set(cx, cy, cz + half); wrapper.rotation.y = 0; break;
-        case FACE.NEG_Z: wrapper.position.set(cx, cy, cz - half); wrapper.rotation.y = Math.PI; break;
+        case FACE.POS_X: wrapper.position.set(cx + hx, cy, cz + along); wrapper.rotation.y = Math.PI / 2; break;
+        case FACE.NEG_X: wrapper.position.set(cx - hx, cy, cz + along); wrapper.rotation.y = -Math.PI / 2; break;
+        case FACE.POS_Z: wrapper.position.set(cx + along, cy, cz + hz); wrapper.rotation.y = 0; break;
+        case FACE.NEG_Z: wrapper.position.set(cx + along, cy, cz - hz); wrapper.rotation.y = Math.PI; break;
     }
 
     wrapper.userData.faceIndex = faceIndex;
@@ -69,6 +103,48 @@ function positionWall(mesh, faceIndex, worldPos, half) {
     return wrapper;
 }
 
+// ─── Vertical Builder ───────────────────────────────────────
+
+/**
+ * Slab, stair and shaft meshes for a cell's ±Y faces, in cell-local
+ * coordinates (origin at the floor center).
+ *
+ * Floors above ground get a slab; the ceiling side is left to the storey
+ * above so slabs aren't drawn twice. A stair on POS_Y climbs along +X to
+ * the next storey.
+ */
+function createVerticalMeshes(cell, cellSize, worldY, width = cellSize, depth = cellSize) {
+    const meshes = [];
+    const below = getResolvedOption(cell, FACE.NEG_Y);
+    const above = getResolvedOption(cell, FACE.POS_Y);
+    const kindBelow = below !== null ? DEFAULT_REGISTRY.verticalKind(below) : null;
+    const kindAbove = above !== null ? DEFAULT_REGISTRY.verticalKind(above) : null;
+
+    if (kindBelow === VERTICAL_KIND.SLAB && worldY > 0) {
+        const slab = new THREE.Mesh(new THREE.BoxGeometry(width, SLAB_THICKNESS, depth), slabMat);
+        slab.position.y = -SLAB_THICKNESS / 2;
+        meshes.push(slab);
+    }
+
+    if (kindAbove === VERTICAL_KIND.STAIR) {
+        const run = cellSize / STAIR_STEPS;
+        const rise = CELL_SIZE / STAIR_STEPS;
+        for (let i = 0; i < STAIR_STEPS; i++) {
+            const step = new THREE.Mesh(new THREE.BoxGeometry(run, rise * (i + 1), cellSize * 0.5), stairMat);
+            step.position.set(-cellSize / 2 + run * (i + 0.5), rise * (i + 1) / 2, 0);
+            meshes.push(step);
+        }
+    }
+
+    if (kindAbove === VERTICAL_KIND.ELEVATOR || kindBelow === VERTICAL_KIND.ELEVATOR) {
+        const shaft = new THREE.Mesh(new THREE.BoxGeometry(cellSize * 0.8, CELL_SIZE, cellSize * 0.8), shaftMat);
+        shaft.position.y = CELL_SIZE / 2;
+        meshes.push(shaft);
+    }
+
+    return meshes;
+}
+
 // ─── Render Cell (single cell, given size) ──────────────────
 
 const HORIZONTAL_FACES = [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z];
@@ -76,7 +152,11 @@ const HORIZONTAL_FACES = [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z];
 function renderOneCell(cell, cellSize, allKeys, keyFn) {
     const pos = cell.position;
     const key = cell.worldPosition ? keyFn(cell.worldPosition) : keyFn(pos);
-    const half = cellSize / 2;
+    // Larger cells (size > 1) span several units; the group sits at their centre
+    const [sx, , sz] = cell.size || [1, 1, 1];
+    const width = cellSize * Math.max(1, sx);
+    const depth = cellSize * Math.max(1, sz);
+    const half = [width / 2, depth / 2];
 
     const isFineGrid = cell._isFineGrid;
     const spacing = isFineGrid ? cellSize : CELL_SIZE;
@@ -89,12 +169,16 @@ function renderOneCell(cell, cellSize, allKeys, keyFn) {
         const [wx, wy, wz] = cell.worldPosition;
         group.position.set(wx * CELL_SIZE, wy * CELL_SIZE, wz * CELL_SIZE);
     } else {
-        group.position.set(pos[0] * spacing, 0, pos[2] * spacing);
+        group.position.set(pos[0] * spacing, pos[1] * CELL_SIZE, pos[2] * spacing);
     }
+    group.position.x += (width - cellSize) / 2;
+    group.position.z += (depth - cellSize) / 2;
 
     // Floor
-    const floorGeo = new THREE.PlaneGeometry(cellSize * 0.96, cellSize * 0.96);
-    const fMat = (cell._parentScale || cell.worldScale < 1) ? subFloorMat : floorMat;
+    const floorGeo = new THREE.PlaneGeometry(width - cellSize * 0.04, depth - cellSize * 0.04);
+    const below = getResolvedOption(cell, FACE.NEG_Y);
+    const fMat = below !== null && DEFAULT_REGISTRY.isOpen(below) ? openFloorMat
+               : (cell._parentScale || cell.worldScale < 1) ? subFloorMat : floorMat;
     const floor = new THREE.Mesh(floorGeo, fMat);
     floor.rotation.x = -Math.PI / 2;
     floor.position.y = 0.01;
@@ -107,35 +191,47 @@ function renderOneCell(cell, cellSize, allKeys, keyFn) {
     floorEdges.position.y = 0.02;
     group.add(floorEdges);
 
-    // Walls
+    // Walls, one per face segment
     for (const fi of HORIZONTAL_FACES) {
-        const optionId = getResolvedOption(cell, fi);
-        if (optionId === null) continue;
-
-        // Skip duplicate walls: only render for the "lower-index" side
         const [dx, , dz] = FACE_DIRECTION[fi];
-
-        // For hierarchical cells, neighbor detection is harder. 
-        // For now, if it's a world-positioned cell, we don't skip duplicates 
-        // unless they share the exact same edge key.
-        if (cell.worldPosition) {
-            // Simplification: skip logic for hierarchical cells for now to ensure all walls show
-        } else {
-            const isFractionalSubCell = cell._parentScale && !cell._isFineGrid;
-            const step = isFractionalSubCell ? (1 / cell._parentScale) : 1;
-            const nx = pos[0] + dx * step;
-            const nz = pos[2] + dz * step;
-            const neighborKey = keyFn([nx, 0, nz]);
-            if (allKeys.has(neighborKey) && fi > OPPOSITE_FACE[fi]) continue;
+        const alongAxis = dx !== 0 ? 2 : 0;
+        const extent = alongAxis === 0 ? width : depth;
+
+        for (const [segment, slot] of segmentSlots(cell, fi).entries()) {
+            const optionId = getResolvedSegmentOption(cell, fi, segment);
+            if (optionId === null) continue;
+
+            // For hierarchical cells, neighbor detection is harder.
+            // For now, if it's a world-positioned cell, we don't skip duplicates
+            // unless they share the exact same edge key.
+            if (cell.worldPosition) {
+                // Simplification: skip logic for hierarchical cells for now to ensure all walls show
+            } else {
+                // Skip duplicate walls: only render for the "lower-index" side
+                const isFractionalSubCell = cell._parentScale && !cell._isFineGrid;
+                const step = isFractionalSubCell ? (1 / cell._parentScale) : 1;
+                const nx = slot[0] + dx * step;
+                const nz = slot[2] + dz * step;
+                const neighborKey = keyFn([nx, pos[1], nz]);
+                if (allKeys.has(neighborKey) && fi > OPPOSITE_FACE[fi]) continue;
+            }
+
+            const along = (slot[alongAxis] - pos[alongAxis]) * cellSize + (cellSize - extent) / 2;
+            const mesh = createWallMesh(optionId, cellSize);
+            if (mesh) {
+                const wall = positionWall(mesh, fi, [0, 0, 0], half, along);
+                wall.userData.cellKey = key;
+                wall.userData.faceIndex = fi;
+                wall.userData.segment = segment;
+                group.add(wall);
+            }
         }
+    }
 
-        const mesh = createWallMesh(optionId, cellSize);
-        if (mesh) {
-            const wall = positionWall(mesh, fi, [0, 0, 0], half);
-            wall.userData.cellKey = key;
-            wall.userData.faceIndex = fi;
-            group.add(wall);
-        }
+    // Slabs, stairs, shafts
+    const worldY = cell.worldPosition ? cell.worldPosition[1] : pos[1];
+    for (const mesh of createVerticalMeshes(cell, cellSize, worldY, width, depth)) {
+        group.add(mesh);
     }
 
     group.userData.cellKey = key;
@@ -153,8 +249,8 @@ export function renderCells(cells) {
     const cellMap = new Map();
     const allKeys = new Set();
 
-    // Key function using fractional positions (sub-cells have fractional x,z)
-    const keyFn = (pos) => `${pos[0].toFixed(4)},${pos[2].toFixed(4)}`;
+    // Key function using fractional positions (sub-cells have fractional x,z; storeys differ in y)
+    const keyFn = (pos) => `${pos[0].toFixed(4)},${(pos[1] ?? 0).toFixed(4)},${pos[2].toFixed(4)}`;
 
     // Register all cell positions
     for (const cell of cells) {
@@ -194,7 +290,7 @@ export function rebuildCellWalls(sceneGroup, cellMap, allKeys, cellKey) {
     const cell = cellMap.get(cellKey);
     if (!cell) return;
 
-    const keyFn = (pos) => `${pos[0].toFixed(4)},${pos[2].toFixed(4)}`;
+    const keyFn = (pos) => `${pos[0].toFixed(4)},${(pos[1] ?? 0).toFixed(4)},${pos[2].toFixed(4)}`;
 
     // Remove old group
     for (let i = sceneGroup.children.length - 1; i >= 0; i--) {
@@ -111,11 +111,15 @@ const valX = document.getElementById('val-x');
 const valZ = document.getElementById('val-z');
 const valCells = document.getElementById('val-cells');
 
+// ?seed=… replays a maze; without it every expansion draws a fresh seed
+const urlSeed = new URLSearchParams(window.location.search).get('seed');
+
 function getParams() {
     return {
         gridX: parseInt(ctrlX.value),
         gridZ: parseInt(ctrlZ.value),
         targetCells: parseInt(ctrlCells.value),
+        seed: urlSeed ?? undefined,
     };
 }
 
@@ -149,7 +153,7 @@ particleOptions.forEach(opt => {
 });
 
 function setOverlay(text) { overlay.textContent = text; }
-function setCellCount(n) { cellCountEl.textContent = n > 0 ? `${n} cells` : ''; }
+function setCellCount(n, seed) { cellCountEl.textContent = n > 0 ? `${n} cells · seed ${seed}` : ''; }
 
 // ─── State: PARTICLE ───────────────────────────────────────
 
@@ -174,8 +178,8 @@ function startExpansion() {
     currentState = State.GRID_APPEAR;
     setOverlay('');
 
-    const { gridX, gridZ, targetCells } = getParams();
-    cascadeData = generateCascade(gridX, gridZ, targetCells);
+    const { gridX, gridZ, targetCells, seed } = getParams();
+    cascadeData = generateCascade(gridX, gridZ, targetCells, { seed });
     const { gridCells, halfX, halfZ } = cascadeData;
     const centerKey = '0,0';
 
@@ -231,7 +235,7 @@ function startCascade() {
         particleFaceGroups = null;
     }
 
-    setCellCount(collapseOrder.length);
+    setCellCount(collapseOrder.length, cascadeData.seed);
     activeAnimation = createCascadeAnimation(animOrder, 0.3, 0.08);
 }
 
@@ -2,22 +2,25 @@
  * maze-generator.js — Cascade collapse from center (dynamic grid)
  *
  * Accepts gridX, gridZ (odd numbers) and target cell count.
+ * All randomness comes from one seeded sequence, so a seed reproduces the maze.
  */
 
 import {
     FACE, OPPOSITE_FACE, FACE_DIRECTION,
-    OPEN_IDS, WALL_IDS,
-    createChunk, collapseCell,
+    OPEN_IDS, WALL_IDS, DEFAULT_REGISTRY,
+    createRandom, randomSeed,
+    collapseChunk, formatContradiction,
+    findCellPath,
 } from './particle.js';
 
 const HORIZONTAL_FACES = [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z];
 
 function posKey(x, z) { return `${x},${z}`; }
-function randomItem(arr) { return arr[Math.floor(Math.random() * arr.length)]; }
-function shuffle(arr) {
+function randomItem(arr, random) { return arr[Math.floor(random() * arr.length)]; }
+function shuffle(arr, random) {
     const a = [...arr];
     for (let i = a.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
+        const j = Math.floor(random() * (i + 1));
         [a[i], a[j]] = [a[j], a[i]];
     }
     return a;
@@ -43,8 +46,13 @@ function createGridCell(x, z) {
  * @param {number} gridX — grid width (odd, e.g. 7)
  * @param {number} gridZ — grid depth (odd, e.g. 7)
  * @param {number} targetCells — desired number of collapsed cells
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] — reproduces a previous maze; a fresh one is drawn if omitted
+ * @param {Object} [options.weights] — per-call collapse weights (see collapseChunk)
+ * @returns {Object} { gridCells, collapseOrder, collapsedCells, gridX, gridZ, halfX, halfZ, seed }
  */
-export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35) {
+export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35, { seed = randomSeed(), weights } = {}) {
+    const random = createRandom(seed);
     const halfX = Math.floor(gridX / 2);
     const halfZ = Math.floor(gridZ / 2);
     const target = Math.min(targetCells, gridX * gridZ);
@@ -74,7 +82,7 @@ export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35) {
 
     const queue = [];
 
-    const centerFaces = shuffle(HORIZONTAL_FACES);
+    const centerFaces = shuffle(HORIZONTAL_FACES, random);
     for (const face of centerFaces) {
         const [dx, , dz] = FACE_DIRECTION[face];
         if (inBounds(dx, dz) && !collapsed.has(posKey(dx, dz))) {
@@ -103,8 +111,8 @@ export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35) {
 
         collapseOrder.push({ key: nKey, cell, fromFace: oppFace });
 
-        const remainingFaces = shuffle(HORIZONTAL_FACES.filter(f => f !== oppFace));
-        const extraConnections = Math.floor(Math.random() * 3);
+        const remainingFaces = shuffle(HORIZONTAL_FACES.filter(f => f !== oppFace), random);
+        const extraConnections = Math.floor(random() * 3);
 
         for (let i = 0; i < Math.min(extraConnections, remainingFaces.length); i++) {
             const newFace = remainingFaces[i];
@@ -123,7 +131,7 @@ export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35) {
             if (!collapsed.has(key)) continue;
             if (collapsed.size >= target) break;
             const [cx, , cz] = cell.position;
-            for (const face of shuffle(HORIZONTAL_FACES)) {
+            for (const face of shuffle(HORIZONTAL_FACES, random)) {
                 if (collapsed.size >= target) break;
                 const [dx, , dz] = FACE_DIRECTION[face];
                 const nx = cx + dx;
@@ -145,27 +153,18 @@ export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35) {
         }
     }
 
-    // Phase 3: Collapse face options to single values
-    const collapsedCells = new Map();
-    for (const { key, cell } of collapseOrder) {
-        collapsedCells.set(key, collapseCell(cell));
-    }
+    // Phase 3: Collapse face options to single values under the registry's
+    // adjacency rules (windows and hedges only on the outer walls), with an
+    // open passage showing the same opening on both sides.
+    const result = collapseChunk(
+        { cells: collapseOrder.map(({ cell }) => cell) },
+        { compatible: (a, b) => DEFAULT_REGISTRY.canMeet(a, b) && (!OPEN_IDS.includes(a) || a === b) },
+        { random, weights }
+    );
+    if (!result.resolved) throw new Error(`Maze collapse failed: ${formatContradiction(result.contradiction)}`);
 
-    for (const [key, cell] of collapsedCells) {
-        const [cx, , cz] = cell.position;
-        for (const face of HORIZONTAL_FACES) {
-            const [dx, , dz] = FACE_DIRECTION[face];
-            const nKey = posKey(cx + dx, cz + dz);
-            const neighbor = collapsedCells.get(nKey);
-            if (neighbor) {
-                const oppFace = OPPOSITE_FACE[face];
-                const myOpt = cell.faceOptions[face];
-                if (myOpt.length === 1 && OPEN_IDS.includes(myOpt[0])) {
-                    neighbor.faceOptions[oppFace] = [...myOpt];
-                }
-            }
-        }
-    }
+    const collapsedCells = new Map();
+    collapseOrder.forEach(({ key }, i) => collapsedCells.set(key, result.chunk.cells[i]));
 
     return {
         gridCells,
@@ -175,40 +174,17 @@ export function generateCascade(gridX = 7, gridZ = 7, targetCells = 35) {
         gridZ,
         halfX,
         halfZ,
+        seed,
     };
 }
 
 /**
- * BFS pathfinding between two points in collapsed space
+ * Cheapest path between two points in collapsed space (spp-lib A*: doors
+ * cost more than open floor). Returns the cell keys along the path.
  */
 export function findPath(collapsedCells, startKey, endKey) {
     if (!collapsedCells.has(startKey) || !collapsedCells.has(endKey)) return null;
-    if (startKey === endKey) return [startKey];
-
-    const queue = [[startKey]];
-    const visited = new Set([startKey]);
-
-    while (queue.length > 0) {
-        const path = queue.shift();
-        const currKey = path[path.length - 1];
-        const cell = collapsedCells.get(currKey);
-
-        const [cx, , cz] = cell.position;
-        for (const face of HORIZONTAL_FACES) {
-            const myOpt = cell.faceOptions[face];
-            // Only proceed if there is an open connection on this face
-            if (myOpt.length === 1 && OPEN_IDS.includes(myOpt[0])) {
-                const [dx, , dz] = FACE_DIRECTION[face];
-                const nextKey = `${cx + dx},${cz + dz}`;
-
-                if (nextKey === endKey) return [...path, nextKey];
-                if (collapsedCells.has(nextKey) && !visited.has(nextKey)) {
-                    visited.add(nextKey);
-                    queue.push([...path, nextKey]);
-                }
-            }
-        }
-    }
 
-    return null;
+    const route = findCellPath([...collapsedCells.values()], collapsedCells.get(startKey), collapsedCells.get(endKey));
+    return route.found ? route.cells.map(cell => posKey(cell.position[0], cell.position[2])) : null;
 }
@@ -12,6 +12,11 @@
 export {
   FACE, OPPOSITE_FACE, FACE_DIRECTION,
   OPTION_TYPE, OPTION_REGISTRY, OPEN_IDS, WALL_IDS, ALL_IDS,
+  DEFAULT_REGISTRY,
   getResolvedOption,
   createCell, createChunk, collapseCell,
+  createRandom, randomSeed,
 } from '../../../spp-lib/spp-core.js';
+
+export { collapseChunk, formatContradiction } from '../../../spp-lib/spp-collapse.js';
+export { findPath as findCellPath } from '../../../spp-lib/spp-path.js';
@@ -4,6 +4,7 @@
 
 import { OrthoRenderer }    from './renderer.js';
 import { buildSPPFromImage } from './spp-builder.js';
+import { serializeChunk, SPP_FILE_EXTENSION } from './shim.js';
 
 // ─── Shape catalog ───────────────────────────────────────────
 
@@ -24,6 +25,7 @@ let gridSize = 4;
 let maxDepth = 3;
 let scale = 3;
 let renderer;
+let built = null;   // last { chunk, bbox } from buildSPPFromImage, for export
 
 // ─── DOM ─────────────────────────────────────────────────────
 
@@ -40,6 +42,7 @@ const scaleMinus   = document.getElementById('scaleMinus');
 const scalePlus    = document.getElementById('scalePlus');
 const rebuildBtn   = document.getElementById('rebuildBtn');
 const topViewBtn   = document.getElementById('topViewBtn');
+const exportBtn    = document.getElementById('exportBtn');
 const previewImg   = document.getElementById('previewImg');
 const statCells    = document.getElementById('statCells');
 const statRefined  = document.getElementById('statRefined');
@@ -74,6 +77,7 @@ document.addEventListener('DOMContentLoaded', () => {
 
     rebuildBtn.addEventListener('click', rebuild);
     topViewBtn.addEventListener('click', () => renderer.toggleTopView());
+    exportBtn.addEventListener('click', exportChunk);
 
     gridDisplay.textContent = gridSize;
     depthDisplay.textContent = maxDepth;
@@ -95,11 +99,12 @@ async function rebuild() {
     toast('Scanning face lines...');
 
     try {
-        const { chunk, stats } = await buildSPPFromImage(
+        const { chunk, bbox, stats } = await buildSPPFromImage(
             currentShape.file, gridSize, maxDepth, scale,
             (msg) => toast(msg)
         );
 
+        built = { chunk, bbox };
         renderer.render(chunk);
         renderer.focusScene();
 
@@ -118,6 +123,20 @@ async function rebuild() {
     }
 }
 
+// ─── Export ──────────────────────────────────────────────────
+
+function exportChunk() {
+    if (!built) return;
+    const text = serializeChunk(built.chunk, {
+        meta: { source: 'orthogonal-demo', shape: currentShape.id, bbox: built.bbox, maxDepth, scale },
+    });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    a.download = currentShape.id + SPP_FILE_EXTENSION;
+    a.click();
+    URL.revokeObjectURL(a.href);
+}
+
 // ─── Toast ───────────────────────────────────────────────────
 
 let _t;
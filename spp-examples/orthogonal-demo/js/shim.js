@@ -11,3 +11,7 @@ export {
 export {
     RecursiveGridManager,
 } from '../../../spp-lib/spp-inverse-engine.js';
+
+export {
+    serializeChunk, parseChunk, SPP_FILE_EXTENSION,
+} from '../../../spp-lib/spp-format.js';
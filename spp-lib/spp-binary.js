@@ -0,0 +1,530 @@
+/**
+ * spp-binary.js — SPP Binary Encoding
+ *
+ * Compact byte form of an `.spp.json` document, for storing and streaming
+ * worlds too large for JSON. Positions are varint deltas (usually a single
+ * flag: "next along x"), faceStates is one byte, option ids are indices
+ * into a palette, runs of identical cells and rows repeated along z are
+ * written once, and refinements nest as blocks of the same layout.
+ *
+ * The encoding is lossless against the JSON form:
+ *   serializeChunk(decodeChunk(encodeChunk(chunk)).chunk) === serializeChunk(chunk)
+ * Fields the compact layout has no slot for (room names, seeds, anything
+ * non-standard) are carried as embedded JSON.
+ *
+ * Usage:
+ *   import { encodeChunk, decodeChunk } from './spp-binary.js';
+ *
+ *   const bytes = encodeChunk(chunk, { meta: { source: 'city-gen' } });   // Uint8Array
+ *   const { chunk: loaded, warnings } = decodeChunk(bytes, { registry });
+ */
+
+import { chunkDocument, parseChunk } from './spp-format.js';
+
+export const SPP_BINARY_MAGIC = 'SPPB';
+export const SPP_BINARY_VERSION = 1;
+export const SPP_BINARY_EXTENSION = '.sppb';
+
+// Cell stream opcodes
+const OP_CELL = 0;       // one cell record
+const OP_REPEAT = 1;     // n cells like the previous one, each next along x
+const OP_ROWS = 2;       // the last len cells again, k times, each copy dz further along z
+
+// Cell record flags
+const CELL_POS_NEXT = 1 << 0;       // previous position + previous width along x
+const CELL_POS_DELTA = 1 << 1;      // zigzag delta from the previous position
+const CELL_SIZE_UNIT = 1 << 2;      // [1, 1, 1]
+const CELL_SIZE = 1 << 3;           // three varints
+const CELL_FACE_STATES = 1 << 4;    // one byte
+const CELL_FACE_OPTIONS = 1 << 5;
+const CELL_FACE_SEGMENTS = 1 << 6;
+const CELL_REFINEMENT = 1 << 7;     // nested chunk block
+const CELL_EXTRA = 1 << 8;          // JSON object of the remaining fields
+
+// Chunk block flags
+const CHUNK_GRID_X = 1 << 0;
+const CHUNK_GRID_Y = 1 << 1;
+const CHUNK_GRID_Z = 1 << 2;
+const CHUNK_EXTRA = 1 << 3;
+const GRID_FIELDS = [['gridX', CHUNK_GRID_X], ['gridY', CHUNK_GRID_Y], ['gridZ', CHUNK_GRID_Z]];
+
+// Palette entry tags
+const ID_UINT = 0;
+const ID_NEGATIVE = 1;
+const ID_FLOAT = 2;
+const ID_STRING = 3;
+
+// ═════════════════════════════════════════════════════════════
+// encodeChunk
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Encode a chunk, with the same header serializeChunk writes.
+ *
+ * Layout: 'SPPB', version byte, header JSON (the document without its
+ * chunk), the option id palette, then the root chunk block.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Object} [options] - serializeChunk's header options (registry, registryId, units, origin, meta)
+ * @param {boolean} [options.verify=false] - decode the result and throw unless it matches the JSON form
+ * @returns {Uint8Array}
+ */
+export function encodeChunk(chunk, { verify = false, ...options } = {}) {
+    const { chunk: body, ...header } = chunkDocument(chunk, options);
+    const out = new ByteWriter();
+    for (const ch of SPP_BINARY_MAGIC) out.byte(ch.charCodeAt(0));
+    out.byte(SPP_BINARY_VERSION);
+    out.json(header);
+
+    const palette = new Map();   // id → index, in order of first use
+    collectIds(body, palette);
+    out.varint(palette.size);
+    for (const id of palette.keys()) writeId(out, id);
+
+    writeChunk(out, body, palette);
+    const bytes = out.finish();
+
+    if (verify) {
+        const expected = JSON.stringify(body);
+        const actual = JSON.stringify(decodeChunk(bytes).chunk);
+        if (actual !== expected) throw new Error('encodeChunk: decoded chunk differs from the JSON form');
+    }
+    return bytes;
+}
+
+// ═════════════════════════════════════════════════════════════
+// decodeChunk
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Decode bytes written by encodeChunk. The result has parseChunk's shape, and
+ * goes through the same version upgrades and registry check.
+ *
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @param {Object} [options]
+ * @param {OptionRegistry|Object} [options.registry] - as parseChunk
+ * @returns {Object} { chunk, spec, units, origin, registry, meta, upgradedFrom, warnings }
+ */
+export function decodeChunk(bytes, { registry } = {}) {
+    const input = new ByteReader(bytes instanceof ArrayBuffer ? new Uint8Array(bytes) : bytes);
+    const magic = String.fromCharCode(...input.bytes(SPP_BINARY_MAGIC.length));
+    if (magic !== SPP_BINARY_MAGIC) throw new Error('decodeChunk: not an SPP binary document');
+    const version = input.byte();
+    if (version > SPP_BINARY_VERSION) {
+        throw new Error(`decodeChunk: binary version ${version} is newer than this reader (${SPP_BINARY_VERSION})`);
+    }
+
+    const header = input.json();
+    const palette = [];
+    for (let i = input.varint(); i > 0; i--) palette.push(readId(input));
+    const chunk = readChunk(input, palette);
+    if (!input.done) throw new Error(`decodeChunk: ${input.remaining} unexpected trailing byte(s)`);
+
+    return parseChunk({ ...header, chunk }, { registry });
+}
+
+// ─── Writing ─────────────────────────────────────────────────
+
+function collectIds(chunk, palette) {
+    const add = list => {
+        if (!isIdList(list)) return;
+        for (const id of list) if (!palette.has(id)) palette.set(id, palette.size);
+    };
+    for (const cell of chunk.cells) {
+        if (isFaceOptions(cell.faceOptions)) cell.faceOptions.forEach(add);
+        if (isFaceSegments(cell.faceSegments)) cell.faceSegments.forEach(face => face?.forEach(add));
+        if (isChunk(cell.refinement)) collectIds(cell.refinement, palette);
+    }
+}
+
+function writeChunk(out, chunk, palette) {
+    let flags = 0;
+    const extra = {};
+    for (const [key, value] of Object.entries(chunk)) {
+        if (key === 'cells') continue;
+        const grid = GRID_FIELDS.find(([name]) => name === key);
+        if (grid && isCount(value)) flags |= grid[1];
+        else extra[key] = value;
+    }
+    if (Object.keys(extra).length > 0) flags |= CHUNK_EXTRA;
+
+    out.varint(flags);
+    for (const [key, bit] of GRID_FIELDS) if (flags & bit) out.varint(chunk[key]);
+    if (flags & CHUNK_EXTRA) out.json(extra);
+    writeCells(out, chunk.cells, palette);
+}
+
+// Greedy: at the start of a row try to repeat the previous row, then a run
+// of cells like the last one, else a full record
+function writeCells(out, cells, palette) {
+    const content = cells.map(contentKey);
+    const sameRow = (a, b) => samePosition(a.position, b.position, [0, 0, 0], [false, true, true]);
+    out.varint(cells.length);
+
+    let i = 0;
+    while (i < cells.length) {
+        const prev = cells[i - 1];
+
+        // Repeated rows: the row that ended at i - 1, shifted along z
+        if (prev && isPosition(cells[i].position) && isPosition(prev.position) && !sameRow(cells[i], prev)) {
+            let start = i - 1;
+            while (start > 0 && isPosition(cells[start - 1].position) && sameRow(cells[start - 1], prev)) start--;
+            const len = i - start;
+            const dz = cells[i].position[2] - cells[start].position[2];
+            let k = 0;
+            while (Number.isSafeInteger(dz) && dz !== 0 && i + (k + 1) * len <= cells.length &&
+                   rowMatches(cells, content, start, i + k * len, len, (k + 1) * dz)) k++;
+            if (k > 0) {
+                out.varint(OP_ROWS);
+                out.varint(len);
+                out.zigzag(dz);
+                out.varint(k);
+                i += k * len;
+                continue;
+            }
+        }
+
+        // Run of cells like the previous one
+        let n = 0;
+        while (prev && i + n < cells.length && content[i + n] === content[i - 1] &&
+               isPosition(cells[i + n - 1].position) && samePosition(cells[i + n].position, nextPosition(cells[i + n - 1]), [0, 0, 0])) n++;
+        if (n > 0) {
+            out.varint(OP_REPEAT);
+            out.varint(n);
+            i += n;
+            continue;
+        }
+
+        out.varint(OP_CELL);
+        writeCell(out, cells[i], prev, palette);
+        i++;
+    }
+}
+
+function rowMatches(cells, content, from, to, len, dz) {
+    for (let j = 0; j < len; j++) {
+        if (content[to + j] !== content[from + j]) return false;
+        if (!samePosition(cells[to + j].position, cells[from + j].position, [0, 0, dz])) return false;
+    }
+    return true;
+}
+
+function writeCell(out, cell, prev, palette) {
+    let flags = 0;
+    const extra = {};
+    const base = prev ? prev.position : [0, 0, 0];
+    for (const [key, value] of Object.entries(cell)) {
+        if (key === 'position' && isPosition(value)) {
+            flags |= prev && isPosition(base) && samePosition(value, nextPosition(prev), [0, 0, 0]) ? CELL_POS_NEXT : CELL_POS_DELTA;
+        } else if (key === 'size' && isPosition(value) && value.every(v => v >= 0)) {
+            flags |= value.every(v => v === 1) ? CELL_SIZE_UNIT : CELL_SIZE;
+        } else if (key === 'faceStates' && Number.isInteger(value) && value >= 0 && value < 64) {
+            flags |= CELL_FACE_STATES;
+        } else if (key === 'faceOptions' && isFaceOptions(value)) {
+            flags |= CELL_FACE_OPTIONS;
+        } else if (key === 'faceSegments' && isFaceSegments(value)) {
+            flags |= CELL_FACE_SEGMENTS;
+        } else if (key === 'refinement' && isChunk(value)) {
+            flags |= CELL_REFINEMENT;
+        } else {
+            extra[key] = value;
+        }
+    }
+    if (Object.keys(extra).length > 0) flags |= CELL_EXTRA;
+
+    out.varint(flags);
+    if (flags & CELL_POS_DELTA) {
+        const from = isPosition(base) ? base : [0, 0, 0];
+        cell.position.forEach((v, a) => out.zigzag(v - from[a]));
+    }
+    if (flags & CELL_SIZE) cell.size.forEach(v => out.varint(v));
+    if (flags & CELL_FACE_STATES) out.byte(cell.faceStates);
+    if (flags & CELL_FACE_OPTIONS) cell.faceOptions.forEach(list => writeIdList(out, list, palette));
+    if (flags & CELL_FACE_SEGMENTS) {
+        out.varint(cell.faceSegments.length);
+        for (const face of cell.faceSegments) {
+            if (!face) { out.varint(0); continue; }
+            out.varint(face.length + 1);
+            for (const list of face) {
+                if (!list) out.varint(0);
+                else { out.varint(1); writeIdList(out, list, palette); }
+            }
+        }
+    }
+    if (flags & CELL_REFINEMENT) writeChunk(out, cell.refinement, palette);
+    if (flags & CELL_EXTRA) out.json(extra);
+}
+
+function writeIdList(out, list, palette) {
+    out.varint(list.length);
+    for (const id of list) out.varint(palette.get(id));
+}
+
+function writeId(out, id) {
+    if (typeof id === 'string') {
+        out.byte(ID_STRING);
+        out.string(id);
+    } else if (Number.isSafeInteger(id) && !Object.is(id, -0)) {
+        out.byte(id >= 0 ? ID_UINT : ID_NEGATIVE);
+        out.varint(Math.abs(id));
+    } else {
+        out.byte(ID_FLOAT);
+        out.float64(id);
+    }
+}
+
+// ─── Reading ─────────────────────────────────────────────────
+
+function readChunk(input, palette) {
+    const flags = input.varint();
+    const chunk = {};
+    for (const [key, bit] of GRID_FIELDS) if (flags & bit) chunk[key] = input.varint();
+    if (flags & CHUNK_EXTRA) Object.assign(chunk, input.json());
+    chunk.cells = readCells(input, palette);
+    return chunk;
+}
+
+function readCells(input, palette) {
+    const count = input.varint();
+    const cells = [];
+    while (cells.length < count) {
+        const op = input.varint();
+        const prev = cells[cells.length - 1];
+        if (op === OP_CELL) {
+            cells.push(readCell(input, prev, palette));
+        } else if (op === OP_REPEAT) {
+            if (!prev) throw new Error('decodeChunk: run with no cell before it');
+            for (let n = input.varint(); n > 0; n--) {
+                const last = cells[cells.length - 1];
+                cells.push({ ...structuredCopy(last), position: nextPosition(last) });
+            }
+        } else if (op === OP_ROWS) {
+            const len = input.varint();
+            const dz = input.zigzag();
+            const k = input.varint();
+            if (len === 0 || len > cells.length) throw new Error('decodeChunk: row repeat longer than the cells before it');
+            const row = cells.slice(-len);
+            for (let r = 1; r <= k; r++) {
+                for (const cell of row) {
+                    const [x, y, z] = cell.position;
+                    cells.push({ ...structuredCopy(cell), position: [x, y, z + r * dz] });
+                }
+            }
+        } else {
+            throw new Error(`decodeChunk: unknown cell opcode ${op}`);
+        }
+    }
+    if (cells.length !== count) throw new Error('decodeChunk: cell stream overruns its count');
+    return cells;
+}
+
+function readCell(input, prev, palette) {
+    const flags = input.varint();
+    const cell = {};
+    if (flags & CELL_POS_NEXT) cell.position = nextPosition(prev);
+    if (flags & CELL_POS_DELTA) {
+        const from = prev && isPosition(prev.position) ? prev.position : [0, 0, 0];
+        cell.position = from.map(v => v + input.zigzag());
+    }
+    if (flags & CELL_SIZE_UNIT) cell.size = [1, 1, 1];
+    if (flags & CELL_SIZE) cell.size = [input.varint(), input.varint(), input.varint()];
+    if (flags & CELL_FACE_STATES) cell.faceStates = input.byte();
+    if (flags & CELL_FACE_OPTIONS) cell.faceOptions = Array.from({ length: 6 }, () => readIdList(input, palette));
+    if (flags & CELL_FACE_SEGMENTS) {
+        cell.faceSegments = Array.from({ length: input.varint() }, () => {
+            const length = input.varint() - 1;
+            if (length < 0) return null;
+            return Array.from({ length }, () => (input.varint() === 0 ? null : readIdList(input, palette)));
+        });
+    }
+    if (flags & CELL_REFINEMENT) cell.refinement = readChunk(input, palette);
+    if (flags & CELL_EXTRA) Object.assign(cell, input.json());
+    return cell;
+}
+
+function readIdList(input, palette) {
+    return Array.from({ length: input.varint() }, () => {
+        const index = input.varint();
+        if (index >= palette.length) throw new Error(`decodeChunk: option index ${index} outside the palette`);
+        return palette[index];
+    });
+}
+
+function readId(input) {
+    const tag = input.byte();
+    switch (tag) {
+        case ID_UINT: return input.varint();
+        case ID_NEGATIVE: return -input.varint();
+        case ID_FLOAT: return input.float64();
+        case ID_STRING: return input.string();
+        default: throw new Error(`decodeChunk: unknown palette entry type ${tag}`);
+    }
+}
+
+// ─── Cell helpers ────────────────────────────────────────────
+
+// Everything but the position, as the key runs and rows are matched on
+function contentKey(cell) {
+    const { position, ...rest } = cell;
+    return JSON.stringify(rest);
+}
+
+// Where the next cell of a row starts: one cell width further along x
+function nextPosition(cell) {
+    const [x, y, z] = cell.position;
+    const width = isPosition(cell.size) ? cell.size[0] : 1;
+    return [x + width, y, z];
+}
+
+function samePosition(a, b, offset, axes = [true, true, true]) {
+    if (!isPosition(a) || !isPosition(b)) return false;
+    return axes.every((check, i) => !check || a[i] === b[i] + offset[i]);
+}
+
+function isPosition(value) {
+    return Array.isArray(value) && value.length === 3 && value.every(Number.isSafeInteger);
+}
+
+function isCount(value) {
+    return Number.isSafeInteger(value) && value >= 0;
+}
+
+function isIdList(list) {
+    return Array.isArray(list) && list.every(id => typeof id === 'string' || Number.isFinite(id));
+}
+
+function isFaceOptions(value) {
+    return Array.isArray(value) && value.length === 6 && value.every(isIdList);
+}
+
+function isFaceSegments(value) {
+    return Array.isArray(value) &&
+        value.every(face => face === null || (Array.isArray(face) && face.every(list => list === null || isIdList(list))));
+}
+
+function isChunk(value) {
+    return value !== null && typeof value === 'object' && Array.isArray(value.cells);
+}
+
+// Cells decoded from a run or row get their own arrays and refinements
+function structuredCopy(cell) {
+    return JSON.parse(JSON.stringify(cell));
+}
+
+// ─── Byte buffers ────────────────────────────────────────────
+
+class ByteWriter {
+    constructor() {
+        this._buffer = new Uint8Array(1024);
+        this._length = 0;
+    }
+
+    _reserve(n) {
+        if (this._length + n <= this._buffer.length) return;
+        const grown = new Uint8Array(Math.max(this._buffer.length * 2, this._length + n));
+        grown.set(this._buffer.subarray(0, this._length));
+        this._buffer = grown;
+    }
+
+    byte(value) {
+        this._reserve(1);
+        this._buffer[this._length++] = value;
+    }
+
+    bytes(data) {
+        this._reserve(data.length);
+        this._buffer.set(data, this._length);
+        this._length += data.length;
+    }
+
+    // Unsigned LEB128, exact up to Number.MAX_SAFE_INTEGER
+    varint(value) {
+        let v = value;
+        while (v >= 0x80) {
+            this.byte((v % 0x80) | 0x80);
+            v = Math.floor(v / 0x80);
+        }
+        this.byte(v);
+    }
+
+    zigzag(value) {
+        this.varint(value >= 0 ? value * 2 : -value * 2 - 1);
+    }
+
+    float64(value) {
+        const view = new DataView(new ArrayBuffer(8));
+        view.setFloat64(0, value, true);
+        this.bytes(new Uint8Array(view.buffer));
+    }
+
+    string(value) {
+        const data = new TextEncoder().encode(value);
+        this.varint(data.length);
+        this.bytes(data);
+    }
+
+    json(value) {
+        this.string(JSON.stringify(value));
+    }
+
+    finish() {
+        return this._buffer.slice(0, this._length);
+    }
+}
+
+class ByteReader {
+    constructor(data) {
+        this._data = data;
+        this._offset = 0;
+    }
+
+    get done() {
+        return this._offset === this._data.length;
+    }
+
+    get remaining() {
+        return this._data.length - this._offset;
+    }
+
+    byte() {
+        if (this._offset >= this._data.length) throw new Error('decodeChunk: unexpected end of data');
+        return this._data[this._offset++];
+    }
+
+    bytes(n) {
+        if (this._offset + n > this._data.length) throw new Error('decodeChunk: unexpected end of data');
+        const out = this._data.subarray(this._offset, this._offset + n);
+        this._offset += n;
+        return out;
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        for (;;) {
+            const b = this.byte();
+            value += (b & 0x7f) * scale;
+            if (b < 0x80) return value;
+            scale *= 0x80;
+            if (scale > Number.MAX_SAFE_INTEGER) throw new Error('decodeChunk: varint too long');
+        }
+    }
+
+    zigzag() {
+        const v = this.varint();
+        return v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+    }
+
+    float64() {
+        const data = this.bytes(8);
+        return new DataView(data.buffer, data.byteOffset, 8).getFloat64(0, true);
+    }
+
+    string() {
+        return new TextDecoder().decode(this.bytes(this.varint()));
+    }
+
+    json() {
+        return JSON.parse(this.string());
+    }
+}
@@ -0,0 +1,498 @@
+/**
+ * spp-collapse.js — SPP Chunk Collapse Solver
+ *
+ * Stage 2 collapse strategy (SPP-Core Section 4, left external by the spec):
+ * resolves every face of a chunk to a single option so that faces across a
+ * shared boundary are compatible. Wave-function-collapse style — collapse the
+ * lowest-entropy face, propagate through OPPOSITE_FACE neighbors, backtrack
+ * on contradiction.
+ *
+ * Usage:
+ *   import { collapseChunk } from './spp-collapse.js';
+ *
+ *   const result = collapseChunk(chunk, {}, { seed: 42 });
+ *   if (result.resolved) save({ seed: result.seed, ...result.chunk });
+ *   else console.warn(formatContradiction(result.contradiction));
+ */
+
+import {
+    OPPOSITE_FACE, FACE_NAMES, OPTION_TYPE, OPTION_CONTEXT,
+    DEFAULT_REGISTRY, OptionRegistry, coverageOf, isEmptyCell, faceContext,
+    createRandom, randomSeed, pickWeighted, getResolvedOption,
+    segmentCount, segmentOptions, setSegmentOptions,
+} from './spp-core.js';
+import { ChunkIndex } from './spp-spatial.js';
+import { checkRefinementBoundary } from './spp-validate.js';
+
+// Why a collapse failed
+export const CONTRADICTION_REASON = {
+    EMPTY_FACE: 'empty_face',               // no selectable option before search started
+    ADJACENCY: 'adjacency',                 // no compatible pair across a shared face
+    CELL_RULE: 'cell_rule',                 // rules.cell rejects every remaining combination
+    BACKTRACK_LIMIT: 'backtrack_limit',     // gave up after maxBacktracks
+};
+
+const DEFAULT_MAX_BACKTRACKS = 10000;
+
+// Largest option combination count rules.cell is forward-checked against
+const CELL_LOOKAHEAD = 256;
+
+// ═════════════════════════════════════════════════════════════
+// collapseChunk
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Collapse a whole chunk under adjacency rules.
+ *
+ * Every face with options is a variable whose domain is its registered,
+ * positively weighted options that the registry allows on that face.
+ * A cell larger than one unit has one variable per face segment, each
+ * constrained against the neighbor across it; segments that come out
+ * different from the first are written to faceSegments. Two faces across a shared boundary
+ * (cell face f ↔ neighbor face OPPOSITE_FACE[f]) must satisfy
+ * rules.compatible. Faces with no options (e.g. unused ±Y) stay [].
+ *
+ * Rules (all optional; a bare function is taken as `compatible`):
+ *   compatible(a, b, face) → boolean   a on `face` may meet b on the neighbor's
+ *                                      opposite face
+ *   exterior(id, face, cell) → boolean id may sit on a face with no neighbor
+ *                                      (or only empty cells across it)
+ *   interior(id, face, cell) → boolean id may sit on a refinement edge whose
+ *                                      parent face has a neighbor
+ *   cell(options, cell) → boolean      whole-cell check; options[f] is an id,
+ *                                      or null for faces without options
+ *                                      (the first segment on larger cells).
+ *                                      Forward-checked once few combinations remain
+ *
+ * Rules not given come from the registry's `meets` and `context` entries
+ * (OptionRegistry.collapseRules).
+ *
+ * Empty cells (isEmptyCell) are not constrained against their neighbors, and
+ * their neighbors see them as the exterior. Under sparse coverage a face
+ * with nothing across is undescribed: neither exterior nor interior applies.
+ *
+ * With `recursive`, refinements are collapsed after their parent, as
+ * separate problems: sub-faces on the edge of a Wall parent face may only
+ * take wall options and follow the exterior / interior rule of the parent
+ * face, and an Open parent edge left sealed is opened via
+ * checkRefinementBoundary's repair (see spp-validate.js).
+ *
+ * The input chunk is not modified.
+ *
+ * @param {Object} chunk - ParticleChunk { cells, gridX?, gridZ? }
+ * @param {Object|Function} [rules={}]
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] - drawn with randomSeed() when neither seed nor random is given
+ * @param {Function} [options.random] - () → [0, 1); overrides seed
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY]
+ * @param {Object|Map|Function} [options.weights] - per-call weights, as for collapseCell
+ * @param {number} [options.maxBacktracks=10000]
+ * @param {boolean} [options.recursive=true]
+ * @returns {Object} { resolved, chunk, contradiction, seed, backtracks } —
+ *          chunk is null and contradiction set when resolved is false
+ */
+export function collapseChunk(chunk, rules = {}, {
+    seed,
+    random,
+    registry = DEFAULT_REGISTRY,
+    weights,
+    maxBacktracks = DEFAULT_MAX_BACKTRACKS,
+    recursive = true,
+} = {}) {
+    const reg = OptionRegistry.from(registry);
+    if (!random && seed === undefined) seed = randomSeed();
+    const ctx = {
+        reg,
+        rules: normalizeRules(rules, reg),
+        random: random || createRandom(seed),
+        weightOf: weightLookup(weights, reg),
+        maxBacktracks,
+        recursive,
+        coverage: coverageOf(chunk),
+        backtracks: 0,
+    };
+
+    const out = { ...chunk, cells: (chunk.cells || []).map(copyCell) };
+    const contradiction = solveLevel(out, ctx, '', null);
+    return {
+        resolved: !contradiction,
+        chunk: contradiction ? null : out,
+        contradiction: contradiction || null,
+        seed,
+        backtracks: ctx.backtracks,
+    };
+}
+
+/**
+ * One-line description of a contradiction report.
+ */
+export function formatContradiction(contradiction) {
+    if (!contradiction) return '';
+    const where = `${contradiction.path} (${FACE_NAMES[contradiction.face]})`;
+    const across = contradiction.neighborPath ? ` ↔ ${contradiction.neighborPath}` : '';
+    return `${where}${across}: ${contradiction.message}`;
+}
+
+// ─── Rules ───────────────────────────────────────────────────
+
+// Rules not given fall back to the registry's (OptionRegistry.collapseRules)
+function normalizeRules(rules, reg) {
+    const r = typeof rules === 'function' ? { compatible: rules } : (rules || {});
+    const defaults = reg.collapseRules();
+    return {
+        compatible: r.compatible || defaults.compatible,
+        exterior: r.exterior || defaults.exterior,
+        interior: r.interior || defaults.interior,
+        cell: r.cell || null,
+    };
+}
+
+function weightLookup(weights, reg) {
+    return (id, face, cell) => {
+        let w;
+        if (typeof weights === 'function') w = weights(id, face, cell);
+        else if (weights instanceof Map) w = weights.get(id);
+        else if (weights) w = weights[id];
+        return w ?? reg.weightOf(id);
+    };
+}
+
+function copyCell(cell) {
+    const copy = { ...cell, faceOptions: cell.faceOptions.map(opts => [...opts]) };
+    if (cell.faceSegments) {
+        copy.faceSegments = cell.faceSegments.map(segments =>
+            segments ? segments.map(opts => opts ? [...opts] : opts) : segments);
+    }
+    if (cell.refinement) {
+        copy.refinement = { ...cell.refinement, cells: cell.refinement.cells.map(copyCell) };
+    }
+    return copy;
+}
+
+// ─── Level solver ────────────────────────────────────────────
+
+/**
+ * Solve one grid level in place, then its refinements.
+ * `edges` describes a refinement's outer faces: face → { type, context },
+ * from the parent face each edge covers (null at the root).
+ * @returns {Object|null} contradiction report
+ */
+function solveLevel(level, ctx, basePath, edges) {
+    const { reg, rules, random } = ctx;
+    const cells = level.cells;
+    const index = new ChunkIndex(cells);
+    const extent = edges ? levelExtent(cells, level) : null;
+
+    // ── Variables: one per (cell, face, segment) with options ──
+    const vars = [];                   // { cellIdx, face, segment }
+    const segVars = cells.map(() => [[], [], [], [], [], []]);   // [ci][face][segment] → v
+    cells.forEach((cell, ci) => {
+        for (let face = 0; face < 6; face++) {
+            for (let segment = 0; segment < segmentCount(cell, face); segment++) {
+                if (segmentOptions(cell, face, segment).length === 0) continue;
+                segVars[ci][face][segment] = vars.length;
+                vars.push({ cellIdx: ci, face, segment });
+            }
+        }
+    });
+    // The cell rule sees the first segment of each face
+    const varOf = segVars.map(faces => faces.map(segments => segments[0] ?? -1));
+    const cellIdx = new Map(cells.map((c, i) => [c, i]));
+    const pathOf = v => {
+        const { cellIdx: ci, face, segment } = vars[v];
+        return segmentCount(cells[ci], face) > 1
+            ? `${basePath}cells[${ci}].faceSegments[${face}][${segment}]`
+            : `${basePath}cells[${ci}].faceOptions[${face}]`;
+    };
+
+    // ── Domains, partners, unary filters ──
+    const weightsOf = vars.map(({ cellIdx: ci, face }) => id => ctx.weightOf(id, face, cells[ci]));
+    const domains = vars.map(({ cellIdx: ci, face, segment }, v) =>
+        segmentOptions(cells[ci], face, segment).filter(id =>
+            reg.has(id) && reg.allowedOnFace(id, face) && weightsOf[v](id) > 0)
+    );
+    const hasNeighbor = new Array(vars.length).fill(false);
+    const across = vars.map(() => []);   // cells across each variable's face segment
+    const partner = new Array(vars.length).fill(-1);
+    cells.forEach((cell, ci) => {
+        for (let face = 0; face < 6; face++) {
+            for (const { cell: n, segment, neighborSegment } of index.neighborsAcross(cell, face)) {
+                const v = segVars[ci][face][segment];
+                if (v === undefined) continue;
+                across[v].push(n);
+                if (isEmptyCell(cell) || isEmptyCell(n)) continue;
+                hasNeighbor[v] = true;
+                partner[v] = segVars[cellIdx.get(n)][OPPOSITE_FACE[face]][neighborSegment] ?? -1;
+            }
+        }
+    });
+
+    for (let v = 0; v < vars.length; v++) {
+        const { cellIdx: ci, face } = vars[v];
+        const cell = cells[ci];
+        if (hasNeighbor[v] || isEmptyCell(cell)) continue;
+        const edge = edges && onEdge(cell, face, extent) ? edges[face] : null;
+        if (edge?.type) domains[v] = domains[v].filter(id => reg.typeOf(id) === edge.type);
+        const context = edge ? edge.context : faceContext(across[v], ctx.coverage);
+        const allowed = context === OPTION_CONTEXT.EXTERIOR ? rules.exterior
+            : context === OPTION_CONTEXT.INTERIOR ? rules.interior : null;
+        if (allowed) domains[v] = domains[v].filter(id => allowed(id, face, cell));
+    }
+
+    for (let v = 0; v < vars.length; v++) {
+        if (domains[v].length === 0) {
+            return report(v, -1, CONTRADICTION_REASON.EMPTY_FACE,
+                'no registered, positively weighted option is allowed on this face');
+        }
+    }
+
+    // ── Trail + entropy heap ──
+    const trail = [];                  // [v, previous domain]
+    const version = new Array(vars.length).fill(0);
+    const noise = vars.map(() => random() * 1e-6);   // seeded tie-break
+    const heap = new MinHeap();
+
+    function entropy(v) {
+        const ws = domains[v].map(weightsOf[v]);
+        const total = ws.reduce((s, w) => s + w, 0);
+        const sum = ws.reduce((s, w) => s + w * Math.log(w), 0);
+        return Math.log(total) - sum / total + noise[v];
+    }
+    function enqueue(v) {
+        if (domains[v].length > 1) heap.push({ v, key: entropy(v), version: version[v] });
+    }
+    function setDomain(v, domain) {
+        trail.push([v, domains[v]]);
+        domains[v] = domain;
+        version[v]++;
+        enqueue(v);
+    }
+    function undo(length) {
+        while (trail.length > length) {
+            const [v, previous] = trail.pop();
+            domains[v] = previous;
+            version[v]++;
+            enqueue(v);
+        }
+    }
+    function nextVariable() {
+        while (heap.size > 0) {
+            const { v, version: ver } = heap.pop();
+            if (ver === version[v] && domains[v].length > 1) return v;
+        }
+        return -1;
+    }
+
+    // ── Propagation ──
+    // b (on u) has a partner option on x that accepts it
+    function supported(b, x) {
+        const face = vars[x].face;
+        return domains[x].some(a => rules.compatible(a, b, face));
+    }
+    // Cell rule propagation: keep only the options that appear in some
+    // combination rules.cell accepts. Skipped while the cell's combinations
+    // exceed CELL_LOOKAHEAD. Returns false on contradiction.
+    function reviseCell(ci, queue) {
+        if (!rules.cell) return true;
+        const faceDomains = [];
+        let combinations = 1;
+        for (let face = 0; face < 6; face++) {
+            const v = varOf[ci][face];
+            faceDomains.push(v < 0 ? [null] : domains[v]);
+            combinations *= faceDomains[face].length;
+        }
+        if (combinations > CELL_LOOKAHEAD) return true;
+
+        const accepted = faceDomains.map(() => new Set());
+        const options = new Array(6);
+        const search = face => {
+            if (face === 6) {
+                if (rules.cell([...options], cells[ci])) options.forEach((id, f) => accepted[f].add(id));
+                return;
+            }
+            for (const id of faceDomains[face]) {
+                options[face] = id;
+                search(face + 1);
+            }
+        };
+        search(0);
+
+        for (let face = 0; face < 6; face++) {
+            const v = varOf[ci][face];
+            if (v < 0) continue;
+            const kept = domains[v].filter(id => accepted[face].has(id));
+            if (kept.length === 0) return false;
+            if (kept.length < domains[v].length) {
+                setDomain(v, kept);
+                queue.push(v);
+            }
+        }
+        return true;
+    }
+    function propagate(queue) {
+        while (queue.length > 0) {
+            const x = queue.pop();
+            const u = partner[x];
+            if (u >= 0) {
+                const filtered = domains[u].filter(b => supported(b, x));
+                if (filtered.length === 0) {
+                    return report(x, u, CONTRADICTION_REASON.ADJACENCY,
+                        `no option pair satisfies the adjacency rules ([${domains[x].join(', ')}] vs [${domains[u].join(', ')}])`);
+                }
+                if (filtered.length < domains[u].length) {
+                    setDomain(u, filtered);
+                    queue.push(u);
+                }
+            }
+            if (!reviseCell(vars[x].cellIdx, queue)) {
+                return report(x, -1, CONTRADICTION_REASON.CELL_RULE, 'no remaining option combination satisfies the cell rule');
+            }
+        }
+        return null;
+    }
+
+    function report(v, u, reason, message) {
+        const { cellIdx: ci, face } = vars[v];
+        return {
+            reason,
+            path: pathOf(v),
+            position: [...cells[ci].position],
+            face,
+            neighborPath: u >= 0 ? pathOf(u) : null,
+            options: [...domains[v]],
+            message,
+        };
+    }
+
+    // ── Search ──
+    for (let v = 0; v < vars.length; v++) enqueue(v);
+    let conflict = propagate(vars.map((_, v) => v));
+    if (conflict) return conflict;
+
+    const stack = [];                  // { v, trailLength, tried }
+    for (let v = nextVariable(); v >= 0; v = nextVariable()) {
+        stack.push({ v, trailLength: trail.length, tried: [] });
+
+        let decided = false;
+        while (stack.length > 0 && !decided) {
+            const frame = stack[stack.length - 1];
+            undo(frame.trailLength);
+            const remaining = domains[frame.v].filter(id => !frame.tried.includes(id));
+            if (remaining.length === 0) {
+                stack.pop();
+                continue;
+            }
+            const value = pickWeighted(remaining, remaining.map(weightsOf[frame.v]), random);
+            frame.tried.push(value);
+            setDomain(frame.v, [value]);
+            conflict = propagate([frame.v]);
+            if (!conflict) {
+                decided = true;
+            } else if (++ctx.backtracks > ctx.maxBacktracks) {
+                return { ...conflict, reason: CONTRADICTION_REASON.BACKTRACK_LIMIT,
+                    message: `gave up after ${ctx.maxBacktracks} backtracks; last conflict: ${conflict.message}` };
+            }
+        }
+        if (!decided) return conflict;
+    }
+
+    // ── Write back, then descend ──
+    // A face takes its first segment's option; other segments are
+    // overrides only where they differ
+    vars.forEach(({ cellIdx: ci, face, segment }, v) => {
+        if (segment === 0) cells[ci].faceOptions[face] = [domains[v][0]];
+    });
+    vars.forEach(({ cellIdx: ci, face, segment }, v) => {
+        if (segmentCount(cells[ci], face) === 1) return;
+        const cell = cells[ci];
+        if (domains[v][0] !== cell.faceOptions[face][0]) setSegmentOptions(cell, face, segment, [domains[v][0]]);
+        else if (cell.faceSegments?.[face]) cell.faceSegments[face][segment] = null;
+    });
+
+    if (!ctx.recursive) return null;
+    for (let ci = 0; ci < cells.length; ci++) {
+        const cell = cells[ci];
+        const ref = cell.refinement;
+        if (!ref || !Array.isArray(ref.cells) || ref.cells.length === 0) continue;
+
+        const cellEdges = [];
+        for (let face = 0; face < 6; face++) {
+            cellEdges[face] = {
+                type: reg.isWall(getResolvedOption(cell, face)) ? OPTION_TYPE.WALL : null,
+                context: faceContext(index.neighborsAcross(cell, face).map(n => n.cell), ctx.coverage),
+            };
+        }
+        const sub = solveLevel(ref, ctx, `${basePath}cells[${ci}].refinement.`, cellEdges);
+        if (sub) return sub;
+        checkRefinementBoundary(cell, { registry: reg, repair: true });
+    }
+    return null;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function levelExtent(cells, level) {
+    const max = axis => Math.max(0, ...cells.map(c => c.position[axis] + span(c, axis)));
+    return { gridX: level.gridX || max(0), gridZ: level.gridZ || max(2) };
+}
+
+function span(cell, axis) {
+    return Math.max(1, cell.size?.[axis] ?? 1);
+}
+
+// Edge test for a refinement grid; it subdivides X and Z only, so ±Y faces are always on the edge
+function onEdge(cell, face, extent) {
+    const p = cell.position;
+    switch (face) {
+        case 2: case 3: return true;
+        case 0: return p[0] + span(cell, 0) >= extent.gridX;
+        case 1: return p[0] === 0;
+        case 4: return p[2] + span(cell, 2) >= extent.gridZ;
+        case 5: return p[2] === 0;
+        default: return false;
+    }
+}
+
+// Binary min-heap on .key
+class MinHeap {
+    constructor() {
+        this._items = [];
+    }
+
+    get size() {
+        return this._items.length;
+    }
+
+    push(item) {
+        const a = this._items;
+        a.push(item);
+        let i = a.length - 1;
+        while (i > 0) {
+            const p = (i - 1) >> 1;
+            if (a[p].key <= a[i].key) break;
+            [a[p], a[i]] = [a[i], a[p]];
+            i = p;
+        }
+    }
+
+    pop() {
+        const a = this._items;
+        const top = a[0];
+        const last = a.pop();
+        if (a.length > 0) {
+            a[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1;
+                const r = l + 1;
+                let m = i;
+                if (l < a.length && a[l].key < a[m].key) m = l;
+                if (r < a.length && a[r].key < a[m].key) m = r;
+                if (m === i) break;
+                [a[m], a[i]] = [a[i], a[m]];
+                i = m;
+            }
+        }
+        return top;
+    }
+}
@@ -3,8 +3,21 @@
  *
  * Shared definitions for all SPP applications.
  * Maps directly to SPP-Core v1.0 spec:
- *   ParticleCell { position, size, faceStates, faceOptions }
- *   ParticleChunk { cells[] }
+ *   ParticleCell { position, size, faceStates, faceOptions, faceSegments?, empty? }
+ *   ParticleChunk { cells[], coverage? }
+ *
+ * A cell may be larger than one grid unit (spec Section 3.2.2, e.g. size
+ * [6, 1, 4]). Its faces then border several unit neighbors: each face is
+ * split into unit segments, faceOptions[face] applies to every segment and
+ * faceSegments[face][k] (when set) overrides segment k. See segmentCount.
+ *
+ * Option ids are opaque (spec Section 3.2.4): the built-in vocabulary uses
+ * small integers, but any registered number or string — a database key,
+ * a URI, an IPFS CID — is a valid id. Ids are compared with ===.
+ *
+ * Space with no cell is the exterior in a closed chunk and undescribed in a
+ * sparse one (`coverage: 'sparse'`); an `empty: true` cell asserts space that
+ * is explicitly clear. See COVERAGE and faceContext.
  */
 
 // ═════════════════════════════════════════════════════════════
@@ -60,25 +73,576 @@ export const OPTION_TYPE = {
     WALL: 'wall',
 };
 
-// Face Option Registry — each id maps to { name, type, color, alpha }
+// Type query for partial-height barriers (entries with halfHeight: true).
+// Not a third OPTION_TYPE value — a partial option is still 'wall' for connectivity.
+export const PARTIAL = 'partial';
+
+// How a ±Y option is drawn and what it means for vertical circulation.
+// Entries with `vertical` set belong on the ±Y faces; all others on ±X / ±Z.
+export const VERTICAL_KIND = {
+    SLAB: 'slab',           // floor / ceiling plate — closes the storey
+    OPENING: 'opening',     // void in the slab (double-height space, atrium)
+    STAIR: 'stair',         // stair flight rising from this storey to the next
+    ELEVATOR: 'elevator',   // elevator shaft continuing through the slab
+};
+
+const HORIZONTAL_FACES = [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z];
+const VERTICAL_FACES = [FACE.POS_Y, FACE.NEG_Y];
+
+// Where a face sits: on the outside of the chunk (no neighbor across it, or
+// an empty cell) or on a boundary shared with a neighbor. Entries restrict
+// this via `context`; see faceContext.
+export const OPTION_CONTEXT = {
+    ANY: 'any',
+    EXTERIOR: 'exterior',
+    INTERIOR: 'interior',
+};
+
+// Face Option Registry — each id maps to { name, type, color, alpha, priority }
 // type: 'open' = passage, 'wall' = barrier
+// priority: which side wins when two faces of a shared boundary disagree
+//           (features > plain walls > empty)
+// feature: pierced into walls by the inverse pipeline (offered in the feature prompt)
+// hint: short description used when the option is listed in AI prompts
+// weight: relative likelihood in collapseCell (default 1, 0 = never picked)
+// context: where the face may sit — OPTION_CONTEXT.EXTERIOR (no neighbor across),
+//          INTERIOR (shared with a neighbor) or ANY (default)
+// meets: { types?, ids? } — what the neighbor's opposite face may hold
+//        (default: any option of the same type)
+// vertical: VERTICAL_KIND for ±Y options
+// faces: face indices the option may sit on (default: ±Y for vertical
+//        options, ±X / ±Z otherwise)
+// opposite: the id the neighbor's opposite face shows for the same boundary
+//           (default: the same id) — a ceiling below is a floor above
 export const OPTION_REGISTRY = {
     // Open types (connections)
-    0: { name: 'Empty', type: OPTION_TYPE.OPEN, color: 0x000000, alpha: 0.0 },
-    1: { name: 'Arch Door', type: OPTION_TYPE.OPEN, color: 0x8b7355, alpha: 1.0 },
-    2: { name: 'Rectangular Door', type: OPTION_TYPE.OPEN, color: 0x6b5b45, alpha: 1.0 },
+    0: { name: 'Empty', type: OPTION_TYPE.OPEN, color: 0x000000, alpha: 0.0, priority: 0 },
+    1: { name: 'Arch Door', type: OPTION_TYPE.OPEN, color: 0x8b7355, alpha: 1.0, priority: 2, feature: true, hint: 'arched opening' },
+    2: { name: 'Rectangular Door', type: OPTION_TYPE.OPEN, color: 0x6b5b45, alpha: 1.0, priority: 2, feature: true, hint: 'standard door, most common' },
 
     // Wall types (barriers)
-    10: { name: 'Brick Wall', type: OPTION_TYPE.WALL, color: 0x8b4513, alpha: 1.0 },
-    11: { name: 'Earth Wall', type: OPTION_TYPE.WALL, color: 0xa0855b, alpha: 1.0 },
-    12: { name: 'Half-height Wall', type: OPTION_TYPE.WALL, color: 0x9e8e7e, alpha: 1.0, halfHeight: true },
-    13: { name: 'Green Hedge', type: OPTION_TYPE.WALL, color: 0x2d5a27, alpha: 1.0 },
-    20: { name: 'Window', type: OPTION_TYPE.WALL, color: 0x88bbdd, alpha: 0.6, halfHeight: true },
+    10: { name: 'Brick Wall', type: OPTION_TYPE.WALL, color: 0x8b4513, alpha: 1.0, priority: 1 },
+    11: { name: 'Earth Wall', type: OPTION_TYPE.WALL, color: 0xa0855b, alpha: 1.0, priority: 1 },
+    12: { name: 'Half-height Wall', type: OPTION_TYPE.WALL, color: 0x9e8e7e, alpha: 1.0, priority: 1, halfHeight: true },
+    13: { name: 'Green Hedge', type: OPTION_TYPE.WALL, color: 0x2d5a27, alpha: 1.0, priority: 1, context: OPTION_CONTEXT.EXTERIOR },
+    20: { name: 'Window', type: OPTION_TYPE.WALL, color: 0x88bbdd, alpha: 0.6, priority: 2, halfHeight: true, feature: true, hint: 'glazed panel, only on exterior walls', context: OPTION_CONTEXT.EXTERIOR },
+
+    // Vertical types (±Y faces — storeys)
+    40: { name: 'Floor', type: OPTION_TYPE.WALL, color: 0xd8d0c0, alpha: 1.0, priority: 1, vertical: VERTICAL_KIND.SLAB, faces: [FACE.NEG_Y], opposite: 41, meets: { ids: [41] } },
+    41: { name: 'Ceiling', type: OPTION_TYPE.WALL, color: 0xeae6de, alpha: 1.0, priority: 1, vertical: VERTICAL_KIND.SLAB, faces: [FACE.POS_Y], opposite: 40, meets: { ids: [40] } },
+    42: { name: 'Slab Opening', type: OPTION_TYPE.OPEN, color: 0x000000, alpha: 0.0, priority: 0, vertical: VERTICAL_KIND.OPENING },
+    43: { name: 'Stair', type: OPTION_TYPE.OPEN, color: 0xb08d57, alpha: 1.0, priority: 2, vertical: VERTICAL_KIND.STAIR },
+    44: { name: 'Elevator Shaft', type: OPTION_TYPE.OPEN, color: 0x7a8a99, alpha: 0.5, priority: 2, vertical: VERTICAL_KIND.ELEVATOR, meets: { ids: [44] } },
 };
 
 export const OPEN_IDS = [0, 1, 2];
 export const WALL_IDS = [10, 11, 12, 13, 20];
-export const ALL_IDS = [...OPEN_IDS, ...WALL_IDS];
+export const VERTICAL_IDS = [40, 41, 42, 43, 44];
+export const ALL_IDS = [...OPEN_IDS, ...WALL_IDS];   // horizontal faces
+
+// Semantic roles — the ids generators and parsers write when they mean
+// "same room", "door", "plain wall" or "window" rather than a specific variant
+export const OPTION_ROLE = {
+    OPEN: 'open',
+    DOOR: 'door',
+    WALL: 'wall',
+    WINDOW: 'window',
+    FLOOR: 'floor',
+    CEILING: 'ceiling',
+    SLAB_OPENING: 'slab-opening',
+    STAIR: 'stair',
+    ELEVATOR: 'elevator',
+};
+
+const DEFAULT_ROLES = {
+    [OPTION_ROLE.OPEN]: 0,
+    [OPTION_ROLE.DOOR]: 2,
+    [OPTION_ROLE.WALL]: 10,
+    [OPTION_ROLE.WINDOW]: 20,
+    [OPTION_ROLE.FLOOR]: 40,
+    [OPTION_ROLE.CEILING]: 41,
+    [OPTION_ROLE.SLAB_OPENING]: 42,
+    [OPTION_ROLE.STAIR]: 43,
+    [OPTION_ROLE.ELEVATOR]: 44,
+};
+
+// Option ID namespaces (SPP-Inverse-Modeling Section 5.4) — illustrative ranges.
+// Numeric namespaces use { min, max }; string namespaces use { prefix }.
+export const DEFAULT_NAMESPACES = {
+    core: { min: 0, max: 99, description: 'Parametric description' },
+    mesh: { min: 1000, max: 1999, description: 'Polygon mesh (.glb)' },
+    sdf: { min: 2000, max: 2999, description: 'Signed distance field' },
+    nerf: { min: 3000, max: 3999, description: 'NeRF checkpoint' },
+    procedural: { min: 4000, max: 4999, description: 'Procedural generator (WASM)' },
+    ipfs: { prefix: 'ipfs://', description: 'Content-addressed asset (IPFS CID)' },
+};
+
+// ═════════════════════════════════════════════════════════════
+// Option Registry
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * A mutable face option vocabulary.
+ *
+ * Wraps the same { name, type, color, alpha, ... } entries as OPTION_REGISTRY,
+ * adds type queries, semantic roles and namespaced ID ranges. Pass an instance
+ * as `registry` to createCell, collapseCell, cycleOption, generateCellsFromLayout,
+ * parseAIResponse or SPPInverseEngine to ship a project-specific vocabulary.
+ *
+ *   const registry = new OptionRegistry();           // starts with the defaults
+ *   registry.register(30, { name: 'Glass Partition', type: 'wall', color: 0xcfe8f5, alpha: 0.4 });
+ *   const id = registry.allocate('mesh', { name: 'Carved Gate', type: 'open' });  // → 1000
+ *   registry.register('ipfs://bafybeigdyrzt…', { name: 'Scanned Facade', type: 'wall', namespace: 'ipfs' });
+ */
+export class OptionRegistry {
+    /**
+     * @param {Object} [entries=OPTION_REGISTRY] - id → entry table to start from
+     * @param {Object} [options]
+     * @param {Object} [options.roles] - role → id overrides (see OPTION_ROLE)
+     * @param {Object} [options.namespaces=DEFAULT_NAMESPACES] - name → { min, max } or { prefix }
+     */
+    constructor(entries = OPTION_REGISTRY, { roles = {}, namespaces = DEFAULT_NAMESPACES } = {}) {
+        this._entries = new Map();
+        this._namespaces = new Map();
+        this._roles = new Map();
+
+        for (const [name, range] of Object.entries(namespaces)) this.defineNamespace(name, range);
+        for (const [id, entry] of Object.entries(entries)) this.register(toId(id), entry);
+        for (const [role, id] of Object.entries({ ...DEFAULT_ROLES, ...roles })) {
+            if (this._entries.has(id)) this._roles.set(role, id);
+        }
+    }
+
+    /**
+     * Accept an OptionRegistry or a plain id → entry table (e.g. OPTION_REGISTRY).
+     */
+    static from(registry) {
+        if (registry instanceof OptionRegistry) return registry;
+        if (!registry || registry === OPTION_REGISTRY) return DEFAULT_REGISTRY;
+        return new OptionRegistry(registry);
+    }
+
+    // ─── Entries ─────────────────────────────────────────────
+
+    /**
+     * Register a new option. Throws if the id is not a finite number or a
+     * non-empty string, is taken, the type, context or vertical kind is
+     * unknown, or the id falls outside entry.namespace.
+     */
+    register(id, entry) {
+        if (!isOptionId(id)) throw new Error(`Option id must be a finite number or a non-empty string, got ${JSON.stringify(id)}`);
+        if (this._entries.has(id)) throw new Error(`Option id ${JSON.stringify(id)} is already registered`);
+        if (!entry || (entry.type !== OPTION_TYPE.OPEN && entry.type !== OPTION_TYPE.WALL)) {
+            throw new Error(`Option ${id} must have type '${OPTION_TYPE.OPEN}' or '${OPTION_TYPE.WALL}'`);
+        }
+        if (entry.context && !Object.values(OPTION_CONTEXT).includes(entry.context)) {
+            throw new Error(`Option ${id} has unknown context "${entry.context}"`);
+        }
+        if (entry.vertical && !Object.values(VERTICAL_KIND).includes(entry.vertical)) {
+            throw new Error(`Option ${id} has unknown vertical kind "${entry.vertical}"`);
+        }
+        if (entry.namespace) {
+            const ns = this._namespaces.get(entry.namespace);
+            if (!ns) throw new Error(`Unknown option namespace "${entry.namespace}"`);
+            if (!inNamespace(id, ns)) {
+                throw new Error(`Option id ${JSON.stringify(id)} is outside namespace "${entry.namespace}" (${describeNamespace(ns)})`);
+            }
+        }
+        this._entries.set(id, Object.freeze({ ...entry }));
+        return this;
+    }
+
+    /**
+     * Remove an option. Roles pointing at it are cleared.
+     */
+    unregister(id) {
+        const removed = this._entries.delete(id);
+        for (const [role, roleId] of this._roles) {
+            if (roleId === id) this._roles.delete(role);
+        }
+        return removed;
+    }
+
+    has(id) {
+        return this._entries.has(id);
+    }
+
+    /**
+     * Map a raw id from untrusted input (AI output, JSON, query strings) to the
+     * registered id, or null. Numeric strings match numeric ids and vice
+     * versa ("10" → 10), so text-based sources need no per-caller coercion.
+     */
+    resolveId(raw) {
+        if (this._entries.has(raw)) return raw;
+        if (typeof raw === 'string') {
+            const trimmed = raw.trim();
+            if (this._entries.has(trimmed)) return trimmed;
+            if (NUMERIC_KEY.test(trimmed) && this._entries.has(Number(trimmed))) return Number(trimmed);
+        } else if (typeof raw === 'number' && this._entries.has(String(raw))) {
+            return String(raw);
+        }
+        return null;
+    }
+
+    get(id) {
+        return this._entries.get(id) || null;
+    }
+
+    /** All registered ids, in registration order. */
+    ids() {
+        return [...this._entries.keys()];
+    }
+
+    entries() {
+        return [...this._entries.entries()];
+    }
+
+    // ─── Type queries ────────────────────────────────────────
+
+    /** 'open' | 'wall' | null for unknown ids */
+    typeOf(id) {
+        return this._entries.get(id)?.type || null;
+    }
+
+    isOpen(id) {
+        return this.typeOf(id) === OPTION_TYPE.OPEN;
+    }
+
+    isWall(id) {
+        return this.typeOf(id) === OPTION_TYPE.WALL;
+    }
+
+    isPartial(id) {
+        return this._entries.get(id)?.halfHeight === true;
+    }
+
+    // ─── Adjacency & context rules ───────────────────────────
+
+    /**
+     * Whether an option may sit on a face in the given context
+     * (OPTION_CONTEXT.EXTERIOR / INTERIOR). Unknown ids are never allowed;
+     * a context of ANY (or undefined) allows every known id.
+     */
+    allowedIn(id, context) {
+        const entry = this._entries.get(id);
+        if (!entry) return false;
+        const required = entry.context || OPTION_CONTEXT.ANY;
+        if (required === OPTION_CONTEXT.ANY || !context || context === OPTION_CONTEXT.ANY) return true;
+        return required === context;
+    }
+
+    /**
+     * Whether option a on one side of a shared boundary may face option b
+     * on the other: both must be allowed on interior faces and meet(a, b).
+     */
+    canMeet(a, b) {
+        if (!this.allowedIn(a, OPTION_CONTEXT.INTERIOR) || !this.allowedIn(b, OPTION_CONTEXT.INTERIOR)) return false;
+        return this.meets(a, b);
+    }
+
+    /**
+     * The `meets` half of canMeet, without the context check: each entry's
+     * `meets` rule (default: same type) accepts the other side.
+     */
+    meets(a, b) {
+        if (!this._entries.has(a) || !this._entries.has(b)) return false;
+        return this._accepts(a, b) && this._accepts(b, a);
+    }
+
+    _accepts(a, b) {
+        const rule = this._entries.get(a).meets;
+        if (!rule) return this.typeOf(a) === this.typeOf(b);
+        return (rule.types || []).includes(this.typeOf(b)) || (rule.ids || []).includes(b);
+    }
+
+    /**
+     * The registry's adjacency and context rules in collapseChunk's format
+     * (see spp-collapse.js). collapseChunk uses them for any rule not given.
+     * Two sides are compatible when they canMeet and b is a's reciprocal,
+     * so collapsed chunks pass checkReciprocity.
+     */
+    collapseRules() {
+        return {
+            compatible: (a, b) => this.canMeet(a, b) && this.reciprocalOf(a) === b,
+            exterior: id => this.allowedIn(id, OPTION_CONTEXT.EXTERIOR),
+            interior: id => this.allowedIn(id, OPTION_CONTEXT.INTERIOR),
+        };
+    }
+
+    /**
+     * @param {string} type - OPTION_TYPE.OPEN, OPTION_TYPE.WALL or PARTIAL
+     * @returns {Array} matching ids in registration order
+     */
+    idsOfType(type) {
+        if (type === PARTIAL) return this.ids().filter(id => this.isPartial(id));
+        return this.ids().filter(id => this.typeOf(id) === type);
+    }
+
+    /** Collapse weight of an option: entry.weight, 1 when unset, 0 for unknown ids. */
+    weightOf(id) {
+        const entry = this._entries.get(id);
+        if (!entry) return 0;
+        return entry.weight ?? 1;
+    }
+
+    // ─── Faces ───────────────────────────────────────────────
+
+    /** VERTICAL_KIND of a ±Y option, or null. */
+    verticalKind(id) {
+        return this._entries.get(id)?.vertical || null;
+    }
+
+    /** Whether an option may sit on a face index (entry.faces, see OPTION_REGISTRY). */
+    allowedOnFace(id, face) {
+        const entry = this._entries.get(id);
+        if (!entry) return false;
+        const faces = entry.faces || (entry.vertical ? VERTICAL_FACES : HORIZONTAL_FACES);
+        return faces.includes(face);
+    }
+
+    /** Registered ids allowed on a face, in registration order. */
+    idsForFace(face) {
+        return this.ids().filter(id => this.allowedOnFace(id, face));
+    }
+
+    /**
+     * The id the neighbor's face shows for the same boundary: entry.opposite,
+     * or the id itself. A Ceiling (41) below pairs with a Floor (40) above.
+     */
+    reciprocalOf(id) {
+        return this._entries.get(id)?.opposite ?? id;
+    }
+
+    /** Options the inverse pipeline pierces into walls (entries with feature: true). */
+    featureIds() {
+        return this.ids().filter(id => this._entries.get(id).feature === true);
+    }
+
+    // ─── Roles ───────────────────────────────────────────────
+
+    /**
+     * The id used for a semantic role (see OPTION_ROLE). Throws when unset,
+     * so generators never silently write an unregistered id.
+     */
+    role(role) {
+        if (!this._roles.has(role)) throw new Error(`No option registered for role "${role}"`);
+        return this._roles.get(role);
+    }
+
+    hasRole(role) {
+        return this._roles.has(role);
+    }
+
+    setRole(role, id) {
+        if (!this._entries.has(id)) throw new Error(`Cannot assign role "${role}" to unregistered option ${id}`);
+        this._roles.set(role, id);
+        return this;
+    }
+
+    // ─── Namespaces ──────────────────────────────────────────
+
+    /**
+     * Define a numeric range ({ min, max }) or a string prefix ({ prefix })
+     * namespace. Ranges and prefixes may not overlap existing namespaces.
+     */
+    defineNamespace(name, { min, max, prefix, description = '' }) {
+        let ns;
+        if (prefix !== undefined) {
+            if (typeof prefix !== 'string' || prefix.length === 0) {
+                throw new Error(`Namespace "${name}" needs a non-empty string prefix`);
+            }
+            ns = { prefix, description };
+        } else {
+            if (!Number.isInteger(min) || !Number.isInteger(max) || min > max) {
+                throw new Error(`Namespace "${name}" needs integer bounds with min <= max, or a prefix`);
+            }
+            ns = { min, max, description };
+        }
+        for (const [other, range] of this._namespaces) {
+            if (other !== name && namespacesOverlap(ns, range)) {
+                throw new Error(`Namespace "${name}" (${describeNamespace(ns)}) overlaps "${other}" (${describeNamespace(range)})`);
+            }
+        }
+        this._namespaces.set(name, Object.freeze(ns));
+        return this;
+    }
+
+    namespaces() {
+        return Object.fromEntries(this._namespaces);
+    }
+
+    /** Name of the namespace whose range or prefix contains id, or null. */
+    namespaceOf(id) {
+        for (const [name, ns] of this._namespaces) {
+            if (inNamespace(id, ns)) return name;
+        }
+        return null;
+    }
+
+    /**
+     * Register an entry under the lowest free id of a numeric namespace.
+     * @returns {number} the allocated id
+     */
+    allocate(namespace, entry) {
+        const ns = this._namespaces.get(namespace);
+        if (!ns) throw new Error(`Unknown option namespace "${namespace}"`);
+        if (ns.prefix !== undefined) {
+            throw new Error(`Option namespace "${namespace}" is prefix-based — register ids explicitly`);
+        }
+        for (let id = ns.min; id <= ns.max; id++) {
+            if (!this._entries.has(id)) {
+                this.register(id, { ...entry, namespace });
+                return id;
+            }
+        }
+        throw new Error(`Option namespace "${namespace}" is full`);
+    }
+}
+
+// Canonical integer spelling only — "007" or "1e3" stay strings
+const NUMERIC_KEY = /^(0|-?[1-9]\d*)$/;
+
+// Object keys are strings — restore numeric ids ("10" → 10)
+function toId(key) {
+    return NUMERIC_KEY.test(key) ? Number(key) : key;
+}
+
+function isOptionId(id) {
+    return (typeof id === 'number' && Number.isFinite(id)) || (typeof id === 'string' && id.length > 0);
+}
+
+function inNamespace(id, ns) {
+    if (ns.prefix !== undefined) return typeof id === 'string' && id.startsWith(ns.prefix);
+    return typeof id === 'number' && id >= ns.min && id <= ns.max;
+}
+
+function namespacesOverlap(a, b) {
+    if (a.prefix !== undefined && b.prefix !== undefined) {
+        return a.prefix.startsWith(b.prefix) || b.prefix.startsWith(a.prefix);
+    }
+    if (a.prefix !== undefined || b.prefix !== undefined) return false;
+    return a.min <= b.max && a.max >= b.min;
+}
+
+function describeNamespace(ns) {
+    return ns.prefix !== undefined ? `prefix "${ns.prefix}"` : `${ns.min}–${ns.max}`;
+}
+
+// Shared default instance built from OPTION_REGISTRY
+export const DEFAULT_REGISTRY = new OptionRegistry();
+
+// ═════════════════════════════════════════════════════════════
+// Seeded Randomness
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Deterministic PRNG (mulberry32). Same seed → same sequence, on every
+ * platform, so a world can be regenerated from the seed stored with it.
+ *
+ *   const random = createRandom(chunk.seed);
+ *   random();  // → [0, 1), like Math.random
+ *
+ * @param {number|string} seed - integers are used as-is (mod 2^32), anything else is hashed.
+ *        Integer strings ("12345") count as integers, so seeds survive URLs and JSON text.
+ * @returns {Function} () → number in [0, 1)
+ */
+export function createRandom(seed) {
+    if (typeof seed === 'string' && NUMERIC_KEY.test(seed.trim())) seed = Number(seed.trim());
+    let state = Number.isInteger(seed) ? seed >>> 0 : hashSeed(String(seed));
+    return function random() {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh 32-bit seed, for callers that want a random world but still need
+ * to record how to reproduce it.
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Pick one item with probability proportional to its weight.
+ * Items with weight <= 0 are never picked; returns undefined when none remain.
+ *
+ * @param {Array} items
+ * @param {Array<number>} weights - parallel to items
+ * @param {Function} [random=Math.random]
+ */
+export function pickWeighted(items, weights, random = Math.random) {
+    let total = 0;
+    for (const w of weights) if (w > 0) total += w;
+    if (total <= 0) return undefined;
+
+    let r = random() * total;
+    for (let i = 0; i < items.length; i++) {
+        if (!(weights[i] > 0)) continue;
+        r -= weights[i];
+        if (r < 0) return items[i];
+    }
+    // float rounding: fall back to the last pickable item
+    for (let i = items.length - 1; i >= 0; i--) {
+        if (weights[i] > 0) return items[i];
+    }
+    return undefined;
+}
+
+// FNV-1a, for string seeds
+function hashSeed(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+// ═════════════════════════════════════════════════════════════
+// Spatial Coverage (SPP-Spatial-Coverage Section 2)
+// ═════════════════════════════════════════════════════════════
+
+// What a chunk's `coverage` says about space no cell covers
+export const COVERAGE = {
+    CLOSED: 'closed',   // tessellated: uncovered space is the exterior (default)
+    SPARSE: 'sparse',   // uncovered space is undescribed; nothing is assumed about it
+};
+
+/**
+ * Coverage mode of a chunk; root cell arrays and chunks without the field are closed.
+ */
+export function coverageOf(chunk) {
+    return (!Array.isArray(chunk) && chunk?.coverage) || COVERAGE.CLOSED;
+}
+
+/**
+ * Whether a cell is an empty cell: described space that is explicitly clear
+ * (a yard, a street, open sky). Its neighbors treat it as the exterior, and
+ * its own faces are not compared against theirs.
+ */
+export function isEmptyCell(cell) {
+    return cell?.empty === true;
+}
+
+/**
+ * Context of a face, or one face segment, from the cells across it:
+ * INTERIOR when a described cell is there, EXTERIOR for empty cells or —
+ * in a closed chunk — nothing, and null for undescribed space (nothing, in
+ * a sparse chunk), where no context rule applies.
+ *
+ * @param {Array<Object>} across - cells across the face
+ * @param {string} [coverage=COVERAGE.CLOSED]
+ * @returns {string|null} OPTION_CONTEXT.INTERIOR, OPTION_CONTEXT.EXTERIOR or null
+ */
+export function faceContext(across, coverage = COVERAGE.CLOSED) {
+    if (across.some(cell => !isEmptyCell(cell))) return OPTION_CONTEXT.INTERIOR;
+    if (across.length > 0 || coverage !== COVERAGE.SPARSE) return OPTION_CONTEXT.EXTERIOR;
+    return null;
+}
 
 // ═════════════════════════════════════════════════════════════
 // Cell Operations
@@ -94,15 +658,124 @@ export function getResolvedOption(cell, faceIndex) {
     return null;
 }
 
+// ─── Face Segments (cells with size > 1) ─────────────────────
+
+// The two axes spanning each face, in segment order (rows, then columns)
+const FACE_TANGENTS = [[1, 2], [1, 2], [0, 2], [0, 2], [0, 1], [0, 1]];
+
+// Unit segments along an axis: 1 for unit and fractional cells
+function segmentSpan(cell, axis) {
+    return Math.max(1, Math.ceil(cell.size?.[axis] ?? 1));
+}
+
 /**
- * Cycle a face's option to the next registered option.
+ * Number of unit segments on a face: 1 for unit cells, size[a] × size[b]
+ * for a larger cell (a 6×1×4 room has 4 segments on ±X and 6 on ±Z).
+ *
+ * Segment k lies at row ⌊k / columns⌋, column k % columns, where rows
+ * run along the face's first tangent axis and columns along the second
+ * (±X: y, z — ±Y: x, z — ±Z: x, y). For a one-storey cell this is simply
+ * the unit offset along the wall.
  */
-export function cycleOption(cell, faceIndex) {
+export function segmentCount(cell, faceIndex) {
+    const [a, b] = FACE_TANGENTS[faceIndex];
+    return segmentSpan(cell, a) * segmentSpan(cell, b);
+}
+
+/**
+ * Segment of a face that a unit slot of the cell lies on.
+ *
+ * @param {Object} cell
+ * @param {number} faceIndex
+ * @param {Array<number>} slot - [x, y, z] of a unit inside the cell (or just across the face)
+ * @returns {number}
+ */
+export function segmentIndex(cell, faceIndex, slot) {
+    const [a, b] = FACE_TANGENTS[faceIndex];
+    const row = Math.floor(slot[a] - cell.position[a] + 1e-9);
+    const col = Math.floor(slot[b] - cell.position[b] + 1e-9);
+    const rows = segmentSpan(cell, a), cols = segmentSpan(cell, b);
+    return Math.min(Math.max(row, 0), rows - 1) * cols + Math.min(Math.max(col, 0), cols - 1);
+}
+
+/**
+ * Unit slots of a face, one per segment in segment order: the [x, y, z]
+ * of the unit inside the cell that the segment belongs to.
+ */
+export function segmentSlots(cell, faceIndex) {
+    const [a, b] = FACE_TANGENTS[faceIndex];
+    const normal = FACE_DIRECTION[faceIndex].findIndex(d => d !== 0);
+    const positive = FACE_DIRECTION[faceIndex][normal] > 0;
+    const slots = [];
+    for (let row = 0; row < segmentSpan(cell, a); row++) {
+        for (let col = 0; col < segmentSpan(cell, b); col++) {
+            const slot = [...cell.position];
+            slot[a] += row;
+            slot[b] += col;
+            if (positive) slot[normal] += segmentSpan(cell, normal) - 1;
+            slots.push(slot);
+        }
+    }
+    return slots;
+}
+
+/**
+ * Options of one face segment: the faceSegments override when present,
+ * otherwise the face's faceOptions.
+ */
+export function segmentOptions(cell, faceIndex, segment) {
+    return cell.faceSegments?.[faceIndex]?.[segment] ?? cell.faceOptions[faceIndex];
+}
+
+/**
+ * Resolved option id of one face segment, or null.
+ */
+export function getResolvedSegmentOption(cell, faceIndex, segment) {
+    const opts = segmentOptions(cell, faceIndex, segment);
+    if (opts && opts.length === 1) return opts[0];
+    return null;
+}
+
+/**
+ * Set the options of one face segment. Faces with a single segment are
+ * written to faceOptions; otherwise faceSegments is created as needed.
+ */
+export function setSegmentOptions(cell, faceIndex, segment, options) {
+    if (segmentCount(cell, faceIndex) === 1) {
+        cell.faceOptions[faceIndex] = options;
+        return;
+    }
+    if (!cell.faceSegments) cell.faceSegments = [null, null, null, null, null, null];
+    if (!cell.faceSegments[faceIndex]) cell.faceSegments[faceIndex] = [];
+    cell.faceSegments[faceIndex][segment] = options;
+}
+
+/**
+ * Cycle a face's option to the next registered option the registry's rules
+ * allow here (on this face index, in this context). Leaves the face
+ * unchanged when no other option qualifies.
+ *
+ * @param {Object} cell
+ * @param {number} faceIndex
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY]
+ * @param {string} [options.context] - OPTION_CONTEXT of the face; skips options not allowed there
+ * @param {Array} [options.neighborOptions] - resolved ids across the face; skips options
+ *        that cannot meet all of them (leave out when the caller updates the neighbor too)
+ */
+export function cycleOption(cell, faceIndex, { registry = DEFAULT_REGISTRY, context, neighborOptions = [] } = {}) {
     const current = getResolvedOption(cell, faceIndex);
     if (current === null) return;
-    const idx = ALL_IDS.indexOf(current);
-    const next = ALL_IDS[(idx + 1) % ALL_IDS.length];
-    cell.faceOptions[faceIndex] = [next];
+    const reg = OptionRegistry.from(registry);
+    const ids = reg.ids();
+    const idx = ids.indexOf(current);
+    for (let step = 1; step <= ids.length; step++) {
+        const next = ids[(idx + step) % ids.length];
+        if (next === current || !reg.allowedOnFace(next, faceIndex) || !reg.allowedIn(next, context)) continue;
+        if (!neighborOptions.every(n => reg.canMeet(next, n))) continue;
+        cell.faceOptions[faceIndex] = [next];
+        return;
+    }
 }
 
 // ═════════════════════════════════════════════════════════════
@@ -111,20 +784,47 @@ export function cycleOption(cell, faceIndex) {
 
 /**
  * Create a new ParticleCell at the given position with all options available.
+ * ±Y faces stay [] (single storey) unless `vertical` is set.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - vocabulary for the superposition
+ * @param {Array<number>} [options.size=[1, 1, 1]] - extent in grid units
+ * @param {boolean} [options.vertical=false] - offer ceiling / floor, openings, stairs and shafts on ±Y
  */
-export function createCell(x, y, z) {
+export function createCell(x, y, z, { registry = DEFAULT_REGISTRY, size = [1, 1, 1], vertical = false } = {}) {
+    const reg = OptionRegistry.from(registry);
     return {
         position: [x, y, z],
-        size: [1, 1, 1],
+        size: [...size],
         faceStates: 0b111111,  // all faces active by default
-        faceOptions: [
-            [...ALL_IDS],  // +X
-            [...ALL_IDS],  // -X
-            [],            // +Y (floor/ceiling — not used in 2D)
-            [],            // -Y
-            [...ALL_IDS],  // +Z
-            [...ALL_IDS],  // -Z
-        ],
+        // each face offers the options allowed on it: walls and doors on ±X / ±Z,
+        // and with `vertical` the storey options on ±Y (not used in 2D otherwise)
+        faceOptions: [0, 1, 2, 3, 4, 5].map(face =>
+            (vertical || HORIZONTAL_FACES.includes(face) ? reg.idsForFace(face) : [])),
+    };
+}
+
+/**
+ * Create an empty cell (see isEmptyCell): Open on ±X / ±Z, nothing on ±Y.
+ *
+ * @param {number} x
+ * @param {number} y
+ * @param {number} z
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - supplies the Open role id
+ * @param {Array<number>} [options.size=[1, 1, 1]] - extent in grid units
+ */
+export function createEmptyCell(x, y, z, { registry = DEFAULT_REGISTRY, size = [1, 1, 1] } = {}) {
+    const open = OptionRegistry.from(registry).role(OPTION_ROLE.OPEN);
+    return {
+        position: [x, y, z],
+        size: [...size],
+        faceStates: 0b111111,
+        empty: true,
+        faceOptions: [0, 1, 2, 3, 4, 5].map(face => (HORIZONTAL_FACES.includes(face) ? [open] : [])),
     };
 }
 
@@ -136,16 +836,48 @@ export function createChunk() {
 }
 
 /**
- * Collapse: resolve each face's options to a single random selection.
+ * Collapse: resolve each face's options to a single weighted random selection.
  * Returns a new cell with single-element faceOptions.
+ * Options missing from the registry, not allowed on the face (see
+ * OptionRegistry.allowedOnFace) or weighted 0 are never selected; a face
+ * with nothing selectable collapses to [].
+ *
+ * Pass `random` (e.g. createRandom(seed)) to draw a whole chunk from one
+ * sequence; `seed` starts a fresh sequence for this cell alone.
+ *
+ * @param {Object} cell
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY]
+ * @param {Function} [options.random] - () → [0, 1); defaults to Math.random
+ * @param {number|string} [options.seed] - used when no `random` is given
+ * @param {Object|Map|Function} [options.weights] - per-call weights: id → weight
+ *        table, or (id, faceIndex, cell) → weight. Falls back to registry weights.
  */
-export function collapseCell(cell) {
+export function collapseCell(cell, { registry = DEFAULT_REGISTRY, random, seed, weights } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const rand = random || (seed !== undefined ? createRandom(seed) : Math.random);
+    const weightOf = (id, face) => {
+        let w;
+        if (typeof weights === 'function') w = weights(id, face, cell);
+        else if (weights instanceof Map) w = weights.get(id);
+        else if (weights) w = weights[id];
+        return w ?? reg.weightOf(id);
+    };
+
+    const pick = (opts, face) => {
+        const known = opts.filter(id => reg.allowedOnFace(id, face));
+        const picked = pickWeighted(known, known.map(id => weightOf(id, face)), rand);
+        return picked === undefined ? [] : [picked];
+    };
+
     const collapsed = {
         ...cell,
-        faceOptions: cell.faceOptions.map(opts => {
-            if (opts.length === 0) return [];
-            return [opts[Math.floor(Math.random() * opts.length)]];
-        }),
+        faceOptions: cell.faceOptions.map(pick),
     };
+    // Segment overrides of larger cells collapse independently
+    if (cell.faceSegments) {
+        collapsed.faceSegments = cell.faceSegments.map((segments, face) =>
+            segments ? segments.map(opts => opts ? pick(opts, face) : opts) : segments);
+    }
     return collapsed;
 }
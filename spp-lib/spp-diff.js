@@ -0,0 +1,421 @@
+/**
+ * spp-diff.js — SPP Chunk Diff & Patch
+ *
+ * Describes what changed between two versions of a ParticleChunk as a
+ * compact, JSON-serializable patch, and replays a patch onto a chunk with
+ * conflict detection. Used to review edits, to store user edits on top of an
+ * AI baseline, and to sync clients.
+ *
+ * Usage:
+ *   import { diffChunks, applyPatch } from './spp-diff.js';
+ *
+ *   const patch = diffChunks(baseline, edited);        // { format, version, ops }
+ *   localStorage.setItem('edits', JSON.stringify(patch));
+ *
+ *   const { ok, chunk, conflicts } = applyPatch(rerun, patch);
+ *   if (!ok) console.warn(formatPatchConflicts(conflicts));
+ *
+ *   applyPatch(edited, invertPatch(patch), { inPlace: true });   // back to baseline
+ */
+
+import { FACE_NAMES } from './spp-core.js';
+import { ChunkIndex, positionKey } from './spp-spatial.js';
+
+export const PATCH_FORMAT = 'spp-patch';
+export const PATCH_VERSION = 1;
+
+// Patch operation kinds
+export const PATCH_OP = {
+    ADD: 'add',                  // { at, cell } — a new cell (with any refinement)
+    REMOVE: 'remove',            // { at, cell } — the removed cell as it was
+    FACE: 'face',                // { at, face, segment?, from, to } — faceOptions, or one faceSegments override
+    SET: 'set',                  // { at, field, from, to } — any other cell field; at [] for the chunk's own fields
+    REFINEMENT: 'refinement',    // { at, from, to } — refinement attached (from null), detached (to null) or replaced
+};
+
+// Fields diffed structurally rather than as plain values
+const STRUCTURAL_FIELDS = new Set(['position', 'faceOptions', 'faceSegments', 'refinement', 'cells']);
+
+// ═════════════════════════════════════════════════════════════
+// diffChunks
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Patch that turns chunk a into chunk b.
+ *
+ * Cells are matched by position, level by level; a refinement is diffed
+ * cell by cell when both sides have one with the same gridX × gridZ, and
+ * replaced as a whole otherwise. A moved cell shows up as a remove plus an
+ * add. Every op is keyed by `at`, the refinement path of the cell: one
+ * position per level, e.g. [[2, 0, 3], [1, 0, 0]] is sub-cell [1, 0, 0] in
+ * the refinement of root cell [2, 0, 3].
+ *
+ * Ops carry the old value (`from`, or the removed cell) so applyPatch can
+ * tell when the target has changed underneath. Fields starting with `_`
+ * (renderer bookkeeping such as _parentCell) are not compared or stored.
+ *
+ * @param {Object} a - ParticleChunk before
+ * @param {Object} b - ParticleChunk after
+ * @returns {Object} { format: 'spp-patch', version: 1, ops }
+ */
+export function diffChunks(a, b) {
+    const ops = [];
+    diffFields(a || {}, b || {}, [], ops);
+    diffLevel(a?.cells || [], b?.cells || [], [], ops);
+    return { format: PATCH_FORMAT, version: PATCH_VERSION, ops };
+}
+
+function diffLevel(cellsA, cellsB, parentAt, ops) {
+    const byKeyA = new Map(cellsA.map(c => [positionKey(c.position), c]));
+    const byKeyB = new Map(cellsB.map(c => [positionKey(c.position), c]));
+
+    // Removes first, so a cell moved into a freed slot can be added back
+    for (const [key, cell] of byKeyA) {
+        if (!byKeyB.has(key)) ops.push({ op: PATCH_OP.REMOVE, at: [...parentAt, [...cell.position]], cell: plainCopy(cell) });
+    }
+    for (const [key, cell] of byKeyB) {
+        if (!byKeyA.has(key)) ops.push({ op: PATCH_OP.ADD, at: [...parentAt, [...cell.position]], cell: plainCopy(cell) });
+    }
+    for (const [key, before] of byKeyA) {
+        const after = byKeyB.get(key);
+        if (after) diffCell(before, after, [...parentAt, [...before.position]], ops);
+    }
+}
+
+function diffCell(a, b, at, ops) {
+    diffFields(a, b, at, ops);
+
+    for (let face = 0; face < 6; face++) {
+        const from = a.faceOptions?.[face] ?? null;
+        const to = b.faceOptions?.[face] ?? null;
+        if (!same(from, to)) ops.push({ op: PATCH_OP.FACE, at, face, from: plainCopy(from), to: plainCopy(to) });
+
+        const segsA = a.faceSegments?.[face] || [];
+        const segsB = b.faceSegments?.[face] || [];
+        for (let segment = 0; segment < Math.max(segsA.length, segsB.length); segment++) {
+            const sFrom = segsA[segment] ?? null;
+            const sTo = segsB[segment] ?? null;
+            if (!same(sFrom, sTo)) ops.push({ op: PATCH_OP.FACE, at, face, segment, from: plainCopy(sFrom), to: plainCopy(sTo) });
+        }
+    }
+
+    const refA = a.refinement || null;
+    const refB = b.refinement || null;
+    if (refA && refB && refA.gridX === refB.gridX && refA.gridZ === refB.gridZ) {
+        diffLevel(refA.cells || [], refB.cells || [], at, ops);
+    } else if (!same(refA, refB)) {
+        ops.push({ op: PATCH_OP.REFINEMENT, at, from: plainCopy(refA), to: plainCopy(refB) });
+    }
+}
+
+// Plain-valued fields (room, size, faceStates, gridX, …)
+function diffFields(a, b, at, ops) {
+    const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+    for (const field of fields) {
+        if (STRUCTURAL_FIELDS.has(field) || field.startsWith('_')) continue;
+        if (!same(a[field], b[field])) {
+            ops.push({ op: PATCH_OP.SET, at, field, from: plainCopy(a[field]), to: plainCopy(b[field]) });
+        }
+    }
+}
+
+// ═════════════════════════════════════════════════════════════
+// applyPatch
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Apply a patch from diffChunks to a chunk.
+ *
+ * Each op checks that the target still holds its old value: the face still
+ * has `from`, the removed cell is still there unchanged, the added cell's
+ * slot is still free. An op that fails the check is a conflict.
+ *
+ * With onConflict 'abort' (default) nothing is applied when any op
+ * conflicts and `chunk` is null. With 'skip' the conflicting ops are left
+ * out and the rest applied. The input chunk is not modified, unless
+ * `inPlace` is set: then its cells are edited directly (unchanged cells keep
+ * their identity) and an aborted patch is rolled back.
+ *
+ * @param {Object} chunk - ParticleChunk
+ * @param {Object} patch - { format: 'spp-patch', version: 1, ops }
+ * @param {Object} [options]
+ * @param {string} [options.onConflict='abort'] - 'abort' | 'skip'
+ * @param {boolean} [options.inPlace=false] - edit chunk itself instead of a copy
+ * @returns {Object} { ok, chunk, applied, conflicts }
+ *   - conflicts: [{ index, op, at, message }], index into patch.ops
+ */
+export function applyPatch(chunk, patch, { onConflict = 'abort', inPlace = false } = {}) {
+    if (onConflict !== 'abort' && onConflict !== 'skip') {
+        throw new Error(`Unknown onConflict mode "${onConflict}"`);
+    }
+    if (patch?.format !== PATCH_FORMAT || !Array.isArray(patch.ops)) {
+        throw new Error('applyPatch: not an spp-patch');
+    }
+    if (patch.version > PATCH_VERSION) {
+        throw new Error(`applyPatch: patch version ${patch.version} is newer than supported (${PATCH_VERSION})`);
+    }
+
+    const out = inPlace ? chunk : { ...chunk, cells: (chunk.cells || []).map(copyCell) };
+    if (!out.cells) out.cells = [];
+    const levels = new Map();   // level object → ChunkIndex
+    const conflicts = [];
+    const applied = [];
+
+    patch.ops.forEach((op, index) => {
+        const message = applyOp(out, op, levels);
+        if (message) conflicts.push({ index, op: op.op, at: op.at, message });
+        else applied.push(op);
+    });
+
+    const ok = conflicts.length === 0;
+    if (!ok && onConflict === 'abort') {
+        if (inPlace) {
+            levels.clear();
+            for (const op of applied.reverse()) applyOp(out, invertOp(op), levels);
+        }
+        return { ok, chunk: null, applied: 0, conflicts };
+    }
+    return { ok, chunk: out, applied: applied.length, conflicts };
+}
+
+/**
+ * Patch that undoes a patch: ops reversed, each with its old and new values swapped.
+ *
+ * @param {Object} patch - { format: 'spp-patch', version, ops }
+ * @returns {Object} patch
+ */
+export function invertPatch(patch) {
+    return { ...patch, ops: [...patch.ops].reverse().map(invertOp) };
+}
+
+function invertOp(op) {
+    switch (op.op) {
+        case PATCH_OP.ADD: return { ...op, op: PATCH_OP.REMOVE };
+        case PATCH_OP.REMOVE: return { ...op, op: PATCH_OP.ADD };
+        default: return { ...op, from: op.to, to: op.from };
+    }
+}
+
+/**
+ * The cell an `at` key points to, or null.
+ *
+ * @param {Object} chunk - ParticleChunk
+ * @param {Array<Array<number>>} at - one position per level, root first
+ * @returns {Object|null}
+ */
+export function cellAt(chunk, at) {
+    let cells = chunk?.cells || [];
+    let cell = null;
+    for (const position of at || []) {
+        cell = cells.find(c => samePosition(c.position, position)) || null;
+        if (!cell) return null;
+        cells = cell.refinement?.cells || [];
+    }
+    return cell;
+}
+
+/**
+ * `at` key of a cell of the chunk, found by identity. A renderer's
+ * flattened copy (see RecursiveGridManager.flattenRecursiveCells) is found
+ * through its _parentCell instead. Returns null for a cell not in the chunk.
+ *
+ * @param {Object} chunk - ParticleChunk
+ * @param {Object} cell - ParticleCell, or a flattened leaf
+ * @returns {Array<Array<number>>|null}
+ */
+export function cellPath(chunk, cell) {
+    const search = (cells, parentAt) => {
+        for (const c of cells || []) {
+            const at = [...parentAt, [...c.position]];
+            if (c === cell) return at;
+            const deeper = c.refinement && search(c.refinement.cells, at);
+            if (deeper) return deeper;
+        }
+        return null;
+    };
+    const found = search(chunk?.cells, []);
+    if (found || !cell?.position) return found;
+
+    // Flattened copy: locate its parent, then the cell by position
+    const parentAt = cell._parentCell ? cellPath(chunk, cell._parentCell) : [];
+    if (!parentAt) return null;
+    const at = [...parentAt, [...cell.position]];
+    return cellAt(chunk, at) ? at : null;
+}
+
+/**
+ * One line per patch conflict.
+ */
+export function formatPatchConflicts(conflicts) {
+    return conflicts.map(c => `ops[${c.index}] ${c.op} at ${formatAt(c.at)}: ${c.message}`).join('\n');
+}
+
+/**
+ * JSON-safe deep copy: `_` fields (renderer bookkeeping, possibly cyclic,
+ * e.g. _parentCell), undefined fields and functions are dropped, and
+ * undefined array slots become null.
+ */
+export function plainCopy(value) {
+    if (value === null || value === undefined || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(v => plainCopy(v) ?? null);
+    const out = {};
+    for (const [key, v] of Object.entries(value)) {
+        if (key.startsWith('_') || v === undefined || typeof v === 'function') continue;
+        out[key] = plainCopy(v);
+    }
+    return out;
+}
+
+// Apply one op in place; returns a conflict message or null
+function applyOp(root, op, levels) {
+    const at = op.at || [];
+
+    if (op.op === PATCH_OP.SET && at.length === 0) {
+        if (!same(root[op.field], op.from)) return `chunk ${op.field} is ${describe(root[op.field])}, expected ${describe(op.from)}`;
+        setField(root, op.field, op.to);
+        return null;
+    }
+    if (at.length === 0) return 'op needs a cell position';
+
+    // Level the op's cell lives on
+    let level = root;
+    for (const position of at.slice(0, -1)) {
+        const parent = indexOf(level, levels).get(position);
+        if (!parent || !samePosition(parent.position, position)) return `no cell at ${formatAt([position])}`;
+        if (!parent.refinement) return `cell at ${formatAt([position])} has no refinement`;
+        level = parent.refinement;
+    }
+    const index = indexOf(level, levels);
+    const position = at[at.length - 1];
+    const found = index.get(position);
+    const cell = found && samePosition(found.position, position) ? found : null;
+
+    switch (op.op) {
+        case PATCH_OP.ADD: {
+            if (found) return `slot is taken by the cell at ${formatAt([found.position])}`;
+            const added = copyCell(op.cell);
+            try {
+                index.add(added);
+            } catch (err) {
+                return err.message;
+            }
+            level.cells.push(added);
+            return null;
+        }
+        case PATCH_OP.REMOVE: {
+            if (!cell) return 'cell to remove is missing';
+            if (!same(plainCopy(cell), op.cell)) return 'cell to remove has changed';
+            index.remove(cell.position);
+            level.cells.splice(level.cells.indexOf(cell), 1);
+            return null;
+        }
+        case PATCH_OP.FACE: {
+            if (!cell) return 'cell is missing';
+            if (op.segment === undefined) {
+                const current = cell.faceOptions?.[op.face] ?? null;
+                if (!same(current, op.from)) return `${FACE_NAMES[op.face]} is ${describe(current)}, expected ${describe(op.from)}`;
+                // Faces not patched yet keep reading as null, as they did without faceOptions
+                if (!cell.faceOptions) cell.faceOptions = [null, null, null, null, null, null];
+                cell.faceOptions[op.face] = op.to === null ? [] : [...op.to];
+                return null;
+            }
+            const current = cell.faceSegments?.[op.face]?.[op.segment] ?? null;
+            if (!same(current, op.from)) {
+                return `${FACE_NAMES[op.face]} segment ${op.segment} is ${describe(current)}, expected ${describe(op.from)}`;
+            }
+            if (!cell.faceSegments) cell.faceSegments = [null, null, null, null, null, null];
+            if (!cell.faceSegments[op.face]) cell.faceSegments[op.face] = [];
+            cell.faceSegments[op.face][op.segment] = op.to === null ? null : [...op.to];
+            return null;
+        }
+        case PATCH_OP.SET: {
+            if (!cell) return 'cell is missing';
+            if (!same(cell[op.field], op.from)) return `${op.field} is ${describe(cell[op.field])}, expected ${describe(op.from)}`;
+            if (op.field === 'size') {
+                // size decides which slots the cell covers
+                index.remove(cell.position);
+                const previous = cell.size;
+                cell.size = op.to;
+                try {
+                    index.add(cell);
+                } catch (err) {
+                    cell.size = previous;
+                    index.add(cell);
+                    return err.message;
+                }
+                return null;
+            }
+            setField(cell, op.field, op.to);
+            return null;
+        }
+        case PATCH_OP.REFINEMENT: {
+            if (!cell) return 'cell is missing';
+            if (!same(cell.refinement ?? null, op.from)) return 'refinement has changed';
+            if (op.to === null) delete cell.refinement;
+            else cell.refinement = copyLevel(op.to);
+            levels.clear();   // old sub-level indexes are stale
+            return null;
+        }
+        default:
+            return `unknown op "${op.op}"`;
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function indexOf(level, levels) {
+    if (!levels.has(level)) {
+        const index = new ChunkIndex();
+        for (const cell of level.cells || []) {
+            try {
+                index.add(cell);
+            } catch {
+                // overlapping cell — reachable only through its own slot
+            }
+        }
+        levels.set(level, index);
+    }
+    return levels.get(level);
+}
+
+function setField(target, field, value) {
+    if (value === undefined) delete target[field];
+    else target[field] = plainCopy(value);
+}
+
+function samePosition(a, b) {
+    return positionKey(a) === positionKey(b);
+}
+
+// Deep equality on the JSON form, independent of key order
+function same(a, b) {
+    return canonical(plainCopy(a) ?? null) === canonical(plainCopy(b) ?? null);
+}
+
+function canonical(value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${canonical(value[k])}`).join(',')}}`;
+}
+
+function copyCell(cell) {
+    const copy = plainCopy(cell);
+    // keep bookkeeping fields of cells already in the chunk
+    for (const [key, v] of Object.entries(cell)) {
+        if (key.startsWith('_')) copy[key] = v;
+    }
+    if (copy.refinement) copy.refinement = copyLevel(cell.refinement);
+    return copy;
+}
+
+function copyLevel(level) {
+    return { ...plainCopy(level), cells: (level.cells || []).map(copyCell) };
+}
+
+function describe(value) {
+    return value === undefined ? 'unset' : JSON.stringify(plainCopy(value));
+}
+
+function formatAt(at) {
+    return (at || []).map(p => `[${p.join(', ')}]`).join(' › ') || 'chunk';
+}
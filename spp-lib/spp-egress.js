@@ -0,0 +1,240 @@
+/**
+ * spp-egress.js — SPP Egress Analysis
+ *
+ * Basic fire-safety review of a reconstructed plan: walking distance from
+ * every cell to the nearest exit, dead-end corridors, and rooms whose only
+ * way out leads through another room. Built on the room graph (spp-graph.js)
+ * and the path-finding step model (spp-path.js).
+ *
+ * Usage:
+ *   import { analyzeEgress, formatEgressReport } from './spp-egress.js';
+ *
+ *   const egress = analyzeEgress(chunk, { exits: [{ at: [[3, 0, 0]], face: FACE.NEG_Z }] });
+ *   console.log(formatEgressReport(egress));
+ *   renderer.showHeatmap(cell => egress.distance.get(cell) ?? null, egress.maxDistance);
+ */
+
+import { OPTION_ROLE, DEFAULT_REGISTRY, OptionRegistry, FACE_DIRECTION, isEmptyCell, segmentCount, segmentSlots, getResolvedSegmentOption } from './spp-core.js';
+import { LeafIndex } from './spp-spatial.js';
+import { cellAt } from './spp-diff.js';
+import { buildRoomGraph } from './spp-graph.js';
+import { distanceField } from './spp-path.js';
+import { SPACE_FUNCTION, getSpace } from './spp-semantics.js';
+
+// Room names treated as circulation space: corridors are where dead ends are
+// measured, and passing through them does not count as passing through a room
+export const CIRCULATION_ROOMS = /hall|corridor|passage|lobby|foyer|landing|entry|stair/i;
+
+// Space functions treated as circulation, for rooms whose space has a function
+export const CIRCULATION_FUNCTIONS = [SPACE_FUNCTION.CIRCULATION, SPACE_FUNCTION.STAIR];
+
+/**
+ * Egress analysis of a chunk.
+ *
+ * Distances are walked through passable faces (doors included, at their
+ * plain length) with findPath's step model, from each cell's floor centre
+ * to the middle of the exit face. Routes may cross empty cells (a yard
+ * between two wings); the empty cells themselves are not reported.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Object} [options]
+ * @param {Array} [options.exits] - exit faces [{ at | cell, face, segment? }]; default: every
+ *        open face on the exterior (the room graph's exits)
+ * @param {boolean} [options.vertical=true] - stairs and elevators count as egress routes
+ * @param {RegExp|Function} [options.circulation=CIRCULATION_ROOMS] - room name pattern, or
+ *        (room) → boolean, for corridors and other circulation rooms; with a pattern, rooms
+ *        whose space has a function are circulation when it is one of CIRCULATION_FUNCTIONS
+ * @param {OptionRegistry|Object} [options.registry=DEFAULT_REGISTRY]
+ * @returns {Object} {
+ *     exits:        [{ at, face, segment?, room }],
+ *     distance:     Map leaf cell → distance to the nearest exit (missing when there is no route),
+ *     cells:        [{ at, room, distance, exit }] — exit is an index into exits, null if unreachable,
+ *     maxDistance,
+ *     unreachable:  [at] — cells with no route to any exit,
+ *     trappedRooms: [roomId] — rooms with no route to any exit,
+ *     deadEnds:     [{ room, cells: [at], length }] — corridor stretches with one way out,
+ *     intervening:  [{ room, through: [roomId] }] — rooms every exit route of `room` passes through,
+ *     graph:        RoomGraph
+ *   }
+ */
+export function analyzeEgress(chunk, { exits, vertical = true, circulation = CIRCULATION_ROOMS, registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const root = Array.isArray(chunk) ? { cells: chunk } : chunk;
+    const graph = buildRoomGraph(root, { registry: reg });
+    const index = new LeafIndex(root);
+    const isCirculation = typeof circulation === 'function'
+        ? circulation
+        : room => {
+            const fn = getSpace(root, room.space)?.function;
+            if (fn) return CIRCULATION_FUNCTIONS.includes(fn);
+            return room.name !== null && circulation.test(room.name);
+        };
+
+    // Exits, each with the walk from its cell's floor centre to the door
+    const exitList = (exits ?? graph.rooms.flatMap(room => room.exits)).map((exit, i) => {
+        const cell = exit.cell || cellAt(root, exit.at);
+        const leaf = cell && index.leafOf(cell);
+        if (!leaf) throw new Error(`analyzeEgress: exit ${i} is not on a leaf cell of the chunk`);
+        const segment = exit.segment ?? 0;
+        return { leaf, face: exit.face, segment, offset: exitOffset(leaf, exit.face, segment) };
+    });
+    const field = distanceField(root, exitList.map(e => ({ target: e.leaf.cell, offset: e.offset })), {
+        vertical, weighted: false, registry: reg,
+    });
+
+    const atByCell = new Map(graph.rooms.flatMap(room => room.cells.map(at => [cellAt(root, at), at])));
+    const atOf = cell => atByCell.get(cell);
+    const distance = new Map();
+    const cells = index.leaves().filter(leaf => !isEmptyCell(leaf.cell)).map(leaf => {
+        const entry = field.get(leaf.cell);
+        if (entry) distance.set(leaf.cell, entry.distance);
+        return {
+            at: atOf(leaf.cell),
+            room: graph.roomOf(leaf.cell),
+            distance: entry ? entry.distance : null,
+            exit: entry ? entry.source : null,
+        };
+    });
+    const exitRooms = new Set(exitList.map(e => graph.roomOf(e.leaf.cell)));
+    const trappedRooms = graph.rooms
+        .filter(room => !exitRooms.has(room.id) && !graph.reachable(room.id).some(id => exitRooms.has(id)))
+        .map(room => room.id);
+
+    return {
+        exits: exitList.map(e => {
+            const exit = { at: atOf(e.leaf.cell), face: e.face };
+            if (segmentCount(e.leaf.cell, e.face) > 1) exit.segment = e.segment;
+            exit.room = graph.roomOf(e.leaf.cell);
+            return exit;
+        }),
+        distance,
+        cells,
+        maxDistance: Math.max(0, ...distance.values()),
+        unreachable: cells.filter(c => c.distance === null).map(c => c.at),
+        trappedRooms,
+        deadEnds: findDeadEnds(index, graph, field, exitList, isCirculation, reg).map(d => ({
+            room: d.room,
+            cells: d.cells.map(atOf),
+            length: d.length,
+        })),
+        intervening: findIntervening(graph, exitRooms, trappedRooms, isCirculation),
+        graph,
+    };
+}
+
+/**
+ * Human-readable summary of analyzeEgress output, one finding per line.
+ */
+export function formatEgressReport(egress) {
+    const { graph } = egress;
+    const name = id => `${graph.room(id).name ?? 'unnamed room'} (r${id})`;
+    const lines = [
+        `${egress.exits.length} exit(s); farthest cell is ${egress.maxDistance.toFixed(1)} from an exit`,
+    ];
+    for (const d of egress.deadEnds) {
+        lines.push(`dead end in ${name(d.room)}: ${d.length.toFixed(1)} long over ${d.cells.length} cell(s)`);
+    }
+    for (const { room, through } of egress.intervening) {
+        lines.push(`${name(room)}: every way out passes through ${through.map(name).join(', ')}`);
+    }
+    for (const room of egress.trappedRooms) {
+        lines.push(`${name(room)}: no route to an exit`);
+    }
+    return lines.join('\n');
+}
+
+// ─── Dead ends ───────────────────────────────────────────────
+
+// From every corridor tip (one neighbor inside its room), follow the route
+// to the nearest exit until a junction, an exit, or the point where the
+// route leaves the corridor
+function findDeadEnds(index, graph, field, exitList, isCirculation, reg) {
+    const openId = reg.role(OPTION_ROLE.OPEN);
+    const exitCells = new Set(exitList.map(e => e.leaf.cell));
+    const inRoom = new Map();   // cell → same-room neighbor cells
+    const sameRoom = leaf => {
+        if (!inRoom.has(leaf.cell)) {
+            const result = new Set();
+            for (let face = 0; face < 6; face++) {
+                for (const n of index.neighborsAcross(leaf, face)) {
+                    if (isEmptyCell(n.leaf.cell)) continue;
+                    if (getResolvedSegmentOption(leaf.cell, face, n.segment) === openId &&
+                        getResolvedSegmentOption(n.leaf.cell, n.face, n.neighborSegment) === openId) {
+                        result.add(n.leaf.cell);
+                    }
+                }
+            }
+            inRoom.set(leaf.cell, result);
+        }
+        return inRoom.get(leaf.cell);
+    };
+
+    const deadEnds = [];
+    for (const leaf of index.leaves()) {
+        if (isEmptyCell(leaf.cell)) continue;
+        const room = graph.roomOf(leaf.cell);
+        if (!isCirculation(graph.room(room))) continue;
+        if (sameRoom(leaf).size !== 1 || exitCells.has(leaf.cell) || !field.has(leaf.cell)) continue;
+
+        const chain = [leaf.cell];
+        let cell = leaf.cell;
+        for (;;) {
+            const next = field.get(cell).next;
+            if (!next || graph.roomOf(next) !== room) break;   // the route leaves the corridor here
+            cell = next;
+            if (exitCells.has(cell) || sameRoom(index.leafOf(cell)).size > 2) break;
+            chain.push(cell);
+        }
+        const length = field.get(leaf.cell).distance - field.get(cell).distance;
+        if (length > 0) deadEnds.push({ room, cells: chain, length });
+    }
+    return deadEnds.sort((a, b) => b.length - a.length);
+}
+
+// ─── Intervening rooms ───────────────────────────────────────
+
+// Rooms (other than circulation) that lie on every route from a room to an exit
+function findIntervening(graph, exitRooms, trappedRooms, isCirculation) {
+    const trapped = new Set(trappedRooms);
+    const result = [];
+    for (const room of graph.rooms) {
+        if (exitRooms.has(room.id) || trapped.has(room.id)) continue;
+
+        const through = [];
+        for (const candidate of graph.rooms) {
+            if (candidate.id === room.id || isCirculation(candidate)) continue;
+            if (!reachesExit(graph, room.id, exitRooms, candidate.id)) through.push(candidate.id);
+        }
+        if (through.length > 0) result.push({ room: room.id, through });
+    }
+    return result;
+}
+
+// BFS from a room to any exit room, never entering `blocked`
+function reachesExit(graph, from, exitRooms, blocked) {
+    const seen = new Set([from, blocked]);
+    const queue = [from];
+    while (queue.length > 0) {
+        const room = queue.shift();
+        for (const { room: next } of graph.neighbors(room)) {
+            if (seen.has(next)) continue;
+            if (exitRooms.has(next)) return true;
+            seen.add(next);
+            queue.push(next);
+        }
+    }
+    return false;
+}
+
+// Walk from a leaf's floor centre to the middle of one of its face segments
+function exitOffset(leaf, face, segment) {
+    const axis = FACE_DIRECTION[face].findIndex(d => d !== 0);
+    const centre = [0, 2].map(a => (leaf.min[a] + leaf.max[a]) / 2);
+    let point = centre;
+    if (segmentCount(leaf.cell, face) > 1) {
+        const slot = segmentSlots(leaf.cell, face)[segment];
+        point = [0, 2].map(a => leaf.min[a] + (slot[a] - leaf.cell.position[a] + 0.5) * leaf.worldScale);
+    }
+    const plane = FACE_DIRECTION[face][axis] > 0 ? leaf.max[axis] : leaf.min[axis];
+    return [0, 2].reduce((sum, a, i) => sum + Math.abs((a === axis ? plane : point[i]) - centre[i]), 0);
+}
@@ -0,0 +1,296 @@
+/**
+ * spp-format.js — SPP File Format
+ *
+ * The canonical `.spp.json` document: a small header (format version, SPP-Core
+ * spec version, units, origin, option registry reference) around the root
+ * ParticleChunk. serializeChunk writes it with private `_` fields stripped —
+ * including the cyclic `_parentCell` links of renderer copies — and fields in
+ * a fixed order, so the same chunk always produces the same text.
+ * parseChunk reads it back, and also accepts the ad-hoc shapes older tools
+ * wrote, upgrading them to the current version.
+ *
+ * Usage:
+ *   import { serializeChunk, parseChunk } from './spp-format.js';
+ *
+ *   const text = serializeChunk(chunk, { units: { length: 'm', cellSize: 1.2 } });
+ *   const { chunk: loaded, spec, registry, warnings } = parseChunk(text, { registry });
+ */
+
+import { OPTION_ROLE, DEFAULT_REGISTRY, OptionRegistry } from './spp-core.js';
+import { migrateLegacyChunk, formatLegacyChanges } from './spp-migrate.js';
+
+export const SPP_FORMAT = 'spp';
+export const SPP_FORMAT_VERSION = 1;
+export const SPP_FILE_EXTENSION = '.spp.json';
+
+// SPP-Core versions: 1.0 is the flat cell model, 1.1 adds ParticleCell.refinement
+export const SPP_SPEC_VERSION = { V1_0: '1.0', V1_1: '1.1' };
+
+// Registry id written when the registry holds exactly the built-in vocabulary
+export const BUILTIN_REGISTRY_ID = 'spp-core';
+
+// One grid unit of the root chunk is cellSize `length` units
+const DEFAULT_UNITS = { length: 'm', cellSize: 1 };
+const DEFAULT_ORIGIN = [0, 0, 0];
+
+// Fixed field order; fields not listed follow in their own order
+const CELL_FIELDS = ['position', 'size', 'faceStates', 'empty', 'faceOptions', 'faceSegments', 'faceMeta', 'refinement'];
+const CHUNK_FIELDS = ['gridX', 'gridY', 'gridZ', 'coverage', 'spaces'];
+const CHUNK_LAST = ['cells'];
+
+// ═════════════════════════════════════════════════════════════
+// serializeChunk
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Write a chunk as an `.spp.json` document.
+ *
+ * The spec version is 1.1 when any cell carries a refinement, 1.0 otherwise.
+ * Legacy subGrid / scale / _parentScale structures are written as refinements
+ * (see spp-migrate.js). Throws when the chunk has no cells array or refers back to itself through
+ * a non-private field.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Object} [options]
+ * @param {OptionRegistry|Object} [options.registry=DEFAULT_REGISTRY] - vocabulary the ids refer to
+ * @param {string} [options.registryId] - name of that vocabulary; default BUILTIN_REGISTRY_ID
+ *        when it is the built-in one, otherwise none
+ * @param {Object} [options.units={ length: 'm', cellSize: 1 }] - size of one root grid unit
+ * @param {Array<number>} [options.origin=[0, 0, 0]] - world position of the root grid's [0, 0, 0] corner, in units.length
+ * @param {Object} [options.meta] - free-form JSON kept next to the chunk (source image, tool, …)
+ * @param {number|string} [options.space=2] - JSON.stringify indentation; 0 for one line
+ * @returns {string}
+ */
+export function serializeChunk(chunk, { space = 2, ...options } = {}) {
+    return JSON.stringify(chunkDocument(chunk, options), null, space);
+}
+
+/**
+ * The document serializeChunk writes, as an object: header fields plus a
+ * plain, canonically ordered copy of the chunk. For encoders of other
+ * representations (see spp-binary.js).
+ *
+ * @param {Object|Array} chunk
+ * @param {Object} [options] - serializeChunk's options, without space
+ * @returns {Object} { format, version, spec, units, origin, registry, meta?, chunk }
+ */
+export function chunkDocument(chunk, {
+    registry = DEFAULT_REGISTRY, registryId, units = DEFAULT_UNITS, origin = DEFAULT_ORIGIN, meta,
+} = {}) {
+    const root = Array.isArray(chunk) ? { cells: chunk } : chunk;
+    if (!root || !Array.isArray(root.cells)) throw new Error('serializeChunk: chunk must have a "cells" array');
+
+    const reg = OptionRegistry.from(registry);
+    const hash = registryHash(reg);
+    const body = canonicalChunk(migrateLegacyChunk(root, { registry: reg }).chunk, 'chunk', new Set());
+
+    const doc = {
+        format: SPP_FORMAT,
+        version: SPP_FORMAT_VERSION,
+        spec: hasRefinement(body) ? SPP_SPEC_VERSION.V1_1 : SPP_SPEC_VERSION.V1_0,
+        units: { ...DEFAULT_UNITS, ...units },
+        origin: [...origin],
+        registry: { id: registryId ?? (hash === builtinHash() ? BUILTIN_REGISTRY_ID : null), hash },
+    };
+    if (meta !== undefined) doc.meta = plain(meta, 'meta', new Set());
+    doc.chunk = body;
+    return doc;
+}
+
+// ═════════════════════════════════════════════════════════════
+// parseChunk
+// ═════════════════════════════════════════════════════════════
+
+// Older documents → the next version. Version 0 is anything written before
+// the header existed: { gridX, gridZ, cells }, { chunk, bbox, stats }, or a
+// bare cell array.
+const UPGRADES = {
+    0: data => {
+        let chunk;
+        if (Array.isArray(data)) chunk = { cells: data };
+        else if (data && Array.isArray(data.cells)) chunk = data;
+        else if (data && data.chunk && Array.isArray(data.chunk.cells)) chunk = data.chunk;
+        else throw new Error('parseChunk: not an SPP document or chunk (no "cells" array)');
+        return {
+            format: SPP_FORMAT,
+            version: 1,
+            units: { ...DEFAULT_UNITS },
+            origin: [...DEFAULT_ORIGIN],
+            registry: { id: null, hash: null },
+            chunk,
+        };
+    },
+};
+
+/**
+ * Read an `.spp.json` document, or a chunk in one of the older ad-hoc shapes.
+ *
+ * Legacy subGrid / scale / _parentScale structures become refinements (see
+ * spp-migrate.js), with a warning. Private `_` fields are then dropped, so
+ * parsing a live chunk (or a renderer's flattened copies) is also a way to
+ * get a detached plain copy.
+ * A registry hash that does not match options.registry is reported as a
+ * warning, not an error: the ids may still mean the same things.
+ *
+ * @param {string|Object|Array} input - JSON text or an already-parsed value
+ * @param {Object} [options]
+ * @param {OptionRegistry|Object} [options.registry] - vocabulary the caller will read the ids with
+ * @returns {Object} { chunk, spec, units, origin, registry: { id, hash }, meta, upgradedFrom, warnings } —
+ *          upgradedFrom is the version the input was written in when older than SPP_FORMAT_VERSION, else null
+ */
+export function parseChunk(input, { registry } = {}) {
+    let data = input;
+    if (typeof input === 'string') {
+        try {
+            data = JSON.parse(input);
+        } catch (err) {
+            throw new Error(`parseChunk: not valid JSON (${err.message})`);
+        }
+    }
+
+    const isDocument = data !== null && typeof data === 'object' && data.format === SPP_FORMAT;
+    const from = isDocument ? data.version : 0;
+    if (!Number.isInteger(from) || from < 0) {
+        throw new Error(`parseChunk: bad format version ${JSON.stringify(data.version)}`);
+    }
+    if (from > SPP_FORMAT_VERSION) {
+        throw new Error(`parseChunk: format version ${from} is newer than this reader (${SPP_FORMAT_VERSION})`);
+    }
+    for (let version = from; version < SPP_FORMAT_VERSION; version++) data = UPGRADES[version](data);
+    if (!data.chunk || !Array.isArray(data.chunk.cells)) {
+        throw new Error('parseChunk: document has no chunk with a "cells" array');
+    }
+
+    const warnings = [];
+    const migration = migrateLegacyChunk(data.chunk, { registry: registry ?? DEFAULT_REGISTRY });
+    if (migration.changes.length > 0) {
+        warnings.push(`converted legacy structures to refinement: ${formatLegacyChanges(migration.changes)}`);
+    }
+    const chunk = canonicalChunk(migration.chunk, 'chunk', new Set());
+    const spec = hasRefinement(chunk) ? SPP_SPEC_VERSION.V1_1 : (data.spec ?? SPP_SPEC_VERSION.V1_0);
+    if (data.spec === SPP_SPEC_VERSION.V1_0 && spec !== data.spec) {
+        warnings.push(`document declares SPP-Core ${data.spec} but uses refinement (${spec})`);
+    }
+    const stored = { id: data.registry?.id ?? null, hash: data.registry?.hash ?? null };
+    if (registry && stored.hash && stored.hash !== registryHash(OptionRegistry.from(registry))) {
+        warnings.push(`registry ${stored.id ?? stored.hash} differs from the one supplied; option ids may mean other things`);
+    }
+
+    return {
+        chunk,
+        spec,
+        units: { ...DEFAULT_UNITS, ...data.units },
+        origin: Array.isArray(data.origin) ? [...data.origin] : [...DEFAULT_ORIGIN],
+        registry: stored,
+        meta: data.meta ?? null,
+        upgradedFrom: from < SPP_FORMAT_VERSION ? from : null,
+        warnings,
+    };
+}
+
+// ═════════════════════════════════════════════════════════════
+// Registry hash
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Fingerprint of an option vocabulary: ids, entries and role assignments.
+ * Colours and alpha are left out, so restyling an option keeps its hash.
+ *
+ * @param {OptionRegistry|Object} [registry=DEFAULT_REGISTRY]
+ * @returns {string} 'fnv1a:' + 8 hex digits
+ */
+export function registryHash(registry = DEFAULT_REGISTRY) {
+    const reg = OptionRegistry.from(registry);
+    const entries = reg.entries()
+        .map(([id, entry]) => {
+            const { color, alpha, ...rest } = entry;
+            return [typeof id, String(id), sortedKeys(rest)];
+        })
+        .sort((a, b) => (a[0] + a[1] < b[0] + b[1] ? -1 : 1));
+    const roles = Object.values(OPTION_ROLE).filter(role => reg.hasRole(role)).map(role => [role, reg.role(role)]);
+    return `fnv1a:${fnv1a(JSON.stringify({ entries, roles })).toString(16).padStart(8, '0')}`;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+let _builtinHash = null;
+function builtinHash() {
+    if (_builtinHash === null) _builtinHash = registryHash(new OptionRegistry());
+    return _builtinHash;
+}
+
+function canonicalChunk(chunk, path, active) {
+    const out = {};
+    const keys = orderedKeys(chunk, CHUNK_FIELDS).filter(k => !CHUNK_LAST.includes(k));
+    for (const key of [...keys, ...CHUNK_LAST]) {
+        if (key === 'cells') {
+            out.cells = chunk.cells.map((cell, i) => canonicalCell(cell, join(path, `cells[${i}]`), active));
+        } else if (keep(key, chunk[key])) {
+            out[key] = plain(chunk[key], join(path, key), active);
+        }
+    }
+    return out;
+}
+
+function canonicalCell(cell, path, active) {
+    if (active.has(cell)) throw new Error(`SPP format: cyclic reference at ${path}`);
+    active.add(cell);
+    const out = {};
+    for (const key of orderedKeys(cell, CELL_FIELDS)) {
+        if (!keep(key, cell[key])) continue;
+        out[key] = key === 'refinement' && cell.refinement && Array.isArray(cell.refinement.cells)
+            ? canonicalChunk(cell.refinement, join(path, 'refinement'), active)
+            : plain(cell[key], join(path, key), active);
+    }
+    active.delete(cell);
+    return out;
+}
+
+// JSON-safe deep copy without `_` fields; throws on a cycle through public fields
+function plain(value, path, active) {
+    if (value === null || typeof value !== 'object') return value;
+    if (active.has(value)) throw new Error(`SPP format: cyclic reference at ${path}`);
+    active.add(value);
+    let out;
+    if (Array.isArray(value)) {
+        out = value.map((v, i) => plain(v ?? null, `${path}[${i}]`, active));
+    } else {
+        out = {};
+        for (const [key, v] of Object.entries(value)) {
+            if (keep(key, v)) out[key] = plain(v, join(path, key), active);
+        }
+    }
+    active.delete(value);
+    return out;
+}
+
+function keep(key, value) {
+    return !key.startsWith('_') && value !== undefined && typeof value !== 'function';
+}
+
+function orderedKeys(obj, first) {
+    return [...first.filter(k => k in obj), ...Object.keys(obj).filter(k => !first.includes(k))];
+}
+
+function hasRefinement(chunk) {
+    return chunk.cells.some(cell => Array.isArray(cell.refinement?.cells));
+}
+
+function sortedKeys(value) {
+    if (value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(sortedKeys);
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, sortedKeys(value[k])]));
+}
+
+function fnv1a(str) {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < str.length; i++) {
+        h ^= str.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
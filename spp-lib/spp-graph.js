@@ -0,0 +1,436 @@
+/**
+ * spp-graph.js — SPP Room Connectivity Graph
+ *
+ * A graph view of a ParticleChunk: leaf cells joined through Open faces form
+ * rooms (the nodes), and doors, arches, stairs and other open features
+ * between rooms form the edges. Works across refinement depths and on cells
+ * larger than one unit. Downstream analytics (path finding, egress) start
+ * from this graph.
+ *
+ * Usage:
+ *   import { buildRoomGraph } from './spp-graph.js';
+ *
+ *   const graph = buildRoomGraph(chunk);
+ *   const path = graph.shortestPath(graph.roomOf(entrance), graph.roomOf(bedroom));
+ *   const sealed = graph.doorlessRooms();
+ *   download(graph.toGraphML());
+ */
+
+import {
+    FACE, OPTION_ROLE, DEFAULT_REGISTRY, OptionRegistry, COVERAGE, coverageOf, isEmptyCell,
+    segmentCount, getResolvedSegmentOption,
+} from './spp-core.js';
+import { LeafIndex } from './spp-spatial.js';
+import { cellPath } from './spp-diff.js';
+import { getSpace } from './spp-semantics.js';
+
+export const ROOM_GRAPH_FORMAT = 'spp-room-graph';
+export const ROOM_GRAPH_VERSION = 1;
+
+const HORIZONTAL_FACES = [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z];
+
+// ═════════════════════════════════════════════════════════════
+// buildRoomGraph
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Build the room graph of a chunk.
+ *
+ * Two leaves are in the same room when the faces between them both resolve
+ * to the registry's Open role. Any other open-type pair (a door, an arch, a
+ * stair or slab opening across ±Y) is an opening and becomes an edge between
+ * the two rooms; one edge per room pair collects all of its openings.
+ * Open-type faces on the exterior (±X / ±Z with nothing across) are the
+ * room's exits. Empty cells (isEmptyCell) belong to no room and count as
+ * the exterior, so a door onto a yard is an exit. Under sparse coverage a
+ * face with nothing across is undescribed and is not an exit. Faces that
+ * are not collapsed to a single option connect nothing.
+ *
+ * A room's space is the most common `space` of its cells, and its name that
+ * space's name from the chunk's `spaces` table, else the most common `room`
+ * label.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Object} [options]
+ * @param {OptionRegistry|Object} [options.registry=DEFAULT_REGISTRY]
+ * @returns {RoomGraph}
+ */
+export function buildRoomGraph(chunk, { registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const root = Array.isArray(chunk) ? { cells: chunk } : chunk;
+    const openId = reg.role(OPTION_ROLE.OPEN);
+    const sparse = coverageOf(root) === COVERAGE.SPARSE;
+    const index = new LeafIndex(root);
+    const leaves = index.leaves();
+    const order = new Map(leaves.map((leaf, i) => [leaf, i]));
+    const atOf = atKeys(root);
+
+    // Pass 1: every face segment of every leaf, against what lies across it
+    const parent = leaves.map((_, i) => i);
+    const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+    const openings = [];   // { from, to, opening }
+    const exits = [];      // { leaf, exit }
+
+    leaves.forEach((leaf, i) => {
+        if (isEmptyCell(leaf.cell)) return;
+        for (let face = 0; face < 6; face++) {
+            const across = index.neighborsAcross(leaf, face);
+            for (let segment = 0; segment < segmentCount(leaf.cell, face); segment++) {
+                const mine = getResolvedSegmentOption(leaf.cell, face, segment);
+                const passable = mine !== null && reg.isOpen(mine);
+                const contacts = across.filter(n => n.segment === segment);
+                const touching = contacts.filter(n => !isEmptyCell(n.leaf.cell));
+
+                if (touching.length === 0) {
+                    const exterior = contacts.length > 0 || !sparse;
+                    if (passable && exterior && HORIZONTAL_FACES.includes(face)) {
+                        exits.push({ leaf: i, exit: faceRef(atOf.get(leaf.cell), leaf.cell, face, segment, mine) });
+                    }
+                    continue;
+                }
+                for (const { leaf: other, face: otherFace, neighborSegment } of touching) {
+                    const j = order.get(other);
+                    if (j < i) continue;   // each contact once, from the lower leaf
+                    const theirs = getResolvedSegmentOption(other.cell, otherFace, neighborSegment);
+                    if (!passable || theirs === null || !reg.isOpen(theirs)) continue;
+
+                    if (mine === openId && theirs === openId) {
+                        parent[find(i)] = find(j);
+                        continue;
+                    }
+                    openings.push({
+                        from: i,
+                        to: j,
+                        opening: {
+                            ...faceRef(atOf.get(leaf.cell), leaf.cell, face, segment, mine),
+                            across: faceRef(atOf.get(other.cell), other.cell, otherFace, neighborSegment, theirs),
+                        },
+                    });
+                }
+            }
+        }
+    });
+
+    // Pass 2: rooms in leaf order, then edges between them
+    const roomOfLeaf = new Map();
+    const rooms = [];
+    leaves.forEach((leaf, i) => {
+        if (isEmptyCell(leaf.cell)) return;
+        const rootLeaf = find(i);
+        if (!roomOfLeaf.has(rootLeaf)) {
+            roomOfLeaf.set(rootLeaf, rooms.length);
+            rooms.push({ id: rooms.length, name: null, space: null, cells: [], area: 0, levels: [], exits: [], _names: new Map(), _spaces: new Map() });
+        }
+        const room = rooms[roomOfLeaf.get(rootLeaf)];
+        room.cells.push(atOf.get(leaf.cell));
+        room.area += (leaf.max[0] - leaf.min[0]) * (leaf.max[2] - leaf.min[2]);
+        if (!room.levels.includes(leaf.min[1])) room.levels.push(leaf.min[1]);
+        if (leaf.cell.room) room._names.set(leaf.cell.room, (room._names.get(leaf.cell.room) || 0) + 1);
+        if (leaf.cell.space !== undefined) room._spaces.set(leaf.cell.space, (room._spaces.get(leaf.cell.space) || 0) + 1);
+    });
+    const roomIdOf = i => roomOfLeaf.get(find(i));
+
+    for (const room of rooms) {
+        // Most common cell space, else the most common cell label, names the room
+        room.space = mostCommon(room._spaces);
+        room.name = getSpace(root, room.space)?.name ?? mostCommon(room._names);
+        delete room._names;
+        delete room._spaces;
+        room.levels.sort((a, b) => a - b);
+    }
+    for (const { leaf, exit } of exits) rooms[roomIdOf(leaf)].exits.push(exit);
+
+    const edges = [];
+    const edgeByPair = new Map();
+    for (const { from, to, opening } of openings) {
+        let a = roomIdOf(from), b = roomIdOf(to);
+        if (a === b) continue;   // a door inside one room connects nothing new
+        let entry = opening;
+        if (a > b) {
+            [a, b] = [b, a];
+            const { across, ...near } = opening;
+            entry = { ...across, across: near };
+        }
+        const pair = `${a}|${b}`;
+        if (!edgeByPair.has(pair)) {
+            edgeByPair.set(pair, edges.length);
+            edges.push({ id: edges.length, rooms: [a, b], openings: [] });
+        }
+        edges[edgeByPair.get(pair)].openings.push(entry);
+    }
+
+    const cellRoom = new Map();
+    leaves.forEach((leaf, i) => {
+        if (!isEmptyCell(leaf.cell)) cellRoom.set(leaf.cell, roomIdOf(i));
+    });
+    return new RoomGraph(root, rooms, edges, cellRoom);
+}
+
+// ═════════════════════════════════════════════════════════════
+// RoomGraph
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Rooms and the openings between them.
+ *
+ * rooms: [{ id, name, space, cells, area, levels, exits }]
+ *   space  — id in the chunk's spaces table (spp-semantics.js), or null
+ *   cells  — `at` keys of the room's leaf cells (see spp-diff.js)
+ *   area   — floor area in world units²
+ *   levels — storeys (root position[1]) the room spans
+ *   exits  — open faces to the outside: [{ at, face, segment?, option }]
+ * edges: [{ id, rooms: [a, b], openings }] with a < b
+ *   openings — [{ at, face, segment?, option, across: { at, face, segment?, option } }],
+ *              seen from room a
+ *
+ * The graph is a snapshot: edit the chunk and build a new one.
+ */
+export class RoomGraph {
+    constructor(chunk, rooms, edges, cellRoom) {
+        this.chunk = chunk;
+        this.rooms = rooms;
+        this.edges = edges;
+        this._cellRoom = cellRoom;
+        this._adjacency = rooms.map(() => []);
+        for (const edge of edges) {
+            const [a, b] = edge.rooms;
+            this._adjacency[a].push({ room: b, edge: edge.id });
+            this._adjacency[b].push({ room: a, edge: edge.id });
+        }
+    }
+
+    get size() {
+        return this.rooms.length;
+    }
+
+    room(id) {
+        return this.rooms[id] || null;
+    }
+
+    /**
+     * Room a leaf cell belongs to. Accepts the cell, its `at` key, or a
+     * renderer's flattened copy (found through cellPath).
+     *
+     * @param {Object|Array} cellOrAt
+     * @returns {number|null} room id; null for empty cells
+     */
+    roomOf(cellOrAt) {
+        if (!cellOrAt) return null;
+        if (this._cellRoom.has(cellOrAt)) return this._cellRoom.get(cellOrAt);
+        const at = Array.isArray(cellOrAt) ? cellOrAt : cellPath(this.chunk, cellOrAt);
+        if (!at) return null;
+        if (!this._atRoom) {
+            this._atRoom = new Map();
+            for (const room of this.rooms) {
+                for (const cellAt of room.cells) this._atRoom.set(JSON.stringify(cellAt), room.id);
+            }
+        }
+        return this._atRoom.get(JSON.stringify(at)) ?? null;
+    }
+
+    /**
+     * Rooms reachable from a room through one opening.
+     * @returns {Array} [{ room, edge }]
+     */
+    neighbors(id) {
+        return (this._adjacency[id] || []).map(n => ({ ...n }));
+    }
+
+    /** Edge between two rooms, or null. */
+    edgeBetween(a, b) {
+        const link = (this._adjacency[a] || []).find(n => n.room === b);
+        return link ? this.edges[link.edge] : null;
+    }
+
+    /**
+     * Every room reachable from a room, itself included, nearest first.
+     * @returns {Array<number>} room ids
+     */
+    reachable(from) {
+        return [...this._distances(from).keys()];
+    }
+
+    isReachable(from, to) {
+        return this._distances(from).has(to);
+    }
+
+    /**
+     * Fewest-openings route between two rooms.
+     *
+     * @returns {Array<number>|null} room ids from `from` to `to`, or null when unreachable
+     */
+    shortestPath(from, to) {
+        if (!this.rooms[from] || !this.rooms[to]) return null;
+        const previous = new Map([[from, null]]);
+        const queue = [from];
+        while (queue.length > 0 && !previous.has(to)) {
+            const room = queue.shift();
+            for (const { room: next } of this._adjacency[room]) {
+                if (previous.has(next)) continue;
+                previous.set(next, room);
+                queue.push(next);
+            }
+        }
+        if (!previous.has(to)) return null;
+        const path = [];
+        for (let room = to; room !== null; room = previous.get(room)) path.unshift(room);
+        return path;
+    }
+
+    /**
+     * Rooms whose removal splits the rooms around them into parts that can
+     * no longer reach each other (hallways, the only room leading to a
+     * wing, …). Exits are not considered.
+     *
+     * @returns {Array<number>} room ids, ascending
+     */
+    articulationRooms() {
+        const discovered = new Array(this.rooms.length).fill(-1);
+        const low = new Array(this.rooms.length).fill(0);
+        const result = new Set();
+        let time = 0;
+
+        const visit = (room, parentRoom) => {
+            discovered[room] = low[room] = time++;
+            let children = 0;
+            for (const { room: next } of this._adjacency[room]) {
+                if (discovered[next] === -1) {
+                    children++;
+                    visit(next, room);
+                    low[room] = Math.min(low[room], low[next]);
+                    if (parentRoom !== -1 && low[next] >= discovered[room]) result.add(room);
+                } else if (next !== parentRoom) {
+                    low[room] = Math.min(low[room], discovered[next]);
+                }
+            }
+            if (parentRoom === -1 && children > 1) result.add(room);
+        };
+        for (let room = 0; room < this.rooms.length; room++) {
+            if (discovered[room] === -1) visit(room, -1);
+        }
+        return [...result].sort((a, b) => a - b);
+    }
+
+    /**
+     * Rooms with no opening at all: no edge to another room and no exit.
+     * Usually a sealed-off room from a missed door.
+     *
+     * @returns {Array<number>} room ids
+     */
+    doorlessRooms() {
+        return this.rooms
+            .filter(room => this._adjacency[room.id].length === 0 && room.exits.length === 0)
+            .map(room => room.id);
+    }
+
+    /** JSON form: { format: 'spp-room-graph', version, rooms, edges }. */
+    toJSON() {
+        return {
+            format: ROOM_GRAPH_FORMAT,
+            version: ROOM_GRAPH_VERSION,
+            rooms: this.rooms,
+            edges: this.edges,
+        };
+    }
+
+    /**
+     * GraphML document for graph tools (yEd, Gephi, networkx). Rooms carry
+     * name, area, cell and exit counts; edges carry the opening count and
+     * the option ids used.
+     *
+     * @returns {string}
+     */
+    toGraphML() {
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+            '  <key id="name" for="node" attr.name="name" attr.type="string"/>',
+            '  <key id="area" for="node" attr.name="area" attr.type="double"/>',
+            '  <key id="cells" for="node" attr.name="cells" attr.type="int"/>',
+            '  <key id="exits" for="node" attr.name="exits" attr.type="int"/>',
+            '  <key id="openings" for="edge" attr.name="openings" attr.type="int"/>',
+            '  <key id="options" for="edge" attr.name="options" attr.type="string"/>',
+            '  <graph id="rooms" edgedefault="undirected">',
+        ];
+        for (const room of this.rooms) {
+            lines.push(`    <node id="r${room.id}">`);
+            if (room.name !== null) lines.push(`      <data key="name">${escapeXML(room.name)}</data>`);
+            lines.push(`      <data key="area">${room.area}</data>`);
+            lines.push(`      <data key="cells">${room.cells.length}</data>`);
+            lines.push(`      <data key="exits">${room.exits.length}</data>`);
+            lines.push('    </node>');
+        }
+        for (const edge of this.edges) {
+            const options = [...new Set(edge.openings.flatMap(o => [o.option, o.across.option]))];
+            lines.push(`    <edge id="e${edge.id}" source="r${edge.rooms[0]}" target="r${edge.rooms[1]}">`);
+            lines.push(`      <data key="openings">${edge.openings.length}</data>`);
+            lines.push(`      <data key="options">${options.join(' ')}</data>`);
+            lines.push('    </edge>');
+        }
+        lines.push('  </graph>', '</graphml>');
+        return lines.join('\n');
+    }
+
+    /** One line per room, for logs. */
+    describe() {
+        return this.rooms.map(room => {
+            const links = this._adjacency[room.id].map(n => `r${n.room}`).join(', ') || 'none';
+            return `r${room.id} ${room.name ?? '(unnamed)'}: ${room.cells.length} cell(s), ` +
+                `${room.exits.length} exit(s), opens to ${links}`;
+        }).join('\n');
+    }
+
+    // BFS distances in openings: Map roomId → hops, nearest first
+    _distances(from) {
+        const distance = new Map();
+        if (!this.rooms[from]) return distance;
+        distance.set(from, 0);
+        const queue = [from];
+        while (queue.length > 0) {
+            const room = queue.shift();
+            for (const { room: next } of this._adjacency[room]) {
+                if (distance.has(next)) continue;
+                distance.set(next, distance.get(room) + 1);
+                queue.push(next);
+            }
+        }
+        return distance;
+    }
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+// `at` key of every cell in the tree, by cell object
+function atKeys(root) {
+    const keys = new Map();
+    const walk = (cells, parentAt) => {
+        for (const cell of cells || []) {
+            const at = [...parentAt, [...cell.position]];
+            keys.set(cell, at);
+            const sub = cell.refinement || cell.subGrid;
+            if (sub) walk(sub.cells, at);
+        }
+    };
+    walk(root.cells, []);
+    return keys;
+}
+
+function faceRef(at, cell, face, segment, option) {
+    const ref = { at, face };
+    if (segmentCount(cell, face) > 1) ref.segment = segment;
+    ref.option = option;
+    return ref;
+}
+
+// Key with the highest count (first one on a tie), or null
+function mostCommon(counts) {
+    let best = null, bestCount = 0;
+    for (const [key, n] of counts) {
+        if (n > bestCount) { best = key; bestCount = n; }
+    }
+    return best;
+}
+
+function escapeXML(text) {
+    return String(text).replace(/[<>&"']/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;', "'": '&apos;' })[c]);
+}
@@ -0,0 +1,252 @@
+/**
+ * spp-history.js — SPP Edit History
+ *
+ * Event-sourced editing for a ParticleChunk: every mutation is a typed
+ * operation applied through a ChunkHistory, which keeps the log, undoes and
+ * redoes, and rebuilds the chunk as it was at any version. Operations are
+ * stored as spp-patch ops (see spp-diff.js), so the log is plain JSON.
+ *
+ * Usage:
+ *   import { ChunkHistory, HISTORY_OP } from './spp-history.js';
+ *
+ *   const history = new ChunkHistory(chunk);
+ *   history.apply({ type: HISTORY_OP.SET_FACE_OPTION, at: [[2, 0, 3]], face: FACE.POS_X, options: [2] });
+ *   history.record('pierce doors', ch => engine.pierceFeatures(ch.cells, annotations));
+ *   history.undo();
+ *   const original = history.snapshot(0);
+ */
+
+import { segmentCount } from './spp-core.js';
+import { PATCH_FORMAT, PATCH_VERSION, PATCH_OP, diffChunks, applyPatch, invertPatch, formatPatchConflicts, cellAt, plainCopy } from './spp-diff.js';
+
+export const HISTORY_FORMAT = 'spp-history';
+export const HISTORY_VERSION = 1;
+
+// Typed operations accepted by ChunkHistory.apply
+export const HISTORY_OP = {
+    SET_FACE_OPTION: 'setFaceOption',        // { at, face, segment?, options }
+    SET_FIELD: 'setField',                   // { at, field, value } — at [] for the chunk's own fields
+    ADD_CELL: 'addCell',                     // { parent?, cell } — parent: at of the refined cell, [] for the root grid
+    REMOVE_CELL: 'removeCell',               // { at }
+    ATTACH_REFINEMENT: 'attachRefinement',   // { at, refinement }
+    DETACH_REFINEMENT: 'detachRefinement',   // { at }
+    PATCH: 'patch',                          // { patch } — an spp-patch, e.g. from record()
+};
+
+// ═════════════════════════════════════════════════════════════
+// ChunkHistory
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Undoable, replayable edit log over one chunk.
+ *
+ * The chunk is edited in place, so renderers and other holders of the chunk
+ * see every change; cells an operation does not touch keep their identity.
+ * Cells are addressed by `at` keys (one position per refinement level, see
+ * spp-diff.js); cellPath(chunk, cell) finds the key of a cell or of a
+ * renderer's flattened copy.
+ *
+ * Applying an operation after undo drops the undone entries (no branches).
+ * Edits made behind the history's back are not tracked; wrap code that
+ * mutates the chunk directly in record().
+ */
+export class ChunkHistory {
+    /**
+     * @param {Object} chunk - ParticleChunk, edited in place from now on
+     */
+    constructor(chunk) {
+        this.chunk = chunk;
+        this._entries = [];
+        this._version = 0;
+        this._base = plainCopy(chunk);
+    }
+
+    /** Number of entries applied; 0 is the chunk the history started with. */
+    get version() {
+        return this._version;
+    }
+
+    /** Number of entries in the log, including undone ones. */
+    get length() {
+        return this._entries.length;
+    }
+
+    get canUndo() {
+        return this._version > 0;
+    }
+
+    get canRedo() {
+        return this._version < this._entries.length;
+    }
+
+    /** Log entries: [{ type, label, patch }], oldest first. */
+    entries() {
+        return this._entries.map(e => ({ ...e }));
+    }
+
+    /**
+     * Apply a typed operation (one of HISTORY_OP) and log it.
+     * Throws when the operation does not fit the chunk (missing cell,
+     * taken slot, …); the chunk is unchanged then.
+     *
+     * @param {Object} op - { type, ... }
+     * @param {string} [label] - shown in history lists; defaults to the type
+     * @returns {Object} the log entry
+     */
+    apply(op, label = op.type) {
+        const patch = this._toPatch(op);
+        this._run(patch);
+        return this._push({ type: op.type, label, patch });
+    }
+
+    /**
+     * Run code that mutates the chunk directly (pierceFeatures, an
+     * integrate call, …) and log what it changed as one entry.
+     *
+     * @param {string} label
+     * @param {Function} mutate - (chunk) → any; its return value is passed through
+     * @returns {*} what mutate returned
+     */
+    record(label, mutate) {
+        const before = plainCopy(this.chunk);
+        const result = mutate(this.chunk);
+        const patch = diffChunks(before, this.chunk);
+        if (patch.ops.length > 0) this._push({ type: HISTORY_OP.PATCH, label, patch });
+        return result;
+    }
+
+    /** Undo the last applied entry. Returns it, or null at version 0. */
+    undo() {
+        if (!this.canUndo) return null;
+        const entry = this._entries[this._version - 1];
+        this._run(invertPatch(entry.patch));
+        this._version--;
+        return entry;
+    }
+
+    /** Redo the next undone entry. Returns it, or null when there is none. */
+    redo() {
+        if (!this.canRedo) return null;
+        const entry = this._entries[this._version];
+        this._run(entry.patch);
+        this._version++;
+        return entry;
+    }
+
+    /**
+     * Undo or redo until the chunk is at the given version.
+     *
+     * @param {number} version - 0 .. length
+     */
+    goTo(version) {
+        this._checkVersion(version);
+        while (this._version > version) this.undo();
+        while (this._version < version) this.redo();
+    }
+
+    /**
+     * Detached copy of the chunk at a version, rebuilt by replaying the log
+     * from the start. The live chunk is not touched.
+     *
+     * @param {number} [version=this.version]
+     * @returns {Object} ParticleChunk
+     */
+    snapshot(version = this._version) {
+        this._checkVersion(version);
+        if (version === this._version) return plainCopy(this.chunk);
+        let chunk = plainCopy(this._base);
+        for (const entry of this._entries.slice(0, version)) {
+            chunk = applyPatch(chunk, entry.patch).chunk;
+        }
+        return chunk;
+    }
+
+    /** JSON form of the log: the starting chunk and every entry. */
+    toJSON() {
+        return {
+            format: HISTORY_FORMAT,
+            version: HISTORY_VERSION,
+            base: this._base,
+            entries: this._entries.slice(0, this._version),
+        };
+    }
+
+    /**
+     * Rebuild a history from toJSON output. The chunk is replayed from the
+     * stored base to the last entry.
+     *
+     * @param {Object} data - { format: 'spp-history', version, base, entries }
+     * @returns {ChunkHistory}
+     */
+    static fromJSON(data) {
+        if (data?.format !== HISTORY_FORMAT || !Array.isArray(data.entries)) {
+            throw new Error('ChunkHistory.fromJSON: not an spp-history log');
+        }
+        const history = new ChunkHistory(plainCopy(data.base));
+        history._entries = data.entries.map(e => ({ ...e }));
+        history.goTo(history._entries.length);
+        return history;
+    }
+
+    // ─── Internals ───────────────────────────────────────────
+
+    _push(entry) {
+        this._entries.length = this._version;
+        this._entries.push(entry);
+        this._version++;
+        return entry;
+    }
+
+    _run(patch) {
+        const result = applyPatch(this.chunk, patch, { inPlace: true });
+        if (!result.ok) throw new Error(`ChunkHistory: ${formatPatchConflicts(result.conflicts)}`);
+    }
+
+    _checkVersion(version) {
+        if (!Number.isInteger(version) || version < 0 || version > this._entries.length) {
+            throw new Error(`ChunkHistory: no version ${version} (0..${this._entries.length})`);
+        }
+    }
+
+    // Typed op → patch, with the current values as `from`
+    _toPatch(op) {
+        const patch = ops => ({ format: PATCH_FORMAT, version: PATCH_VERSION, ops });
+        const target = () => {
+            const cell = cellAt(this.chunk, op.at);
+            if (!cell) throw new Error(`ChunkHistory: ${op.type}: no cell at ${JSON.stringify(op.at)}`);
+            return cell;
+        };
+
+        switch (op.type) {
+            case HISTORY_OP.SET_FACE_OPTION: {
+                const cell = target();
+                const segmented = op.segment !== undefined && op.segment !== null && segmentCount(cell, op.face) > 1;
+                const from = segmented ? (cell.faceSegments?.[op.face]?.[op.segment] ?? null) : cell.faceOptions[op.face];
+                const change = { op: PATCH_OP.FACE, at: op.at, face: op.face, from: plainCopy(from), to: [...op.options] };
+                if (segmented) change.segment = op.segment;
+                return patch([change]);
+            }
+            case HISTORY_OP.SET_FIELD: {
+                const holder = op.at?.length ? target() : this.chunk;
+                return patch([{ op: PATCH_OP.SET, at: op.at || [], field: op.field, from: plainCopy(holder[op.field]), to: plainCopy(op.value) }]);
+            }
+            case HISTORY_OP.ADD_CELL:
+                return patch([{ op: PATCH_OP.ADD, at: [...(op.parent || []), [...op.cell.position]], cell: plainCopy(op.cell) }]);
+            case HISTORY_OP.REMOVE_CELL:
+                return patch([{ op: PATCH_OP.REMOVE, at: op.at, cell: plainCopy(target()) }]);
+            case HISTORY_OP.ATTACH_REFINEMENT: {
+                const cell = target();
+                return patch([{ op: PATCH_OP.REFINEMENT, at: op.at, from: plainCopy(cell.refinement ?? null), to: plainCopy(op.refinement) }]);
+            }
+            case HISTORY_OP.DETACH_REFINEMENT: {
+                const cell = target();
+                if (!cell.refinement) throw new Error(`ChunkHistory: ${op.type}: cell at ${JSON.stringify(op.at)} has no refinement`);
+                return patch([{ op: PATCH_OP.REFINEMENT, at: op.at, from: plainCopy(cell.refinement), to: null }]);
+            }
+            case HISTORY_OP.PATCH:
+                return op.patch;
+            default:
+                throw new Error(`ChunkHistory: unknown operation "${op.type}"`);
+        }
+    }
+}
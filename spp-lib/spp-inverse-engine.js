@@ -17,18 +17,41 @@
  *   });
  *
  *   const result = await engine.reconstruct(imageDataUrl);
- *   // result = { gridInfo: { crop, gridX, gridZ, layout }, cells, description }
+ *   // result = { gridInfo: { crop, gridX, gridZ, layout }, spaces, cells, description }
+ *
+ *   const building = await engine.reconstructBuilding([{ image: ground, level: 0 }, { image: upper, level: 1 }]);
+ *   // building = { chunk: { spaces, cells }, storeys, connections, gridX, gridZ }
  */
 
-import { OPTION_REGISTRY } from './spp-core.js';
+import {
+    FACE, DEFAULT_REGISTRY, OptionRegistry, OPTION_ROLE, COVERAGE, faceContext, createEmptyCell, isEmptyCell,
+    segmentIndex, segmentSlots, getResolvedSegmentOption, setSegmentOptions,
+} from './spp-core.js';
+import { ChunkIndex, positionKey } from './spp-spatial.js';
+import { assertNoLegacyFields } from './spp-migrate.js';
+import { LAYOUT_EMPTY, GLAZED_FUNCTIONS, spacesFromLayout, spaceFunctionOf, assignSpaces } from './spp-semantics.js';
+import {
+    checkRefinementBoundary, formatBoundaryViolations,
+    checkReciprocity, RECIPROCITY_POLICY,
+} from './spp-validate.js';
 
 // Re-export core for convenience — consumers can import from either file
 export {
     FACE, OPPOSITE_FACE, FACE_DIRECTION, FACE_NAMES,
     OPTION_TYPE, OPTION_REGISTRY, OPEN_IDS, WALL_IDS, ALL_IDS,
+    PARTIAL, OPTION_ROLE, OPTION_CONTEXT, VERTICAL_KIND, VERTICAL_IDS,
+    DEFAULT_NAMESPACES, OptionRegistry, DEFAULT_REGISTRY,
     getResolvedOption, cycleOption,
-    createCell, createChunk, collapseCell,
+    segmentCount, segmentIndex, segmentSlots, segmentOptions, getResolvedSegmentOption, setSegmentOptions,
+    createCell, createEmptyCell, createChunk, collapseCell,
+    COVERAGE, coverageOf, isEmptyCell, faceContext,
+    createRandom, randomSeed, pickWeighted,
 } from './spp-core.js';
+export {
+    SPACE_FUNCTION, GLAZED_FUNCTIONS, LAYOUT_EMPTY, FACE_META_FIELDS,
+    inferSpaceFunction, spacesFromLayout, getSpace, spaceFunctionOf, assignSpaces,
+    getFaceMeta, setFaceMeta,
+} from './spp-semantics.js';
 
 // ═════════════════════════════════════════════════════════════
 // Part 1: Inverse-Specific Cell Generation (from particle.js)
@@ -39,6 +62,9 @@ export {
  * Non-scaled cells pass through unchanged.
  * Scaled cells produce n×n sub-cells with fractional positions.
  *
+ * Legacy representation: new code should use `refinement`.
+ * migrateLegacyChunk (spp-migrate.js) converts both the input and the output.
+ *
  * @param {Array} cells - array of cell objects (some may have .scale and .subCells)
  * @returns {Array} flat array of cells (all scale=1 effective)
  */
@@ -82,13 +108,54 @@ export function expandScaledCells(cells) {
 
 /**
  * Generate cells and face options from a 2D layout array and a list of doors.
+ *
+ * A null entry (and anything outside the grid) is space with no cell: the
+ * exterior under closed coverage, so bordering faces get a wall or window,
+ * and undescribed under sparse coverage, so bordering faces stay [] — no
+ * wall is assumed. A LAYOUT_EMPTY entry becomes an empty cell (see
+ * createEmptyCell) that bordering rooms treat as the exterior, under either
+ * coverage; doors onto it are kept. Give the chunk built from the cells the
+ * same `coverage`.
+ *
+ * Each room cell gets its label as `room` and, when the label names an
+ * entry of `spaces` (by name or id), that entry's id as `space` and name as
+ * `room`. Exterior faces get windows when the space function is one of
+ * GLAZED_FUNCTIONS (living rooms, kitchens, bedrooms), walls otherwise;
+ * labels without a space entry fall back to inferSpaceFunction. Put the
+ * same table on the chunk as `spaces`.
+ *
  * @param {Array<Array<string|null>>} layout - 2D layout grid (z, x)
  * @param {number} gridX - Width of grid
  * @param {number} gridZ - Height of grid
  * @param {Array<Object>} doors - List of door objects {x1, z1, x2, z2}
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - supplies the open/door/wall/window role ids
+ *        and, when present, the floor/ceiling roles for the ±Y faces
+ * @param {number} [options.level] - storey; becomes position[1] (0 when omitted). Giving a level asks for
+ *        multi-storey output: ±Y faces get the floor / ceiling roles. Without it they stay [] (single storey)
+ * @param {boolean} [options.mergeRooms=false] - merge each rectangular room into one larger cell (see mergeRoomCells)
+ * @param {string} [options.coverage=COVERAGE.CLOSED] - what null entries are (see COVERAGE)
+ * @param {Array<Object>} [options.spaces=[]] - space table (spp-semantics.js), e.g. spacesFromLayout(layout)
  * @returns {Array<Object>} List of cell objects
  */
-export function generateCellsFromLayout(layout, gridX, gridZ, doors) {
+export function generateCellsFromLayout(layout, gridX, gridZ, doors, {
+    registry = DEFAULT_REGISTRY,
+    level,
+    mergeRooms = false,
+    coverage = COVERAGE.CLOSED,
+    spaces = [],
+} = {}) {
+    const reg = OptionRegistry.from(registry);
+    const OPEN = reg.role(OPTION_ROLE.OPEN);
+    const DOOR = reg.role(OPTION_ROLE.DOOR);
+    const WALL = reg.role(OPTION_ROLE.WALL);
+    const WINDOW = reg.role(OPTION_ROLE.WINDOW);
+    const y = level ?? 0;
+    // ±Y faces stay empty for a single storey, and for registries without vertical options
+    const vertical = level !== undefined;
+    const CEILING = vertical && reg.hasRole(OPTION_ROLE.CEILING) ? [reg.role(OPTION_ROLE.CEILING)] : [];
+    const FLOOR = vertical && reg.hasRole(OPTION_ROLE.FLOOR) ? [reg.role(OPTION_ROLE.FLOOR)] : [];
+
     const doorSet = new Set();
     for (const d of doors || []) {
         doorSet.add(`${d.x1},${d.z1}->${d.x2},${d.z2}`);
@@ -97,39 +164,122 @@ export function generateCellsFromLayout(layout, gridX, gridZ, doors) {
     function hasDoor(x1, z1, x2, z2) {
         return doorSet.has(`${x1},${z1}->${x2},${z2}`);
     }
-    const windowRooms = new Set(['Kitchen', 'Living Room', 'Bedroom']);
+    const spaceOf = new Map();   // layout label → space entry
+    for (const space of spaces) if (!spaceOf.has(space.id)) spaceOf.set(space.id, space);
+    for (const space of spaces) if (space.name !== undefined) spaceOf.set(space.name, space);
+    const isGlazed = label => GLAZED_FUNCTIONS.includes(spaceFunctionOf(spaces, { space: spaceOf.get(label)?.id, room: label }));
     function faceValue(x, z, nx, nz) {
         const room = layout[z]?.[x];
-        const neighbor = layout[nz]?.[nx];
-        if (nx < 0 || nx >= gridX || nz < 0 || nz >= gridZ || !neighbor) {
-            return windowRooms.has(room) ? [20] : [10];
+        const inGrid = nx >= 0 && nx < gridX && nz >= 0 && nz < gridZ;
+        const neighbor = inGrid ? layout[nz]?.[nx] : null;
+        if (!neighbor && coverage === COVERAGE.SPARSE) return [];   // undescribed
+        if (neighbor && hasDoor(x, z, nx, nz) && room !== neighbor) return [DOOR];
+        if (!neighbor || neighbor === LAYOUT_EMPTY) {
+            return isGlazed(room) ? [WINDOW] : [WALL];
         }
-        if (room === neighbor) return [0];
-        if (hasDoor(x, z, nx, nz)) return [2];
-        return [10];
+        if (room === neighbor) return [OPEN];
+        return [WALL];
     }
     const cells = [];
     for (let z = 0; z < gridZ; z++) {
         for (let x = 0; x < gridX; x++) {
             const room = layout[z]?.[x];
             if (!room) continue;
-            cells.push({
-                position: [x, 0, z],
+            if (room === LAYOUT_EMPTY) {
+                cells.push(createEmptyCell(x, y, z, { registry: reg }));
+                continue;
+            }
+            const space = spaceOf.get(room);
+            const cell = {
+                position: [x, y, z],
                 size: [1, 1, 1],    // standard unit size
                 faceStates: 63,     // 0b111111 (all faces active)
-                room,
-                faceOptions: [
-                    faceValue(x, z, x + 1, z),  // index 0: POS_X → neighbor at x+1
-                    faceValue(x, z, x - 1, z),  // index 1: NEG_X → neighbor at x-1
-                    [],                           // index 2: POS_Y (unused)
-                    [],                           // index 3: NEG_Y (unused)
-                    faceValue(x, z, x, z + 1),  // index 4: POS_Z → neighbor at z+1
-                    faceValue(x, z, x, z - 1),  // index 5: NEG_Z → neighbor at z-1
-                ],
-            });
+                room: space?.name ?? room,
+            };
+            if (space) cell.space = space.id;
+            cell.faceOptions = [
+                faceValue(x, z, x + 1, z),  // index 0: POS_X → neighbor at x+1
+                faceValue(x, z, x - 1, z),  // index 1: NEG_X → neighbor at x-1
+                [...CEILING],                 // index 2: POS_Y → storey above
+                [...FLOOR],                   // index 3: NEG_Y → storey below
+                faceValue(x, z, x, z + 1),  // index 4: POS_Z → neighbor at z+1
+                faceValue(x, z, x, z - 1),  // index 5: NEG_Z → neighbor at z-1
+            ];
+            cells.push(cell);
+        }
+    }
+    return mergeRooms ? mergeRoomCells(cells) : cells;
+}
+
+/**
+ * Merge every rectangular room into a single cell of size [w, 1, d].
+ * Each face keeps the most common option of its unit cells as the default;
+ * units that differ (a door, a window) become faceSegments overrides.
+ * Rooms that are not filled rectangles, or contain refined or non-unit
+ * cells, stay as they are. Cell order is kept: a merged room takes the
+ * place of its first unit.
+ *
+ * @param {Array<Object>} cells - unit cells with a room name
+ * @returns {Array<Object>} cells with rectangular rooms merged
+ */
+export function mergeRoomCells(cells) {
+    const groups = new Map();
+    for (const cell of cells) {
+        if (!cell.room) continue;
+        const key = `${cell.position[1]}|${cell.room}`;
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(cell);
+    }
+
+    const mergedBy = new Map();   // first unit → merged cell
+    const absorbed = new Set();
+    for (const group of groups.values()) {
+        const merged = mergeRectangle(group);
+        if (!merged) continue;
+        mergedBy.set(group[0], merged);
+        for (const cell of group) absorbed.add(cell);
+    }
+
+    const result = [];
+    for (const cell of cells) {
+        if (mergedBy.has(cell)) result.push(mergedBy.get(cell));
+        else if (!absorbed.has(cell)) result.push(cell);
+    }
+    return result;
+}
+
+// One larger cell for a group of unit cells filling a rectangle, or null
+function mergeRectangle(group) {
+    if (group.length < 2) return null;
+    const isUnit = c => !c.refinement && !c.subGrid && !c.faceSegments && !c.faceMeta
+        && (c.size || [1, 1, 1]).every(v => v === 1)
+        && c.position.every(Number.isInteger);
+    if (!group.every(isUnit)) return null;
+
+    const xs = group.map(c => c.position[0]);
+    const zs = group.map(c => c.position[2]);
+    const minX = Math.min(...xs), minZ = Math.min(...zs);
+    const w = Math.max(...xs) - minX + 1;
+    const d = Math.max(...zs) - minZ + 1;
+    const byKey = new Map(group.map(c => [positionKey(c.position), c]));
+    if (byKey.size !== group.length || w * d !== group.length) return null;
+
+    const { position, size, faceOptions, ...rest } = group[0];
+    const merged = { ...rest, position: [minX, position[1], minZ], size: [w, 1, d], faceOptions: [] };
+    for (let face = 0; face < 6; face++) {
+        const perSegment = segmentSlots(merged, face).map(slot => byKey.get(positionKey(slot)).faceOptions[face]);
+        const counts = new Map();
+        for (const opts of perSegment) {
+            const k = JSON.stringify(opts);
+            counts.set(k, (counts.get(k) || 0) + 1);
         }
+        const common = [...counts.entries()].reduce((a, b) => (b[1] > a[1] ? b : a))[0];
+        merged.faceOptions[face] = JSON.parse(common);
+        perSegment.forEach((opts, segment) => {
+            if (JSON.stringify(opts) !== common) setSegmentOptions(merged, face, segment, [...opts]);
+        });
     }
-    return cells;
+    return merged;
 }
 
 /**
@@ -142,13 +292,17 @@ export function generateCellsFromLayout(layout, gridX, gridZ, doors) {
  * @param {Array<Object>} cellModifications - Fine-grained room overrides
  *        Format: [{ basePos: [bx, bz], subPos: [sx, sz], room: 'Room Name' }]
  * @param {Array<Object>} baseDoors - Door definitions at base scale
- * @returns {Object} { fineLayout, cells, gridX, gridZ }
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - passed to generateCellsFromLayout
+ * @param {number} [options.level] - passed to generateCellsFromLayout
+ * @returns {Object} { fineLayout, cells, gridX, gridZ } — cells are the fine grid, flagged
+ *          `_parentScale` / `_isFineGrid`; migrateLegacyChunk turns them into refined base cells
  */
-export function optimizeGrid(baseLayout, scale, cellModifications, baseDoors) {
+export function optimizeGrid(baseLayout, scale, cellModifications, baseDoors, { registry = DEFAULT_REGISTRY, level } = {}) {
     if (scale <= 1) {
         const gridX = baseLayout[0]?.length || 0;
         const gridZ = baseLayout.length;
-        const cells = generateCellsFromLayout(baseLayout, gridX, gridZ, baseDoors);
+        const cells = generateCellsFromLayout(baseLayout, gridX, gridZ, baseDoors, { registry, level });
         return { fineLayout: baseLayout, cells, gridX, gridZ };
     }
 
@@ -205,7 +359,7 @@ export function optimizeGrid(baseLayout, scale, cellModifications, baseDoors) {
     }
 
     // 4. Generate cells using the uniform fine grid
-    const cells = generateCellsFromLayout(fineLayout, fineX, fineZ, fineDoors);
+    const cells = generateCellsFromLayout(fineLayout, fineX, fineZ, fineDoors, { registry, level });
 
     // 5. Mark cells so renderer sizes and spaces them correctly
     for (const cell of cells) {
@@ -216,6 +370,153 @@ export function optimizeGrid(baseLayout, scale, cellModifications, baseDoors) {
     return { fineLayout, cells, gridX: fineX, gridZ: fineZ };
 }
 
+// Room names that mark a vertical core when no detector output is given
+const CORE_ROOM_PATTERNS = [
+    { kind: 'stair', pattern: /stair|楼梯/i },
+    { kind: 'elevator', pattern: /elevator|lift|电梯/i },
+];
+
+/**
+ * Stack single-storey reconstructions into one multi-storey cell array.
+ *
+ * Each storey is shifted on X / Z so its footprint lines up with the storey
+ * below: the shift that lines up the most vertical-core cells wins, then the
+ * one with the largest footprint overlap, then the smallest shift. Cells are
+ * moved to position [x + dx, level, z + dz], and the whole building is then
+ * shifted so no position is negative. ±Y faces left [] by a single-storey
+ * generateCellsFromLayout get the registry's ceiling (POS_Y) and floor
+ * (NEG_Y) roles.
+ *
+ * Storeys on consecutive levels are connected through their ±Y faces where
+ * both storeys mark the same cell as the same kind of core: the lower cell's
+ * POS_Y and the upper cell's NEG_Y both get the registry's stair (or
+ * elevator) role. A core is a cell listed in `cores`, or — when `cores` is
+ * absent or empty — a cell whose room name mentions a stair or an elevator.
+ *
+ * Cells are modified in place.
+ *
+ * @param {Array<Object>} storeys - [{ level, layout, cells, cores? }]
+ *        cores: [{ x, z, kind: 'stair' | 'elevator' }] in the storey's own grid
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - supplies the floor/ceiling and stair/elevator role ids
+ * @returns {Object} { cells, gridX, gridZ, offsets, connections }
+ *   - offsets: Map level → [dx, dz] applied to that storey
+ *   - connections: [{ kind, lower: [x, y, z], upper: [x, y, z] }]
+ */
+export function stackStoreys(storeys, { registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const levels = storeys.map(storey => storey.level);
+    if (!levels.every(Number.isInteger) || new Set(levels).size !== levels.length) {
+        throw new Error(`stackStoreys: levels must be distinct integers, got [${levels.join(', ')}]`);
+    }
+    const slabs = {
+        [FACE.POS_Y]: reg.hasRole(OPTION_ROLE.CEILING) ? [reg.role(OPTION_ROLE.CEILING)] : [],
+        [FACE.NEG_Y]: reg.hasRole(OPTION_ROLE.FLOOR) ? [reg.role(OPTION_ROLE.FLOOR)] : [],
+    };
+    const roleOf = {
+        stair: reg.hasRole(OPTION_ROLE.STAIR) ? reg.role(OPTION_ROLE.STAIR) : null,
+        elevator: reg.hasRole(OPTION_ROLE.ELEVATOR) ? reg.role(OPTION_ROLE.ELEVATOR) : null,
+    };
+    const ordered = [...storeys].sort((a, b) => a.level - b.level);
+
+    // Align each storey to the one below, in that storey's shifted frame
+    const offsets = new Map();
+    const coresOf = new Map(ordered.map(storey => [storey, coreMap(storey)]));
+    ordered.forEach((storey, i) => {
+        if (i === 0) return offsets.set(storey.level, [0, 0]);
+        const below = ordered[i - 1];
+        const [bx, bz] = offsets.get(below.level);
+        const [dx, dz] = alignFootprint(storey.layout, coresOf.get(storey), below.layout, coresOf.get(below));
+        offsets.set(storey.level, [dx + bx, dz + bz]);
+    });
+
+    const minX = Math.min(...[...offsets.values()].map(o => o[0]));
+    const minZ = Math.min(...[...offsets.values()].map(o => o[1]));
+    let gridX = 0, gridZ = 0;
+    for (const storey of ordered) {
+        const [dx, dz] = offsets.get(storey.level);
+        offsets.set(storey.level, [dx - minX, dz - minZ]);
+        gridX = Math.max(gridX, dx - minX + (storey.layout[0]?.length || 0));
+        gridZ = Math.max(gridZ, dz - minZ + storey.layout.length);
+        for (const cell of storey.cells) {
+            cell.position = [cell.position[0] + dx - minX, storey.level, cell.position[2] + dz - minZ];
+            if (isEmptyCell(cell)) continue;
+            for (const face of [FACE.POS_Y, FACE.NEG_Y]) {
+                if (!cell.faceOptions[face]?.length) cell.faceOptions[face] = [...slabs[face]];
+            }
+        }
+    }
+
+    const cells = ordered.flatMap(storey => storey.cells);
+    const index = new ChunkIndex(cells);
+    const connections = [];
+
+    for (let i = 1; i < ordered.length; i++) {
+        const lower = ordered[i - 1];
+        const upper = ordered[i];
+        if (upper.level !== lower.level + 1) continue;
+        const [lx, lz] = offsets.get(lower.level);
+        const [ux, uz] = offsets.get(upper.level);
+
+        for (const [key, kind] of coresOf.get(lower)) {
+            const [x, z] = key.split(',').map(Number);
+            const ax = x + lx, az = z + lz;
+            if (coresOf.get(upper).get(`${ax - ux},${az - uz}`) !== kind || roleOf[kind] === null) continue;
+            const a = index.get([ax, lower.level, az]);
+            const b = index.get([ax, upper.level, az]);
+            if (!a || !b) continue;
+            a.faceOptions[FACE.POS_Y] = [roleOf[kind]];
+            b.faceOptions[FACE.NEG_Y] = [roleOf[kind]];
+            connections.push({ kind, lower: [...a.position], upper: [...b.position] });
+        }
+    }
+
+    return { cells, gridX, gridZ, offsets, connections };
+}
+
+// 'x,z' → kind, from detector output or room names
+function coreMap(storey) {
+    const cores = new Map();
+    if (storey.cores?.length) {
+        for (const c of storey.cores) cores.set(`${c.x},${c.z}`, c.kind);
+        return cores;
+    }
+    storey.layout.forEach((row, z) => row.forEach((room, x) => {
+        const match = room && CORE_ROOM_PATTERNS.find(p => p.pattern.test(room));
+        if (match) cores.set(`${x},${z}`, match.kind);
+    }));
+    return cores;
+}
+
+// Best [dx, dz] for `layout` over `baseLayout` (both in their own grids)
+function alignFootprint(layout, cores, baseLayout, baseCores) {
+    const occupied = (l, x, z) => !!l[z]?.[x];
+    const rows = layout.length, cols = layout[0]?.length || 0;
+    const baseRows = baseLayout.length, baseCols = baseLayout[0]?.length || 0;
+
+    let best = null;
+    for (let dz = -(rows - 1); dz < baseRows; dz++) {
+        for (let dx = -(cols - 1); dx < baseCols; dx++) {
+            let overlap = 0, coreHits = 0;
+            for (let z = 0; z < rows; z++) {
+                for (let x = 0; x < cols; x++) {
+                    if (!occupied(layout, x, z) || !occupied(baseLayout, x + dx, z + dz)) continue;
+                    overlap++;
+                    const kind = cores.get(`${x},${z}`);
+                    if (kind && baseCores.get(`${x + dx},${z + dz}`) === kind) coreHits++;
+                }
+            }
+            const shift = Math.abs(dx) + Math.abs(dz);
+            if (!best || coreHits > best.coreHits ||
+                (coreHits === best.coreHits && (overlap > best.overlap ||
+                    (overlap === best.overlap && shift < best.shift)))) {
+                best = { dx, dz, overlap, coreHits, shift };
+            }
+        }
+    }
+    return best ? [best.dx, best.dz] : [0, 0];
+}
+
 // ═════════════════════════════════════════════════════════════
 // Part 2: Prompt Templates (from prompt.js)
 // ═════════════════════════════════════════════════════════════
@@ -345,12 +646,12 @@ __LAYOUT__
 ## Phase 2: Binary Topology Generation
 Your task is to classify connections between rooms. To simplify the process, use ONLY two options for now:
 
-- 0: **Open** — same room (passage continues within the same region)
-- 10: **Wall** — different rooms or exterior boundary
+- __OPEN_ID__: **Open** — same room (passage continues within the same region)
+- __WALL_ID__: **Wall** — different rooms or exterior boundary
 
 ## Rules
-1. **Same-room adjacency**: If two adjacent cells belong to the SAME room name → use 0 (open).
-2. **Different-room adjacency**: If adjacent cells are DIFFERENT rooms or exterior → use 10 (wall).
+1. **Same-room adjacency**: If two adjacent cells belong to the SAME room name → use __OPEN_ID__ (open).
+2. **Different-room adjacency**: If adjacent cells are DIFFERENT rooms or exterior → use __WALL_ID__ (wall).
 3. **DO NOT generate doors or windows yet**. These will be processed in a later phase. Focus 100% on the physical shell.
 
 ## Output
@@ -435,7 +736,7 @@ const STEP3_PROMPT = `You are an SPP feature detector. Given a floor plan image
 ## Current Grid Topology
 GRID_X: __GRID_X__
 GRID_Z: __GRID_Z__
-Wall faces (faces currently classified as Wall, optionId=10):
+Wall faces (faces currently classified as Wall, optionId=__WALL_ID__):
 __WALL_FACES__
 
 ## Task
@@ -446,37 +747,113 @@ For each door or window visible in the floor plan image:
    - face 4 = +Z (bottom edge of cell, toward larger z / lower row in image)
    - face 5 = -Z (top edge of cell, toward smaller z / upper row in image)
 2. Assign the appropriate Option ID:
-   - 1: Arch Door (arched opening)
-   - 2: Rectangular Door (standard door, most common)
-   - 20: Window (glazed panel, only on exterior walls)
+__FEATURE_OPTIONS__
 
 ## Rules
-- Only annotate faces that are currently Wall (optionId=10). Do not touch Open (0) faces.
+- Only annotate faces that are currently Wall (optionId=__WALL_ID__). Do not touch Open (__OPEN_ID__) faces.
 - A door between two interior cells must appear on BOTH cells' facing faces.
   Example: door between (2,1) and (3,1) → annotate (2,1) face 0 AND (3,1) face 1.
 - Windows only appear on exterior walls (the neighboring cell is outside the building).
-- If a wall shows a door symbol but type is unclear, use 2 (Rectangular Door).
+- If a wall shows a door symbol but type is unclear, use __DOOR_ID__ (__DOOR_NAME__).
 - If no doors or windows are visible, return an empty array [].
 
 ## Output
 Return ONLY a JSON array (no extra text):
 [
-  { "x": 2, "z": 1, "face": 0, "optionId": 2 },
-  { "x": 3, "z": 1, "face": 1, "optionId": 2 },
-  { "x": 0, "z": 2, "face": 1, "optionId": 20 }
+  { "x": 2, "z": 1, "face": 0, "optionId": __DOOR_ID__ },
+  { "x": 3, "z": 1, "face": 1, "optionId": __DOOR_ID__ },
+  { "x": 0, "z": 2, "face": 1, "optionId": __WINDOW_ID__ }
 ]`;
 
+/**
+ * Vertical core detection for multi-storey reconstruction.
+ * Placeholders: __GRID_X__, __GRID_Z__, __LAYOUT__
+ */
+const CORE_PROMPT = `You are analyzing one storey of a multi-storey building floor plan.
+
+The floor plan has been divided into a __GRID_X__ × __GRID_Z__ grid. Room layout (row by row, x from left to right):
+__LAYOUT__
+
+## Task
+Find every grid cell that contains a staircase (steps, a stair arrow, an "UP"/"DN" label) or an elevator / lift shaft (a box with a cross, "EL" or "LIFT").
+
+## Output
+Return ONLY a JSON array (no extra text):
+[
+  { "x": 3, "z": 1, "kind": "stair" },
+  { "x": 5, "z": 4, "kind": "elevator" }
+]
+- x = column index (0 = left), z = row index (0 = top)
+- kind is "stair" or "elevator"
+- Return [] if the storey has no stairs or elevators.`;
+
+/**
+ * Build the Step 2 (binary topology) prompt for a grid layout.
+ *
+ * @param {Object} gridInfo - { gridX, gridZ, layout }
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - supplies the open/wall role ids
+ * @returns {string}
+ */
+export function buildStep2Prompt(gridInfo, { registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const layoutStr = gridInfo.layout
+        .map((row, z) => `  Row ${z}: ${row.map(c => c || '(exterior)').join(' | ')}`)
+        .join('\n');
+
+    return STEP2_PROMPT
+        .replace(/__GRID_X__/g, String(gridInfo.gridX))
+        .replace(/__GRID_Z__/g, String(gridInfo.gridZ))
+        .replace(/__OPEN_ID__/g, JSON.stringify(reg.role(OPTION_ROLE.OPEN)))
+        .replace(/__WALL_ID__/g, JSON.stringify(reg.role(OPTION_ROLE.WALL)))
+        .replace('__LAYOUT__', layoutStr);
+}
+
+/**
+ * Build the Step 3 (door & window detection) prompt.
+ * The offered options are the registry's feature options (entries with feature: true).
+ *
+ * @param {Object} gridInfo - { gridX, gridZ }
+ * @param {Array} wallFaces - [{ x, z, face }] faces currently set to the wall role
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY]
+ * @returns {string}
+ */
+export function buildStep3Prompt(gridInfo, wallFaces, { registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const door = reg.role(OPTION_ROLE.DOOR);
+    const featureLines = reg.featureIds()
+        .map(id => {
+            const { name, hint } = reg.get(id);
+            return `   - ${JSON.stringify(id)}: ${name}${hint ? ` (${hint})` : ''}`;
+        })
+        .join('\n');
+
+    return STEP3_PROMPT
+        .replace(/__GRID_X__/g, String(gridInfo.gridX))
+        .replace(/__GRID_Z__/g, String(gridInfo.gridZ))
+        .replace(/__OPEN_ID__/g, JSON.stringify(reg.role(OPTION_ROLE.OPEN)))
+        .replace(/__WALL_ID__/g, JSON.stringify(reg.role(OPTION_ROLE.WALL)))
+        .replace(/__DOOR_ID__/g, JSON.stringify(door))
+        .replace(/__DOOR_NAME__/g, reg.get(door).name)
+        .replace(/__WINDOW_ID__/g, JSON.stringify(reg.role(OPTION_ROLE.WINDOW)))
+        .replace('__FEATURE_OPTIONS__', featureLines)
+        .replace('__WALL_FACES__', JSON.stringify(wallFaces));
+}
+
 // ═════════════════════════════════════════════════════════════
 // Part 3: Response Parser (from parser.js)
 // ═════════════════════════════════════════════════════════════
 
-const VALID_IDS = new Set(Object.keys(OPTION_REGISTRY).map(Number));
-
 /**
  * Parse LLM output text into structured ParticleCell data.
  * Handles markdown fences, extra text, etc.
+ *
+ * @param {string} text - raw LLM response
+ * @param {Object} [options]
+ * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - ids outside it fall back to the wall role
  */
-export function parseAIResponse(text) {
+export function parseAIResponse(text, { registry = DEFAULT_REGISTRY } = {}) {
     // Strip markdown code fences if present
     let cleaned = text.trim();
     cleaned = cleaned.replace(/^```(?:json)?\s*\n?/i, '');
@@ -498,10 +875,10 @@ export function parseAIResponse(text) {
         throw new Error(`Invalid JSON: ${e.message}`);
     }
 
-    return validateAndNormalize(parsed);
+    return validateAndNormalize(parsed, OptionRegistry.from(registry));
 }
 
-function validateAndNormalize(data) {
+function validateAndNormalize(data, registry) {
     if (!data.cells || !Array.isArray(data.cells)) {
         throw new Error('Missing or invalid "cells" array');
     }
@@ -526,10 +903,11 @@ function validateAndNormalize(data) {
         // Normalize faceOptions: ensure each element is an array with valid IDs
         const normalizedOptions = cell.faceOptions.map((opts, i) => {
             if (!Array.isArray(opts) || opts.length === 0) return [];
-            const id = Number(opts[0]);
-            if (!VALID_IDS.has(id)) {
-                console.warn(`Invalid option ID ${id}, defaulting to 10 (brick wall)`);
-                return [10];
+            const id = registry.resolveId(opts[0]);
+            if (id === null) {
+                const wall = registry.role(OPTION_ROLE.WALL);
+                console.warn(`Invalid option ID ${JSON.stringify(opts[0])}, defaulting to ${JSON.stringify(wall)} (${registry.get(wall).name})`);
+                return [wall];
             }
             return [id];
         });
@@ -597,13 +975,23 @@ export class RecursiveGridManager {
     /**
      * Single-cell refinement: attaches AI result as cell.refinement (SPP-Core v1.1).
      * For multi-cell regions, use integratePerCellRefinement instead.
+     *
+     * @param {Object} parentCell
+     * @param {Object} aiResultJSON - { gridX, gridZ, cells }
+     * @param {Object} [options]
+     * @param {string} [options.boundary='off'] - boundary consistency invariant (spec 3.2.5):
+     *   'off' attaches as-is, 'check' throws before attaching a violating refinement,
+     *   'repair' rewrites offending edge sub-faces to match the parent
+     * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - vocabulary the boundary is checked against
      */
-    static integrateSubGrid(parentCell, aiResultJSON) {
-        parentCell.refinement = {
+    static integrateSubGrid(parentCell, aiResultJSON, { boundary = 'off', registry = DEFAULT_REGISTRY } = {}) {
+        const refinement = {
             gridX: aiResultJSON.gridX,
             gridZ: aiResultJSON.gridZ,
             cells: aiResultJSON.cells,
         };
+        this.enforceBoundary(parentCell, refinement, boundary, registry);
+        parentCell.refinement = refinement;
         return parentCell;
     }
 
@@ -614,9 +1002,13 @@ export class RecursiveGridManager {
      * @param {Array} selectedCells - parentCells in the main grid (need position + faceOptions)
      * @param {Object} aiOutput - { scale, gridX, gridZ, cells } from AI (unified sub-grid,
      *   positions [0..gridX-1, 0, 0..gridZ-1] covering the full selection area)
+     * @param {Object} [options]
+     * @param {string} [options.boundary='off'] - 'off' | 'check' | 'repair', see integrateSubGrid.
+     *   In 'check' mode no cell is modified if any of them violates the invariant.
+     * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - see integrateSubGrid
      * @returns {Array} selectedCells with .refinement set on each
      */
-    static integratePerCellRefinement(selectedCells, aiOutput) {
+    static integratePerCellRefinement(selectedCells, aiOutput, { boundary = 'off', registry = DEFAULT_REGISTRY } = {}) {
         const { scale, cells: subCells } = aiOutput;
 
         const xs = selectedCells.map(c => c.position[0]);
@@ -624,13 +1016,13 @@ export class RecursiveGridManager {
         const minX = Math.min(...xs);
         const minZ = Math.min(...zs);
 
-        for (const parent of selectedCells) {
+        const refinements = selectedCells.map(parent => {
             const [px, , pz] = parent.position;
             // offset of this parent cell within the selection (in sub-grid coords)
             const ox = (px - minX) * scale;
             const oz = (pz - minZ) * scale;
 
-            parent.refinement = {
+            return {
                 gridX: scale,
                 gridZ: scale,
                 cells: subCells
@@ -643,11 +1035,44 @@ export class RecursiveGridManager {
                         position: [c.position[0] - ox, 0, c.position[2] - oz],
                     })),
             };
-        }
+        });
+
+        // Check every cell before attaching any, so 'check' mode is all-or-nothing
+        selectedCells.forEach((parent, i) => this.enforceBoundary(parent, refinements[i], boundary, registry));
+        selectedCells.forEach((parent, i) => { parent.refinement = refinements[i]; });
 
         return selectedCells;
     }
 
+    /**
+     * Apply the boundary consistency invariant to a refinement that is about
+     * to be attached to parentCell. See checkRefinementBoundary in spp-validate.js.
+     *
+     * @param {Object} parentCell
+     * @param {Object} refinement - ParticleChunk not yet attached
+     * @param {string} mode - 'off' | 'check' | 'repair'
+     * @param {OptionRegistry} [registry=DEFAULT_REGISTRY]
+     */
+    static enforceBoundary(parentCell, refinement, mode, registry = DEFAULT_REGISTRY) {
+        if (mode === 'off') return;
+        if (mode !== 'check' && mode !== 'repair') {
+            throw new Error(`Unknown boundary mode "${mode}" (expected 'off', 'check' or 'repair')`);
+        }
+
+        const candidate = { ...parentCell, refinement };
+        const { violations, repaired } = checkRefinementBoundary(candidate, { registry, repair: mode === 'repair' });
+        if (violations.length === 0) return;
+
+        const [px, , pz] = parentCell.position;
+        if (mode === 'check') {
+            throw new Error(
+                `Refinement of cell (${px},${pz}) violates the boundary consistency invariant:\n` +
+                formatBoundaryViolations(violations)
+            );
+        }
+        console.warn(`integrate: repaired ${repaired} boundary sub-face(s) in refinement of cell (${px},${pz})`);
+    }
+
     /**
      * 3. 【递归铺平与坐标映射】将递归的树状结构降维铺平，供 Three.js 等引擎渲染
      * 采用标准的数学坐标映射矩阵（类似四叉树展开），将逐级的相对坐标转化为绝对的世界坐标。
@@ -655,18 +1080,26 @@ export class RecursiveGridManager {
      * @param {Array} cells - 当前层级的节点数组
      * @param {Array} parentWorldPos - 父级在世界中的起点 [x, y, z]
      * @param {number} parentWorldScale - 父级在世界中的尺寸缩放
+     * @param {number} depth
+     * @param {Object} parentCell
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - throw on legacy subGrid / scale / _parentScale fields
+     *        instead of reading them (see spp-migrate.js)
      * @returns {Array} 铺平后带有 worldPosition 和 worldScale 的叶子节点（真实的物理像素/网格）
      */
-    static flattenRecursiveCells(cells, parentWorldPos = [0, 0, 0], parentWorldScale = 1.0, depth = 0, parentCell = null) {
+    static flattenRecursiveCells(cells, parentWorldPos = [0, 0, 0], parentWorldScale = 1.0, depth = 0, parentCell = null, { strict = false } = {}) {
         let flattenedLeaves = [];
 
         for (const cell of cells) {
+            if (strict) assertNoLegacyFields(cell, `flattenRecursiveCells: cell (${cell.position}) at depth ${depth}`);
             // SPP-Core v1.1: refinement field (ParticleCell.refinement?: ParticleChunk)
             const sub = cell.refinement || cell.subGrid; // subGrid kept for backward compat
             if (sub && Array.isArray(sub.cells)) {
                 // 内部节点：子网格跨度决定每个子 cell 的尺寸
+                // a larger parent (size > 1) spreads its sub-grid over its whole extent
                 const gridSpan = Math.max(sub.gridX, sub.gridZ);
-                const subCellSize = parentWorldScale / gridSpan;
+                const extent = Math.max(1, cell.size?.[0] ?? 1, cell.size?.[2] ?? 1);
+                const subCellSize = parentWorldScale * extent / gridSpan;
                 const worldX = parentWorldPos[0] + (cell.position[0] * parentWorldScale);
                 const worldY = parentWorldPos[1] + (cell.position[1] * parentWorldScale);
                 const worldZ = parentWorldPos[2] + (cell.position[2] * parentWorldScale);
@@ -676,7 +1109,8 @@ export class RecursiveGridManager {
                     [worldX, worldY, worldZ],
                     subCellSize,
                     depth + 1,
-                    cell  // pass current cell as parent for reverse-lookup
+                    cell,  // pass current cell as parent for reverse-lookup
+                    { strict }
                 );
                 flattenedLeaves.push(...subCellLeaves);
             } else {
@@ -706,16 +1140,21 @@ export class RecursiveGridManager {
      * @param {Array} parentWorldPos - [x, y, z]
      * @param {number} parentWorldScale - 根 cell 的世界尺寸
      * @param {number} depth - 当前深度
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - as flattenRecursiveCells
      * @returns {Array} 内部节点数组，每项带 worldPosition, worldScale, _depth
      */
-    static collectInteriorNodes(cells, parentWorldPos = [0, 0, 0], parentWorldScale = 1.0, depth = 0) {
+    static collectInteriorNodes(cells, parentWorldPos = [0, 0, 0], parentWorldScale = 1.0, depth = 0, { strict = false } = {}) {
         const interiorNodes = [];
 
         for (const cell of cells) {
+            if (strict) assertNoLegacyFields(cell, `collectInteriorNodes: cell (${cell.position}) at depth ${depth}`);
             const sub = cell.refinement || cell.subGrid;
             if (sub && Array.isArray(sub.cells)) {
+                // a larger parent (size > 1) spreads its sub-grid over its whole extent
                 const gridSpan = Math.max(sub.gridX, sub.gridZ);
-                const subCellSize = parentWorldScale / gridSpan;
+                const extent = Math.max(1, cell.size?.[0] ?? 1, cell.size?.[2] ?? 1);
+                const subCellSize = parentWorldScale * extent / gridSpan;
                 const worldX = parentWorldPos[0] + (cell.position[0] * parentWorldScale);
                 const worldY = parentWorldPos[1] + (cell.position[1] * parentWorldScale);
                 const worldZ = parentWorldPos[2] + (cell.position[2] * parentWorldScale);
@@ -733,7 +1172,8 @@ export class RecursiveGridManager {
                     sub.cells,
                     [worldX, worldY, worldZ],
                     subCellSize,
-                    depth + 1
+                    depth + 1,
+                    { strict }
                 );
                 interiorNodes.push(...deeper);
             }
@@ -748,9 +1188,14 @@ export class RecursiveGridManager {
      *
      * @param {Array} selectedCells - 用户选中的 cell 数组（需含 position, room, faceOptions）
      * @param {number} subGridSize - 目标细化精度（AI 可自行选择 2/3/4）
+     * @param {Object} [options]
+     * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - 开放面取其 open 角色 id
      * @returns {Object} 包含 boundingBox, rooms, boundaryConstraints, instruction
      */
-    static createBatchRefineContext(selectedCells) {
+    static createBatchRefineContext(selectedCells, { registry = DEFAULT_REGISTRY } = {}) {
+        const reg = OptionRegistry.from(registry);
+        const openId = reg.role(OPTION_ROLE.OPEN);
+        const wallId = reg.role(OPTION_ROLE.WALL);
         const xs = selectedCells.map(c => c.position[0]);
         const zs = selectedCells.map(c => c.position[2]);
         const minX = Math.min(...xs), maxX = Math.max(...xs);
@@ -773,7 +1218,7 @@ export class RecursiveGridManager {
         const constraints = {};
         for (const [side, { faceIdx, test }] of Object.entries(EDGE_FACE)) {
             const edgeCells = selectedCells.filter(test);
-            const hasOpen = edgeCells.some(c => (c.faceOptions[faceIdx]?.[0] ?? 10) === 0);
+            const hasOpen = edgeCells.some(c => (c.faceOptions[faceIdx]?.[0] ?? wallId) === openId);
             constraints[side] = hasOpen ? 'open' : 'wall';
         }
 
@@ -875,13 +1320,16 @@ export class SPPInverseEngine {
      *   the system prompt, and the user text prompt. Must return the raw text response.
      * @param {Function} [options.onStatus] - (message: string) => void
      *   Optional status callback for progress reporting.
+     * @param {OptionRegistry} [options.registry=DEFAULT_REGISTRY] - face option vocabulary
+     *   used for generated cells, prompts, parsing and piercing.
      */
-    constructor({ llmProvider, onStatus } = {}) {
+    constructor({ llmProvider, onStatus, registry = DEFAULT_REGISTRY } = {}) {
         if (typeof llmProvider !== 'function') {
             throw new Error('SPPInverseEngine requires a llmProvider function');
         }
         this.llmProvider = llmProvider;
         this.onStatus = onStatus || (() => { });
+        this.registry = OptionRegistry.from(registry);
     }
 
     /**
@@ -1035,24 +1483,18 @@ export class SPPInverseEngine {
      * @returns {Object} { gridX, gridZ, description, cells }
      */
     async classifyFaces(imageDataUrl, gridInfo) {
-        const layoutStr = gridInfo.layout
-            .map((row, z) => `  Row ${z}: ${row.map(c => c || '(exterior)').join(' | ')}`)
-            .join('\n');
-
-        const prompt = STEP2_PROMPT
-            .replace(/__GRID_X__/g, String(gridInfo.gridX))
-            .replace(/__GRID_Z__/g, String(gridInfo.gridZ))
-            .replace('__LAYOUT__', layoutStr);
+        const prompt = buildStep2Prompt(gridInfo, { registry: this.registry });
+        const openId = this.registry.role(OPTION_ROLE.OPEN);
 
         this.onStatus(`Step 2/2: Classifying ${gridInfo.gridX}×${gridInfo.gridZ} grid faces...`);
 
         const text = await this.llmProvider(
             imageDataUrl,
             prompt,
-            `Classify each cell's face connections. Same-room cells must use open(0) between them. Return ONLY the JSON.`
+            `Classify each cell's face connections. Same-room cells must use open(${openId}) between them. Return ONLY the JSON.`
         );
 
-        const result = parseAIResponse(text);
+        const result = parseAIResponse(text, { registry: this.registry });
         this.onStatus(`Step 2 done: ${result.cells.length} cells classified.`);
         return result;
     }
@@ -1061,8 +1503,9 @@ export class SPPInverseEngine {
      * Full two-step reconstruction pipeline.
      *
      * @param {string} imageDataUrl - Base64 data URL of the floor plan image
-     * @returns {Object} { gridInfo, cells, description }
+     * @returns {Object} { gridInfo, spaces, cells, description }
      *   - gridInfo: { crop, gridX, gridZ, layout } from Step 1
+     *   - spaces: space table named from the Step 1 room labels (spp-semantics.js); cells point at it by `space`
      *   - cells: normalized ParticleCell array from Step 2
      *   - description: brief description from the AI
      */
@@ -1073,7 +1516,8 @@ export class SPPInverseEngine {
         // Phase 2: Deterministic wall topology from layout (no AI needed —
         // wall/open classification is fully determined by room adjacency in the layout)
         this.onStatus('Step 2/3: Generating wall topology from layout...');
-        const cells = generateCellsFromLayout(gridInfo.layout, gridInfo.gridX, gridInfo.gridZ, []);
+        const spaces = spacesFromLayout(gridInfo.layout);
+        const cells = generateCellsFromLayout(gridInfo.layout, gridInfo.gridX, gridInfo.gridZ, [], { registry: this.registry, spaces });
         this.onStatus(`Step 2 done: ${cells.length} cells generated.`);
 
         // Phase 3: AI detects door & window positions from the floor plan image
@@ -1087,10 +1531,18 @@ export class SPPInverseEngine {
         // Phase 4: Deterministic piercing — write door/window IDs into faceOptions
         const finalCells = this.pierceFeatures(cells, annotations);
 
+        // Features annotated on only one side of a boundary — let the door/window win
+        const { repaired } = checkReciprocity({ cells: finalCells }, {
+            policy: RECIPROCITY_POLICY.PREFER_PRIORITY,
+            registry: this.registry,
+        });
+        if (repaired > 0) this.onStatus(`Reconciled ${repaired} one-sided feature face(s).`);
+
         this.onStatus(`✓ Reconstructed ${finalCells.length} cells (${gridInfo.gridX}×${gridInfo.gridZ} grid)`);
 
         return {
             gridInfo,
+            spaces,
             cells: finalCells,
             description: '',
             gridX: gridInfo.gridX,
@@ -1098,6 +1550,97 @@ export class SPPInverseEngine {
         };
     }
 
+    /**
+     * Multi-storey reconstruction: one floor plan image per storey.
+     *
+     * Each storey runs through reconstruct(). Stair and elevator cells are
+     * then located — by the VLM when `locateCores` is set, otherwise from
+     * room names — and stackStoreys aligns the footprints, puts every storey
+     * at position[1] = level and connects matching cores through ±Y.
+     * Space ids are made unique across storeys (a kitchen on two floors
+     * becomes 'kitchen' and 'kitchen-2') and collected on the chunk.
+     *
+     * @param {Array<Object>} floors - [{ image, level }]; image is a data URL, level an integer
+     * @param {Object} [options]
+     * @param {boolean} [options.locateCores=true] - ask the VLM for stair / elevator cells
+     * @returns {Object} { chunk, storeys, connections, gridX, gridZ }
+     *   - chunk: ParticleChunk { spaces, cells } holding every storey; filter by position[1] to browse a floor
+     *   - storeys: [{ level, gridInfo, offset: [dx, dz], cellCount }] in ascending level order
+     *   - connections: [{ kind, lower, upper }] from stackStoreys
+     */
+    async reconstructBuilding(floors, { locateCores = true } = {}) {
+        if (!Array.isArray(floors) || floors.length === 0) {
+            throw new Error('reconstructBuilding requires at least one { image, level } entry');
+        }
+
+        const storeys = [];
+        const spaces = [];
+        for (const { image, level } of floors) {
+            this.onStatus(`Storey ${level}: reconstructing...`);
+            const result = await this.reconstruct(image);
+            const storeySpaces = spacesFromLayout(result.gridInfo.layout, { taken: spaces.map(space => space.id) });
+            assignSpaces(result.cells, storeySpaces);
+            spaces.push(...storeySpaces);
+            const storey = { level, layout: result.gridInfo.layout, cells: result.cells, gridInfo: result.gridInfo };
+            if (locateCores) {
+                try {
+                    storey.cores = await this.detectCores(image, result.gridInfo);
+                } catch (e) {
+                    console.warn(`Storey ${level}: core detection failed, falling back to room names:`, e.message);
+                }
+            }
+            storeys.push(storey);
+        }
+
+        const { cells, gridX, gridZ, offsets, connections } = stackStoreys(storeys, { registry: this.registry });
+        if (storeys.length > 1 && connections.length === 0) {
+            this.onStatus('No stair or elevator core lines up between storeys — storeys are stacked but not connected.');
+        }
+        this.onStatus(`✓ Reconstructed ${storeys.length} storeys, ${cells.length} cells, ${connections.length} vertical connection(s)`);
+
+        return {
+            chunk: { spaces, cells },
+            storeys: storeys
+                .sort((a, b) => a.level - b.level)
+                .map(s => ({ level: s.level, gridInfo: s.gridInfo, offset: offsets.get(s.level), cellCount: s.cells.length })),
+            connections,
+            gridX,
+            gridZ,
+        };
+    }
+
+    /**
+     * Vertical core detection: cells holding a stair or an elevator.
+     *
+     * @param {string} imageDataUrl
+     * @param {Object} gridInfo - { gridX, gridZ, layout } from Step 1
+     * @returns {Array} [{ x, z, kind: 'stair' | 'elevator' }]
+     */
+    async detectCores(imageDataUrl, gridInfo) {
+        this.onStatus('Locating stairs and elevators...');
+        const prompt = CORE_PROMPT
+            .replace(/__GRID_X__/g, String(gridInfo.gridX))
+            .replace(/__GRID_Z__/g, String(gridInfo.gridZ))
+            .replace('__LAYOUT__', gridInfo.layout
+                .map((row, z) => `  Row ${z}: ${row.map(c => c || '(exterior)').join(' | ')}`)
+                .join('\n'));
+
+        const text = await this.llmProvider(
+            imageDataUrl,
+            prompt,
+            'Locate every stair and elevator cell. Return ONLY the JSON array.'
+        );
+
+        const cleaned = text.replace(/```json?\n?/g, '').replace(/```/g, '').trim();
+        const s = cleaned.indexOf('['), e = cleaned.lastIndexOf(']');
+        if (s === -1 || e === -1) throw new Error(`no JSON array in core detection response: ${text.slice(0, 200)}`);
+        const cores = JSON.parse(cleaned.substring(s, e + 1))
+            .filter(c => Number.isInteger(c?.x) && Number.isInteger(c?.z) && (c.kind === 'stair' || c.kind === 'elevator'));
+
+        this.onStatus(`Found ${cores.length} core cell(s).`);
+        return cores;
+    }
+
     /**
      * Phase 3: Feature Detection
      * Third AI call — given the floor plan image and binary topology,
@@ -1139,18 +1682,16 @@ export class SPPInverseEngine {
         this.onStatus('Step 3/3: Detecting doors and windows...');
 
         // Build wall-face list for the prompt
+        const wallId = this.registry.role(OPTION_ROLE.WALL);
         const wallFaces = [];
         for (const cell of cells) {
             const [x, , z] = cell.position;
             cell.faceOptions.forEach((opts, face) => {
-                if (opts[0] === 10) wallFaces.push({ x, z, face });
+                if (opts[0] === wallId) wallFaces.push({ x, z, face });
             });
         }
 
-        const prompt = STEP3_PROMPT
-            .replace(/__GRID_X__/g, String(gridInfo.gridX))
-            .replace(/__GRID_Z__/g, String(gridInfo.gridZ))
-            .replace('__WALL_FACES__', JSON.stringify(wallFaces));
+        const prompt = buildStep3Prompt(gridInfo, wallFaces, { registry: this.registry });
 
         const text = await this.llmProvider(
             imageDataUrl,
@@ -1175,22 +1716,26 @@ export class SPPInverseEngine {
     /**
      * Phase 4: Feature Piercing (deterministic)
      * Writes door/window option IDs into the cells' faceOptions.
-     * Only replaces faces currently set to Wall (id=10) — never touches Open faces.
-     * Never pierces exterior walls (faces where the neighboring cell is outside the grid).
+     * Only replaces faces currently set to the registry's wall role (id=10 by default) —
+     * never touches Open faces. Option ids the registry does not know are ignored.
+     * Skips options whose registry `context` rule forbids the face — windows only
+     * go on exterior walls (no neighboring cell, or an empty cell), doors anywhere.
+     * Under sparse coverage a face with no cell across is undescribed and any
+     * option may go there.
+     * An annotation inside a larger cell pierces only the face segment at its
+     * unit position, so a door lands on one unit of a 6-unit wall.
      *
      * @param {Array} cells - cells from Phase 2
      * @param {Array} annotations - [{ x, z, face, optionId }, ...] from Phase 3
+     * @param {Object} [options]
+     * @param {string} [options.coverage=COVERAGE.CLOSED] - coverage of the chunk the cells belong to
      * @returns {Array} updated cells
      */
-    pierceFeatures(cells, annotations) {
+    pierceFeatures(cells, annotations, { coverage = COVERAGE.CLOSED } = {}) {
         if (!annotations || annotations.length === 0) return cells;
 
-        const cellMap = new Map(
-            cells.map(c => [`${c.position[0]},${c.position[2]}`, c])
-        );
-
-        // Direction each face index points toward the neighbor cell
-        const FACE_NEIGHBOR_DIR = { 0: [1,0], 1: [-1,0], 4: [0,1], 5: [0,-1] };
+        const wallId = this.registry.role(OPTION_ROLE.WALL);
+        const index = new ChunkIndex(cells);
 
         // Sanity limit: if annotations exceed 2× the number of cells, Phase 3 is noise — skip
         const MAX_ANNOTATIONS = Math.max(8, cells.length * 2);
@@ -1200,19 +1745,19 @@ export class SPPInverseEngine {
         }
 
         for (const ann of annotations) {
-            const cell = cellMap.get(`${ann.x},${ann.z}`);
+            const cell = index.get([ann.x, ann.y ?? 0, ann.z]);
             if (!cell) continue;
             if (ann.face < 0 || ann.face > 5) continue;
-            const currentId = cell.faceOptions[ann.face]?.[0];
-            // Only pierce interior walls — skip if face leads outside the grid
-            const dir = FACE_NEIGHBOR_DIR[ann.face];
-            if (dir) {
-                const neighborKey = `${ann.x + dir[0]},${ann.z + dir[1]}`;
-                if (!cellMap.has(neighborKey)) continue; // exterior face — never pierce
-            }
+            const segment = segmentIndex(cell, ann.face, [ann.x, ann.y ?? 0, ann.z]);
+            const currentId = getResolvedSegmentOption(cell, ann.face, segment);
+            const optionId = this.registry.resolveId(ann.optionId);
+            if (optionId === null) continue;
+            // Registry context rules decide where each feature may go (windows outside only)
+            const across = index.neighborsAcross(cell, ann.face).filter(n => n.segment === segment).map(n => n.cell);
+            if (!this.registry.allowedIn(optionId, faceContext(across, coverage))) continue;
             // Only pierce walls — never overwrite Open connections
-            if (currentId === 10) {
-                cell.faceOptions[ann.face] = [ann.optionId];
+            if (currentId === wallId) {
+                setSegmentOptions(cell, ann.face, segment, [optionId]);
             }
         }
 
@@ -0,0 +1,283 @@
+/**
+ * spp-migrate.js — SPP Legacy Migration
+ *
+ * Older engine versions and demos described sub-cell detail in three ways
+ * besides SPP-Core 1.1's `refinement`:
+ *   - `subGrid`: a refinement under its pre-1.1 name
+ *   - `scale` + `subCells`: n×n sub-cells listed on the cell as { sub: [sx, sz], room, faceOptions }
+ *   - `_parentScale` flags on flat cell arrays: expandScaledCells output
+ *     (fractional sub-cells with `_parentPos` / `_subPos`) and optimizeGrid
+ *     output (a whole fine grid marked `_isFineGrid`)
+ * migrateLegacyChunk rewrites all of them as `refinement` chunks. parseChunk
+ * runs it on every file it reads, so saved files from older versions keep
+ * loading; the flatteners' `strict` option rejects whatever was not migrated.
+ *
+ * Usage:
+ *   import { migrateLegacyChunk, findLegacyFields } from './spp-migrate.js';
+ *
+ *   const { chunk, changes } = migrateLegacyChunk(oldChunk);
+ *   findLegacyFields(chunk);   // → []
+ */
+
+import { FACE, DEFAULT_REGISTRY, OptionRegistry, getResolvedOption } from './spp-core.js';
+
+export const LEGACY_FIELD = {
+    SUB_GRID: 'subGrid',
+    SCALE: 'scale',
+    SUB_CELLS: 'subCells',
+    PARENT_SCALE: '_parentScale',
+    FINE_GRID: '_isFineGrid',
+};
+
+// Which sub-cells of an n×n block lie on each parent face
+const ON_FACE = {
+    [FACE.POS_X]: (x, z, n) => x === n - 1,
+    [FACE.NEG_X]: (x) => x === 0,
+    [FACE.POS_Y]: () => true,
+    [FACE.NEG_Y]: () => true,
+    [FACE.POS_Z]: (x, z, n) => z === n - 1,
+    [FACE.NEG_Z]: (x, z) => z === 0,
+};
+
+/**
+ * Legacy fields present on one cell (not its refinement), as LEGACY_FIELD values.
+ */
+export function legacyFieldsOf(cell) {
+    const fields = [];
+    if (cell.subGrid !== undefined) fields.push(LEGACY_FIELD.SUB_GRID);
+    if (cell.subCells !== undefined) fields.push(LEGACY_FIELD.SCALE, LEGACY_FIELD.SUB_CELLS);
+    if (cell._parentScale !== undefined) fields.push(LEGACY_FIELD.PARENT_SCALE);
+    if (cell._isFineGrid !== undefined) fields.push(LEGACY_FIELD.FINE_GRID);
+    return fields;
+}
+
+/**
+ * Throw when a cell carries a legacy field; the strict mode of the flatteners.
+ *
+ * @param {Object} cell
+ * @param {string} where - start of the error message, e.g. "LeafIndex: cells[3]"
+ */
+export function assertNoLegacyFields(cell, where) {
+    const fields = legacyFieldsOf(cell);
+    if (fields.length > 0) {
+        throw new Error(`${where} has legacy field(s) ${fields.join(', ')} (strict mode); migrate with migrateLegacyChunk`);
+    }
+}
+
+/**
+ * Every cell in the tree that still carries a legacy field.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @returns {Array} [{ path, fields }] — path like "cells[3].subGrid.cells[1]"
+ */
+export function findLegacyFields(chunk) {
+    const found = [];
+    const walk = (cells, path) => {
+        (cells || []).forEach((cell, i) => {
+            const cellPath = join(path, `cells[${i}]`);
+            const fields = legacyFieldsOf(cell);
+            if (fields.length > 0) found.push({ path: cellPath, fields });
+            for (const key of ['refinement', 'subGrid']) {
+                if (Array.isArray(cell[key]?.cells)) walk(cell[key].cells, join(cellPath, key));
+            }
+        });
+    };
+    walk(Array.isArray(chunk) ? chunk : chunk?.cells, '');
+    return found;
+}
+
+/**
+ * Rewrite legacy sub-cell representations as `refinement` chunks, at every
+ * depth. The input is not modified; cells that need no change are shared
+ * with it.
+ *
+ *   - `subGrid` is renamed to `refinement` (a cell with both keeps `refinement`)
+ *   - `scale` n + `subCells` become an n×n refinement
+ *   - expandScaledCells sub-cells are regrouped under their `_parentPos`
+ *   - an optimizeGrid fine grid (every cell `_isFineGrid`, scale s) becomes
+ *     the coarse grid, each coarse cell refined s×s
+ *
+ * Regrouped parents get a unit cell whose faces are consistent with the
+ * sub-cells on each edge (see checkRefinementBoundary): the most common
+ * open option when any sub-face is open, else the most common option. The
+ * parent's room and space are the sub-cells' when they all share one.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Object} [options]
+ * @param {OptionRegistry|Object} [options.registry=DEFAULT_REGISTRY] - open/wall types for parent faces
+ * @returns {Object} { chunk, changes } — changes: [{ path, field, message }]
+ */
+export function migrateLegacyChunk(chunk, { registry = DEFAULT_REGISTRY } = {}) {
+    const root = Array.isArray(chunk) ? { cells: chunk } : chunk;
+    const changes = [];
+    const ctx = {
+        reg: OptionRegistry.from(registry),
+        active: new Set(),   // cells being migrated, so a cyclic tree is left for the caller to reject
+        change: (path, field, message) => changes.push({ path, field, message }),
+    };
+    return { chunk: migrateLevel(root, '', ctx), changes };
+}
+
+/**
+ * Summary of migrateLegacyChunk changes, e.g. "subGrid ×2, _isFineGrid ×1".
+ */
+export function formatLegacyChanges(changes) {
+    const counts = new Map();
+    for (const { field } of changes) counts.set(field, (counts.get(field) || 0) + 1);
+    return [...counts].map(([field, n]) => `${field} ×${n}`).join(', ');
+}
+
+// ─── Levels ──────────────────────────────────────────────────
+
+function migrateLevel(chunk, path, ctx) {
+    let cells = chunk.cells;
+    let out = chunk;
+
+    // optimizeGrid output: the whole level is a fine grid
+    const fine = cells.filter(c => c._isFineGrid);
+    if (fine.length > 0) {
+        const scale = fine[0]._parentScale;
+        if (fine.length === cells.length && fine.every(c => c._parentScale === scale) && scale > 1) {
+            cells = regroup(cells, scale, c => [Math.floor(c.position[0] / scale), c.position[1], Math.floor(c.position[2] / scale)],
+                c => [mod(c.position[0], scale), 0, mod(c.position[2], scale)], ctx);
+            out = { ...chunk, cells };
+            if (chunk.gridX !== undefined) out.gridX = Math.ceil(chunk.gridX / scale);
+            if (chunk.gridZ !== undefined) out.gridZ = Math.ceil(chunk.gridZ / scale);
+            ctx.change(path, LEGACY_FIELD.FINE_GRID, `fine grid at scale ${scale} regrouped into ${cells.length} refined cell(s)`);
+        } else {
+            cells = cells.map(c => (c._isFineGrid ? withoutKeys(c, ['_isFineGrid', '_parentScale']) : c));
+            out = { ...chunk, cells };
+            ctx.change(path, LEGACY_FIELD.FINE_GRID, 'fine-grid cells mixed with others; flags dropped, positions kept');
+        }
+    }
+
+    // expandScaledCells output: fractional sub-cells with their parent's position
+    if (cells.some(c => c._parentScale !== undefined && c._parentPos)) {
+        const scaled = new Set(cells.filter(c => c._parentScale !== undefined && c._parentPos));
+        const rest = cells.filter(c => !scaled.has(c));
+        const parents = regroup([...scaled], null, c => [c._parentPos[0], c.position[1], c._parentPos[1]],
+            c => [c._subPos[0], 0, c._subPos[1]], ctx, c => c._parentScale);
+        cells = [...rest, ...parents];
+        out = { ...chunk, cells };
+        ctx.change(path, LEGACY_FIELD.PARENT_SCALE, `${scaled.size} scaled sub-cell(s) regrouped into ${parents.length} refined cell(s)`);
+    }
+
+    const migrated = cells.map((cell, i) => migrateCell(cell, join(path, `cells[${i}]`), ctx));
+    if (migrated.some((cell, i) => cell !== cells[i])) out = { ...out, cells: migrated };
+    return out;
+}
+
+function migrateCell(cell, path, ctx) {
+    let out = cell;
+    const edit = () => (out === cell ? (out = { ...cell }) : out);
+
+    if (cell.subGrid !== undefined) {
+        edit();
+        if (out.refinement === undefined) out.refinement = cell.subGrid;
+        delete out.subGrid;
+        ctx.change(path, LEGACY_FIELD.SUB_GRID, cell.refinement === undefined
+            ? 'subGrid renamed to refinement'
+            : 'subGrid dropped; the cell already has a refinement');
+    }
+
+    if (cell.subCells !== undefined) {
+        edit();
+        const n = cell.scale || 1;
+        if (n > 1 && Array.isArray(cell.subCells) && out.refinement === undefined) {
+            out.refinement = {
+                gridX: n,
+                gridZ: n,
+                cells: cell.subCells.map(({ sub, ...rest }) => subCell(rest, [sub[0], 0, sub[1]])),
+            };
+            ctx.change(path, LEGACY_FIELD.SUB_CELLS, `scale ${n} sub-cells converted to a ${n}×${n} refinement`);
+        } else {
+            ctx.change(path, LEGACY_FIELD.SUB_CELLS, 'scale / subCells dropped; nothing to convert');
+        }
+        delete out.scale;
+        delete out.subCells;
+    }
+
+    if (cell._parentScale !== undefined || cell._isFineGrid !== undefined) {
+        edit();
+        delete out._parentScale;
+        delete out._isFineGrid;
+        ctx.change(path, LEGACY_FIELD.PARENT_SCALE, 'stray scale flags dropped');
+    }
+
+    const sub = out.refinement;
+    if (sub && Array.isArray(sub.cells) && !ctx.active.has(cell)) {
+        ctx.active.add(cell);
+        const migrated = migrateLevel(sub, join(path, 'refinement'), ctx);
+        ctx.active.delete(cell);
+        if (migrated !== sub) edit().refinement = migrated;
+    }
+    return out;
+}
+
+// ─── Regrouping ──────────────────────────────────────────────
+
+// Group flat sub-cells into unit parents with an n×n refinement each.
+// parentOf / localOf give a cell's parent position and its position inside it.
+function regroup(cells, scale, parentOf, localOf, ctx, scaleOf = () => scale) {
+    const groups = new Map();
+    for (const cell of cells) {
+        const position = parentOf(cell);
+        const key = position.join(',');
+        if (!groups.has(key)) groups.set(key, { position, n: scaleOf(cell), cells: [] });
+        groups.get(key).cells.push(cell);
+    }
+
+    return [...groups.values()].map(({ position, n, cells: members }) => {
+        const subs = members.map(c => subCell(withoutKeys(c, ['_parentScale', '_isFineGrid', '_parentPos', '_subPos']), localOf(c)));
+        const parent = {
+            position,
+            size: [1, 1, 1],
+            faceStates: 63,
+            faceOptions: [0, 1, 2, 3, 4, 5].map(face => parentFace(subs, face, n, ctx.reg)),
+        };
+        for (const key of ['room', 'space']) {
+            const values = new Set(subs.map(c => c[key]));
+            if (values.size === 1 && subs[0][key] !== undefined) parent[key] = subs[0][key];
+        }
+        parent.refinement = { gridX: n, gridZ: n, cells: subs };
+        return parent;
+    });
+}
+
+function subCell(fields, position) {
+    return {
+        ...fields,
+        position,
+        size: [1, 1, 1],
+        faceStates: fields.faceStates ?? 63,
+        faceOptions: (fields.faceOptions || [[], [], [], [], [], []]).map(list => [...(list || [])]),
+    };
+}
+
+// A parent face consistent with the sub-faces on its edge
+function parentFace(subs, face, n, reg) {
+    const counts = new Map();
+    for (const sub of subs) {
+        if (!ON_FACE[face](sub.position[0], sub.position[2], n)) continue;
+        const id = getResolvedOption(sub, face);
+        if (id !== null) counts.set(id, (counts.get(id) || 0) + 1);
+    }
+    if (counts.size === 0) return [];
+    const ranked = [...counts].sort((a, b) => b[1] - a[1]);
+    const open = ranked.find(([id]) => reg.isOpen(id));
+    return [(open || ranked[0])[0]];
+}
+
+function withoutKeys(cell, keys) {
+    const out = { ...cell };
+    for (const key of keys) delete out[key];
+    return out;
+}
+
+function mod(a, n) {
+    return ((a % n) + n) % n;
+}
+
+function join(path, key) {
+    return path ? `${path}.${key}` : key;
+}
@@ -0,0 +1,291 @@
+/**
+ * spp-path.js — SPP Path Finding
+ *
+ * Weighted A* over the leaf cells of a ParticleChunk, across refinement
+ * depths and cells larger than one unit. Each option a route passes through
+ * has a traversal cost (open 1, door 2, arch 1.5, walls and windows
+ * impassable), so routes prefer open floor over doors. For NPC navigation
+ * and walking-distance metrics.
+ *
+ * Usage:
+ *   import { findPath, distanceField } from './spp-path.js';
+ *
+ *   const route = findPath(chunk, startCell, goalCell);
+ *   if (route.found) {
+ *       walk(route.polyline);                 // world-space [x, y, z] points
+ *       console.log(route.distance, route.cells.length);
+ *   }
+ *   const toExit = distanceField(chunk, [{ target: doorCell }]);   // cell → { cost, distance, ... }
+ */
+
+import { FACE, OPTION_ROLE, DEFAULT_REGISTRY, OptionRegistry, VERTICAL_KIND, getResolvedSegmentOption } from './spp-core.js';
+import { LeafIndex } from './spp-spatial.js';
+import { cellAt, cellPath } from './spp-diff.js';
+
+// Traversal cost per option role, as a multiplier on the distance walked;
+// `opening` is every other open-type feature option (the built-in Arch Door).
+// Options not covered cost 1 when open-type and are impassable otherwise.
+export const PATH_COSTS = {
+    [OPTION_ROLE.OPEN]: 1,
+    [OPTION_ROLE.DOOR]: 2,
+    [OPTION_ROLE.WINDOW]: Infinity,
+    opening: 1.5,
+};
+
+const VERTICAL_FACES = [FACE.POS_Y, FACE.NEG_Y];
+const WALKABLE_VERTICAL = [VERTICAL_KIND.STAIR, VERTICAL_KIND.ELEVATOR];
+
+/**
+ * Cheapest route between two leaf cells.
+ *
+ * Leaves are placed with the math of RecursiveGridManager.flattenRecursiveCells
+ * (via LeafIndex), so the polyline lines up with what the renderers draw. A
+ * step between two leaves goes from the first leaf's floor centre to the
+ * middle of the face segment it crosses, then on to the second leaf's floor
+ * centre; it costs its Manhattan length times the costlier of the two
+ * options on that face. The A* heuristic is the Manhattan distance to the
+ * goal times the cheapest cost in play, so the route found is optimal.
+ *
+ * ±Y faces are crossed only through stair and elevator options.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Object|Array<number>} start - leaf cell, a renderer's flattened copy, or a world point [x, y, z]
+ * @param {Object|Array<number>} goal - same forms as start
+ * @param {Object} [options]
+ * @param {Object} [options.costs] - option id → cost, overriding the registry's PATH_COSTS
+ * @param {boolean} [options.vertical=true] - allow stairs and elevators between storeys
+ * @param {OptionRegistry|Object} [options.registry=DEFAULT_REGISTRY]
+ * @returns {Object} { found, cost, distance, cells, steps, polyline } — cells are the
+ *          original leaf cells in order, steps [{ face, segment, option }] the face
+ *          crossed out of each cell but the last, distance the polyline's length
+ */
+export function findPath(chunk, start, goal, { costs = {}, vertical = true, registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const root = Array.isArray(chunk) ? { cells: chunk } : chunk;
+    const index = new LeafIndex(root);
+    const table = costTable(reg, costs);
+    const costOf = id => (id === null ? Infinity : table[id] ?? (reg.isOpen(id) ? 1 : Infinity));
+
+    const from = resolveLeaf(index, root, start);
+    const to = resolveLeaf(index, root, goal);
+    if (!from) throw new Error('findPath: start is not a leaf cell of the chunk');
+    if (!to) throw new Error('findPath: goal is not a leaf cell of the chunk');
+
+    const finite = Object.values(table).filter(Number.isFinite);
+    const minCost = Math.min(1, ...finite);
+    const goalPoint = floorCentre(to);
+    const heuristic = leaf => manhattan(floorCentre(leaf), goalPoint) * minCost;
+
+    // A*: g = best known cost, came = how each leaf was reached
+    const g = new Map([[from, 0]]);
+    const came = new Map();
+    const closed = new Set();
+    const open = new MinHeap();
+    open.push(heuristic(from), from);
+
+    while (open.size > 0) {
+        const leaf = open.pop();
+        if (closed.has(leaf)) continue;
+        if (leaf === to) break;
+        closed.add(leaf);
+
+        for (const step of passages(index, leaf, costOf, reg, vertical, true)) {
+            if (closed.has(step.leaf)) continue;
+            const cost = g.get(leaf) + step.cost;
+            if (cost >= (g.get(step.leaf) ?? Infinity)) continue;
+            g.set(step.leaf, cost);
+            came.set(step.leaf, { leaf, step });
+            open.push(cost + heuristic(step.leaf), step.leaf);
+        }
+    }
+
+    if (!g.has(to)) {
+        return { found: false, cost: Infinity, distance: Infinity, cells: [], steps: [], polyline: [] };
+    }
+
+    const leaves = [to];
+    const steps = [];
+    const polyline = [floorCentre(to)];
+    for (let leaf = to; came.has(leaf); leaf = came.get(leaf).leaf) {
+        const { leaf: previous, step } = came.get(leaf);
+        leaves.unshift(previous);
+        steps.unshift({ face: step.face, segment: step.segment, option: step.option });
+        polyline.unshift(floorCentre(previous), step.point);
+    }
+
+    return {
+        found: true,
+        cost: g.get(to),
+        distance: polylineLength(polyline),
+        cells: leaves.map(leaf => leaf.cell),
+        steps,
+        polyline,
+    };
+}
+
+// ═════════════════════════════════════════════════════════════
+// distanceField
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Route to the nearest of several sources from every leaf that can reach
+ * one: a multi-source Dijkstra with findPath's step model. Used for egress
+ * distances and other "how far to the nearest X" maps.
+ *
+ * @param {Object|Array} chunk - ParticleChunk { cells } or root cell array
+ * @param {Array} sources - [{ target, offset? }]: target in findPath's start forms,
+ *        offset the distance already walked at the source (e.g. centre to door)
+ * @param {Object} [options]
+ * @param {Object} [options.costs] - as findPath
+ * @param {boolean} [options.vertical=true] - as findPath
+ * @param {boolean} [options.weighted=true] - rank routes by cost; false ranks by distance alone
+ * @param {OptionRegistry|Object} [options.registry=DEFAULT_REGISTRY]
+ * @returns {Map} leaf cell → { cost, distance, source, next } — source is the index of
+ *          the nearest source, next the cell one step toward it (null at the source)
+ */
+export function distanceField(chunk, sources, { costs = {}, vertical = true, weighted = true, registry = DEFAULT_REGISTRY } = {}) {
+    const reg = OptionRegistry.from(registry);
+    const root = Array.isArray(chunk) ? { cells: chunk } : chunk;
+    const index = new LeafIndex(root);
+    const table = costTable(reg, costs);
+    const costOf = id => (id === null ? Infinity : table[id] ?? (reg.isOpen(id) ? 1 : Infinity));
+
+    const best = new Map();   // leaf entry → { cost, distance, source, next }
+    const open = new MinHeap();
+    sources.forEach(({ target, offset = 0 }, source) => {
+        const leaf = resolveLeaf(index, root, target);
+        if (!leaf) throw new Error(`distanceField: source ${source} is not a leaf cell of the chunk`);
+        if (offset >= (best.get(leaf)?.cost ?? Infinity)) return;
+        best.set(leaf, { cost: offset, distance: offset, source, next: null });
+        open.push(offset, leaf);
+    });
+
+    const done = new Set();
+    while (open.size > 0) {
+        const leaf = open.pop();
+        if (done.has(leaf)) continue;
+        done.add(leaf);
+        const here = best.get(leaf);
+
+        for (const step of passages(index, leaf, costOf, reg, vertical, weighted)) {
+            if (done.has(step.leaf)) continue;
+            const cost = here.cost + step.cost;
+            if (cost >= (best.get(step.leaf)?.cost ?? Infinity)) continue;
+            best.set(step.leaf, { cost, distance: here.distance + step.length, source: here.source, next: leaf.cell });
+            open.push(cost, step.leaf);
+        }
+    }
+
+    const field = new Map();
+    for (const [leaf, entry] of best) field.set(leaf.cell, entry);
+    return field;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+// Option id → cost: PATH_COSTS resolved through the registry's roles, then `costs`
+function costTable(reg, costs) {
+    const table = {};
+    for (const id of reg.featureIds()) {
+        if (reg.isOpen(id)) table[id] = PATH_COSTS.opening;
+    }
+    for (const role of [OPTION_ROLE.OPEN, OPTION_ROLE.DOOR, OPTION_ROLE.WINDOW]) {
+        if (reg.hasRole(role)) table[reg.role(role)] = PATH_COSTS[role];
+    }
+    return { ...table, ...costs };
+}
+
+// Leaf entry for a cell, a flattened copy or a world point
+function resolveLeaf(index, root, target) {
+    if (Array.isArray(target)) return index.leafAt(target);
+    const direct = index.leafOf(target);
+    if (direct) return direct;
+    const at = target ? cellPath(root, target) : null;
+    return at ? index.leafOf(cellAt(root, at)) : null;
+}
+
+// Cheapest crossing into each neighbor leaf: [{ leaf, cost, length, face, segment, option, point }].
+// Unweighted, every passable face costs its length.
+function passages(index, leaf, costOf, reg, vertical, weighted) {
+    const best = new Map();
+    for (let face = 0; face < 6; face++) {
+        const isVertical = VERTICAL_FACES.includes(face);
+        if (isVertical && !vertical) continue;
+
+        for (const contact of index.neighborsAcross(leaf, face)) {
+            const mine = getResolvedSegmentOption(leaf.cell, face, contact.segment);
+            const theirs = getResolvedSegmentOption(contact.leaf.cell, contact.face, contact.neighborSegment);
+            if (isVertical && ![mine, theirs].every(id => WALKABLE_VERTICAL.includes(reg.verticalKind(id)))) continue;
+
+            const factor = Math.max(costOf(mine), costOf(theirs));
+            if (!Number.isFinite(factor)) continue;
+
+            const point = isVertical ? contact.point : [contact.point[0], leaf.min[1], contact.point[2]];
+            const length = manhattan(floorCentre(leaf), point) + manhattan(point, floorCentre(contact.leaf));
+            const cost = weighted ? length * factor : length;
+            if (cost >= (best.get(contact.leaf)?.cost ?? Infinity)) continue;
+            best.set(contact.leaf, { leaf: contact.leaf, cost, length, face, segment: contact.segment, option: mine, point });
+        }
+    }
+    return [...best.values()];
+}
+
+// Centre of a leaf's footprint, at floor level
+function floorCentre(leaf) {
+    return [(leaf.min[0] + leaf.max[0]) / 2, leaf.min[1], (leaf.min[2] + leaf.max[2]) / 2];
+}
+
+function manhattan(a, b) {
+    return Math.abs(a[0] - b[0]) + Math.abs(a[1] - b[1]) + Math.abs(a[2] - b[2]);
+}
+
+function polylineLength(points) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+        length += Math.hypot(...[0, 1, 2].map(a => points[i][a] - points[i - 1][a]));
+    }
+    return length;
+}
+
+// Binary min-heap of (priority, value)
+class MinHeap {
+    constructor() {
+        this._items = [];
+    }
+
+    get size() {
+        return this._items.length;
+    }
+
+    push(priority, value) {
+        const items = this._items;
+        items.push({ priority, value });
+        let i = items.length - 1;
+        while (i > 0) {
+            const up = (i - 1) >> 1;
+            if (items[up].priority <= items[i].priority) break;
+            [items[up], items[i]] = [items[i], items[up]];
+            i = up;
+        }
+    }
+
+    pop() {
+        const items = this._items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const l = 2 * i + 1, r = l + 1;
+                let min = i;
+                if (l < items.length && items[l].priority < items[min].priority) min = l;
+                if (r < items.length && items[r].priority < items[min].priority) min = r;
+                if (min === i) break;
+                [items[min], items[i]] = [items[i], items[min]];
+                i = min;
+            }
+        }
+        return top.value;
+    }
+}
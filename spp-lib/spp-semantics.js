@@ -0,0 +1,250 @@
+/**
+ * spp-semantics.js — SPP Semantic Annotations
+ *
+ * What the cells mean, next to what they connect. A chunk-level `spaces`
+ * table describes each room once — display name, function, tags, floor
+ * finish, custom properties — and cells point at it by `space` id. Per-face
+ * `faceMeta` records the build-up of a face (material, thickness, height,
+ * fire rating) beside its option id.
+ *
+ *   ParticleChunk { spaces?: [{ id, name?, function?, tags?, floorFinish?, properties? }], cells }
+ *   ParticleCell  { space?: id, faceMeta?: [null | { material?, thickness?, height?, fireRating?, … } × 6] }
+ *
+ * The table lives on the root chunk; cells inside refinements use it too.
+ * A cell's `room` string stays as its display label.
+ *
+ * Usage:
+ *   import { spacesFromLayout, getSpace, setFaceMeta } from './spp-semantics.js';
+ *
+ *   const spaces = spacesFromLayout(layout);     // [{ id: 'kitchen', name: 'Kitchen', function: 'kitchen' }, …]
+ *   const chunk = { spaces, cells: generateCellsFromLayout(layout, gx, gz, doors, { spaces }) };
+ *   getSpace(chunk, chunk.cells[0]).function;   // 'kitchen'
+ *   setFaceMeta(cell, FACE.POS_X, { material: 'brick', thickness: 0.24, fireRating: 60 });
+ */
+
+// What a space is used for. Free strings are allowed; these are the ones the
+// library reads (window inference, room-name matching).
+export const SPACE_FUNCTION = {
+    LIVING: 'living',
+    KITCHEN: 'kitchen',
+    DINING: 'dining',
+    BEDROOM: 'bedroom',
+    BATHROOM: 'bathroom',
+    OFFICE: 'office',
+    CIRCULATION: 'circulation',   // hallways, corridors, lobbies
+    STORAGE: 'storage',
+    UTILITY: 'utility',
+    STAIR: 'stair',
+    ELEVATOR: 'elevator',
+    OUTDOOR: 'outdoor',           // balconies, terraces, yards
+};
+
+// Functions whose exterior faces generateCellsFromLayout glazes
+export const GLAZED_FUNCTIONS = [SPACE_FUNCTION.LIVING, SPACE_FUNCTION.KITCHEN, SPACE_FUNCTION.BEDROOM];
+
+// Layout entry for explicitly empty space (a yard, a street): becomes an empty cell
+export const LAYOUT_EMPTY = '.';
+
+// Known faceMeta fields and their value types; other keys are kept as they are.
+// Lengths are in the document's units.length; fireRating is in minutes.
+export const FACE_META_FIELDS = {
+    material: 'string',
+    thickness: 'number',
+    height: 'number',
+    fireRating: 'number',
+};
+
+// Room-name patterns, first match wins (English and Chinese labels from the inverse pipeline)
+const FUNCTION_PATTERNS = [
+    { fn: SPACE_FUNCTION.BATHROOM, pattern: /bath|toilet|\bwc\b|restroom|shower|卫生间|浴室|厕所/i },
+    { fn: SPACE_FUNCTION.KITCHEN, pattern: /kitchen|厨房/i },
+    { fn: SPACE_FUNCTION.DINING, pattern: /dining|餐厅/i },
+    { fn: SPACE_FUNCTION.LIVING, pattern: /living|lounge|family room|sitting|客厅|起居/i },
+    { fn: SPACE_FUNCTION.BEDROOM, pattern: /bed|卧/i },
+    { fn: SPACE_FUNCTION.OFFICE, pattern: /office|study|书房/i },
+    { fn: SPACE_FUNCTION.STAIR, pattern: /stair|楼梯/i },
+    { fn: SPACE_FUNCTION.ELEVATOR, pattern: /elevator|lift|电梯/i },
+    { fn: SPACE_FUNCTION.CIRCULATION, pattern: /hall|corridor|passage|lobby|foyer|landing|entry|走廊|过道|门厅|玄关/i },
+    { fn: SPACE_FUNCTION.STORAGE, pattern: /storage|closet|pantry|wardrobe|储藏|衣帽/i },
+    { fn: SPACE_FUNCTION.UTILITY, pattern: /utility|laundry|garage|mechanical|洗衣|车库/i },
+    { fn: SPACE_FUNCTION.OUTDOOR, pattern: /balcony|terrace|patio|porch|yard|garden|阳台|露台|花园/i },
+];
+
+// ═════════════════════════════════════════════════════════════
+// Spaces
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Space function from a room name, or null when no pattern matches.
+ * "Master Bedroom" → 'bedroom', "Hallway" → 'circulation'.
+ */
+export function inferSpaceFunction(name) {
+    if (typeof name !== 'string') return null;
+    return FUNCTION_PATTERNS.find(({ pattern }) => pattern.test(name))?.fn ?? null;
+}
+
+/**
+ * One space per distinct room label of a layout, in first-seen order (row by
+ * row). Ids are slugs of the label ("Living Room" → 'living-room'), made
+ * unique against `taken` and each other; the function is inferred from the
+ * label. null and LAYOUT_EMPTY entries are skipped.
+ *
+ * @param {Array<Array<string|null>>} layout - 2D layout grid (z, x)
+ * @param {Object} [options]
+ * @param {Iterable<string>} [options.taken=[]] - ids already in use (e.g. other storeys)
+ * @returns {Array} [{ id, name, function? }]
+ */
+export function spacesFromLayout(layout, { taken = [] } = {}) {
+    const used = new Set(taken);
+    const spaces = [];
+    const seen = new Set();
+    for (const row of layout || []) {
+        for (const label of row || []) {
+            if (!label || label === LAYOUT_EMPTY || seen.has(label)) continue;
+            seen.add(label);
+            const space = { id: uniqueId(slug(label), used), name: label };
+            const fn = inferSpaceFunction(label);
+            if (fn) space.function = fn;
+            used.add(space.id);
+            spaces.push(space);
+        }
+    }
+    return spaces;
+}
+
+/**
+ * The space entry a cell points at, or the entry with an id.
+ *
+ * @param {Object|Array} chunk - root ParticleChunk, or its spaces array
+ * @param {Object|string} cellOrId - cell with a `space` field, or a space id
+ * @returns {Object|null}
+ */
+export function getSpace(chunk, cellOrId) {
+    const id = typeof cellOrId === 'object' && cellOrId !== null ? cellOrId.space : cellOrId;
+    if (id === undefined || id === null) return null;
+    const spaces = Array.isArray(chunk) ? chunk : (chunk?.spaces || []);
+    return spaces.find(space => space.id === id) || null;
+}
+
+/**
+ * A cell's space function: its space entry's `function`, else one inferred
+ * from the space name or the cell's `room` label.
+ *
+ * @param {Object|Array} chunk - root ParticleChunk, or its spaces array
+ * @param {Object} cell
+ * @returns {string|null}
+ */
+export function spaceFunctionOf(chunk, cell) {
+    const space = getSpace(chunk, cell);
+    return space?.function ?? inferSpaceFunction(space?.name ?? cell?.room);
+}
+
+/**
+ * Point cells at the spaces their `room` label names (matched against each
+ * space's name, then its id), through every refinement. Cells whose label
+ * matches nothing keep their current `space`. Cells are modified in place.
+ *
+ * @param {Array<Object>} cells
+ * @param {Array<Object>} spaces
+ * @returns {Array<Object>} cells
+ */
+export function assignSpaces(cells, spaces) {
+    const byLabel = new Map();
+    for (const space of spaces) if (!byLabel.has(space.id)) byLabel.set(space.id, space);
+    for (const space of spaces) if (space.name !== undefined) byLabel.set(space.name, space);
+    const walk = list => {
+        for (const cell of list || []) {
+            const space = cell.room !== undefined ? byLabel.get(cell.room) : undefined;
+            if (space) cell.space = space.id;
+            if (Array.isArray(cell.refinement?.cells)) walk(cell.refinement.cells);
+        }
+    };
+    walk(cells);
+    return cells;
+}
+
+/**
+ * Append one space table to another. Incoming ids the base already uses
+ * get a suffix ('kitchen' → 'kitchen-2'); point cells at the new ids with
+ * renameSpaces.
+ *
+ * @param {Array<Object>} [base=[]]
+ * @param {Array<Object>} [incoming=[]]
+ * @returns {Object} { spaces, renamed } — renamed: Map old id → new id
+ */
+export function mergeSpaces(base = [], incoming = []) {
+    const used = new Set(base.map(space => space.id));
+    const spaces = [...base];
+    const renamed = new Map();
+    for (const space of incoming) {
+        const id = uniqueId(space.id, used);
+        if (id !== space.id) renamed.set(space.id, id);
+        used.add(id);
+        spaces.push(id === space.id ? space : { ...space, id });
+    }
+    return { spaces, renamed };
+}
+
+/**
+ * Rewrite cell `space` ids through a Map old id → new id, through every
+ * refinement. Cells are modified in place.
+ *
+ * @returns {Array<Object>} cells
+ */
+export function renameSpaces(cells, renamed) {
+    for (const cell of cells || []) {
+        if (renamed.has(cell.space)) cell.space = renamed.get(cell.space);
+        if (Array.isArray(cell.refinement?.cells)) renameSpaces(cell.refinement.cells, renamed);
+    }
+    return cells;
+}
+
+// ═════════════════════════════════════════════════════════════
+// Face metadata
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Metadata of one face, or null.
+ */
+export function getFaceMeta(cell, face) {
+    return cell.faceMeta?.[face] ?? null;
+}
+
+/**
+ * Merge metadata into one face. A field set to null or undefined is
+ * removed; passing null clears the face. `faceMeta` is created on first
+ * use and dropped again when every face is clear. The cell is modified in
+ * place.
+ *
+ * @param {Object} cell
+ * @param {number} face - FACE index
+ * @param {Object|null} meta - e.g. { material: 'brick', thickness: 0.24 }
+ * @returns {Object} cell
+ */
+export function setFaceMeta(cell, face, meta) {
+    const merged = meta === null ? {} : { ...(cell.faceMeta?.[face] || {}), ...meta };
+    for (const key of Object.keys(merged)) {
+        if (merged[key] === null || merged[key] === undefined) delete merged[key];
+    }
+    const faceMeta = cell.faceMeta ? [...cell.faceMeta] : [null, null, null, null, null, null];
+    faceMeta[face] = Object.keys(merged).length > 0 ? merged : null;
+    if (faceMeta.every(entry => entry === null || entry === undefined)) delete cell.faceMeta;
+    else cell.faceMeta = faceMeta;
+    return cell;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+function slug(label) {
+    const s = String(label).trim().toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '');
+    return s || 'space';
+}
+
+function uniqueId(base, used) {
+    if (!used.has(base)) return base;
+    let n = 2;
+    while (used.has(`${base}-${n}`)) n++;
+    return `${base}-${n}`;
+}
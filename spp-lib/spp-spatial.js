@@ -0,0 +1,498 @@
+/**
+ * spp-spatial.js — SPP Spatial Queries
+ *
+ * Position-keyed lookup over the cells of a ParticleChunk, replacing the
+ * ad-hoc `cells.find(...)` scans and `${x},${z}` maps each consumer used to build.
+ *
+ * Usage:
+ *   import { ChunkIndex } from './spp-spatial.js';
+ *
+ *   const index = new ChunkIndex(chunk);          // or new ChunkIndex(cells)
+ *   const cell = index.get([3, 0, 2]);
+ *   const east = index.neighbor(cell, FACE.POS_X);
+ *   for (const { cell: n, segment } of index.neighborsAcross(bigCell, FACE.POS_X)) { ... }
+ *   for (const c of index) { ... }                // scan order: y, then z, then x
+ *
+ *   const leaves = new LeafIndex(chunk);          // walks refinements
+ *   for (const { leaf } of leaves.neighbors(subCell, FACE.POS_X)) { ... }
+ *   for (const { leaf, segment, neighborSegment } of leaves.neighborsAcross(bigCell, FACE.POS_Z)) { ... }
+ */
+
+import { FACE_DIRECTION, OPPOSITE_FACE, segmentCount, segmentIndex, segmentSlots } from './spp-core.js';
+import { assertNoLegacyFields } from './spp-migrate.js';
+
+// Positions are quantized before keying so fractional positions
+// (e.g. 2.3333 from expandScaledCells) survive float rounding
+const KEY_QUANTUM = 1e6;
+
+function quantize(v) {
+    return Math.round(v * KEY_QUANTUM);
+}
+
+/**
+ * Map key for a position. Equal positions (up to 1e-6) give equal keys.
+ *
+ * @param {Array<number>} position - [x, y, z]
+ * @returns {string}
+ */
+export function positionKey(position) {
+    return `${quantize(position[0])},${quantize(position[1])},${quantize(position[2])}`;
+}
+
+/**
+ * Position of the neighbor across a face.
+ * Steps past the cell's own size on the positive side, so fractional
+ * sub-cells (size [1/n, 1, 1/n]) find their fractional neighbors and a
+ * 2×1×2 cell at x = 0 finds x = 2. On the negative side a cell larger than
+ * one unit steps by one unit, to the unit slot just outside it.
+ *
+ * @param {Object} cell - ParticleCell
+ * @param {number} face - FACE index
+ * @returns {Array<number>} [x, y, z]
+ */
+export function neighborPosition(cell, face) {
+    const dir = FACE_DIRECTION[face];
+    const size = cell.size || [1, 1, 1];
+    return cell.position.map((v, axis) =>
+        dir[axis] > 0 ? v + size[axis] : v + dir[axis] * Math.min(size[axis], 1));
+}
+
+// Unit slots a cell occupies: its position, plus every other integer slot
+// of a cell larger than one unit
+function coveredSlots(cell) {
+    const size = cell.size || [1, 1, 1];
+    if (!size.some(s => s > 1)) return [cell.position];
+    const span = size.map(s => Math.max(1, Math.ceil(s)));
+    const slots = [];
+    for (let dy = 0; dy < span[1]; dy++) {
+        for (let dz = 0; dz < span[2]; dz++) {
+            for (let dx = 0; dx < span[0]; dx++) {
+                slots.push([cell.position[0] + dx, cell.position[1] + dy, cell.position[2] + dz]);
+            }
+        }
+    }
+    return slots;
+}
+
+// ═════════════════════════════════════════════════════════════
+// ChunkIndex
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * O(1) cell lookup by position for one chunk level (refinements are separate grids).
+ *
+ * A cell larger than one unit is found from every unit slot it covers, so
+ * get([3, 0, 2]) returns the 6×1×4 room anchored at [0, 0, 0].
+ *
+ * The index holds references to the chunk's cell objects. Edits that only
+ * change faceOptions need no bookkeeping; adding, removing or moving a cell
+ * must go through add / remove / move (or call reindex after mutating
+ * cell.position directly).
+ */
+export class ChunkIndex {
+    /**
+     * @param {Object|Array} [source] - ParticleChunk { cells } or a cell array
+     */
+    constructor(source = []) {
+        this._byKey = new Map();   // slot key → cell
+        this._keyOf = new Map();   // cell → slot keys, for remove / reindex
+        this._ordered = null;      // scan-order cache, rebuilt lazily
+
+        const cells = Array.isArray(source) ? source : (source.cells || []);
+        for (const cell of cells) this.add(cell);
+    }
+
+    get size() {
+        return this._keyOf.size;
+    }
+
+    // ─── Lookup ──────────────────────────────────────────────
+
+    /**
+     * @param {Array<number>} position - [x, y, z]
+     * @returns {Object|null} the cell at (or covering) position
+     */
+    get(position) {
+        return this._byKey.get(positionKey(position)) || null;
+    }
+
+    has(position) {
+        return this._byKey.has(positionKey(position));
+    }
+
+    /**
+     * The cell across a face at neighborPosition — for a cell larger than
+     * one unit, the one across its first segment (see neighborsAcross).
+     *
+     * @param {Object} cell - ParticleCell (need not be indexed)
+     * @param {number} face - FACE index
+     * @returns {Object|null}
+     */
+    neighbor(cell, face) {
+        return this.get(neighborPosition(cell, face));
+    }
+
+    /**
+     * All existing neighbors of a cell.
+     *
+     * @param {Object} cell
+     * @param {Array<number>} [faces=[0..5]] - face indices to look across
+     * @returns {Array} [{ face, cell }]
+     */
+    neighbors(cell, faces = [0, 1, 2, 3, 4, 5]) {
+        const result = [];
+        for (const face of faces) {
+            const n = this.neighbor(cell, face);
+            if (n) result.push({ face, cell: n });
+        }
+        return result;
+    }
+
+    /**
+     * Every cell across a face, one entry per face segment that has one.
+     * A unit cell gets at most one entry; a 6×1×4 room's +Z face up to six.
+     *
+     * @param {Object} cell - ParticleCell (need not be indexed)
+     * @param {number} face - FACE index
+     * @returns {Array} [{ cell, segment, neighborSegment }] — neighborSegment
+     *          is the segment of the neighbor's opposite face that touches `segment`
+     */
+    neighborsAcross(cell, face) {
+        const step = neighborPosition(cell, face);
+        const axis = FACE_DIRECTION[face].findIndex(d => d !== 0);
+        const result = [];
+        segmentSlots(cell, face).forEach((slot, segment) => {
+            const across = [...slot];
+            across[axis] = step[axis];
+            const n = this.get(across);
+            if (!n || n === cell) return;
+            result.push({ cell: n, segment, neighborSegment: segmentIndex(n, OPPOSITE_FACE[face], across) });
+        });
+        return result;
+    }
+
+    // ─── Iteration ───────────────────────────────────────────
+
+    /**
+     * Cells in scan order: ascending y, then z, then x — the order
+     * generateCellsFromLayout emits rows in.
+     *
+     * @returns {Array} a fresh array
+     */
+    cells() {
+        if (!this._ordered) {
+            this._ordered = [...this._keyOf.keys()].sort((a, b) =>
+                (a.position[1] - b.position[1]) ||
+                (a.position[2] - b.position[2]) ||
+                (a.position[0] - b.position[0])
+            );
+        }
+        return [...this._ordered];
+    }
+
+    [Symbol.iterator]() {
+        return this.cells()[Symbol.iterator]();
+    }
+
+    // ─── Incremental updates ─────────────────────────────────
+
+    /**
+     * Index a cell. Throws if another cell already occupies any slot it covers.
+     */
+    add(cell) {
+        const slots = coveredSlots(cell);
+        for (const slot of slots) {
+            const existing = this._byKey.get(positionKey(slot));
+            if (existing && existing !== cell) {
+                throw new Error(`ChunkIndex: position [${slot.join(', ')}] is already occupied`);
+            }
+        }
+        const keys = slots.map(positionKey);
+        for (const key of keys) this._byKey.set(key, cell);
+        this._keyOf.set(cell, keys);
+        this._ordered = null;
+        return this;
+    }
+
+    /**
+     * Remove a cell, given the cell object or its position.
+     * @returns {Object|null} the removed cell
+     */
+    remove(cellOrPosition) {
+        const cell = Array.isArray(cellOrPosition)
+            ? this._byKey.get(positionKey(cellOrPosition))
+            : (this._keyOf.has(cellOrPosition) ? cellOrPosition : undefined);
+        if (!cell) return null;
+        for (const key of this._keyOf.get(cell)) this._byKey.delete(key);
+        this._keyOf.delete(cell);
+        this._ordered = null;
+        return cell;
+    }
+
+    /**
+     * Move an indexed cell: sets cell.position and updates the index.
+     * Throws if the target position is occupied by another cell.
+     */
+    move(cell, position) {
+        const previous = cell.position;
+        this.remove(cell);
+        cell.position = [...position];
+        try {
+            return this.add(cell);
+        } catch (e) {
+            cell.position = previous;
+            this.add(cell);
+            throw e;
+        }
+    }
+
+    /**
+     * Re-key a cell whose position was mutated in place.
+     */
+    reindex(cell) {
+        this.remove(cell);
+        return this.add(cell);
+    }
+}
+
+// ═════════════════════════════════════════════════════════════
+// LeafIndex — cross-depth neighbor queries
+// ═════════════════════════════════════════════════════════════
+
+// Faces touching along a shared plane must overlap by more than this
+// (in world units) on both tangent axes; edge- and corner-contacts don't count
+const OVERLAP_EPSILON = 1e-9;
+
+const FACE_AXIS = [0, 0, 1, 1, 2, 2];
+
+/**
+ * Neighbor lookup across refinement depths.
+ *
+ * Walks `refinement` (or legacy `subGrid`) with the same math as
+ * RecursiveGridManager.flattenRecursiveCells, so world coordinates match what
+ * the renderers draw. Refinements subdivide X and Z only: a leaf inherits the
+ * vertical extent of its root cell. A leaf's X / Z extent is its `size` in
+ * units of the parent scale, so fractional cells from expandScaledCells
+ * ([1/n, 1, 1/n]) index correctly.
+ *
+ * Each leaf is described by an entry:
+ *   { cell, path, depth, parent, worldPosition, worldScale, min, max }
+ * where `cell` is the original cell object (not a copy), `path` is a
+ * validateChunk-style path like "cells[3].refinement.cells[5]", `parent` is
+ * the refined cell the leaf lives in (null at the root) and min / max are
+ * the world-space corners.
+ *
+ * Like ChunkIndex, the index holds references: faceOptions edits need no
+ * bookkeeping, structural edits (refining, moving cells) need a new index.
+ */
+export class LeafIndex {
+    /**
+     * @param {Object|Array} [source] - ParticleChunk { cells } or root cell array
+     * @param {Object} [options]
+     * @param {boolean} [options.strict=false] - throw on legacy subGrid / scale / _parentScale
+     *        fields instead of reading them (see spp-migrate.js)
+     */
+    constructor(source = [], { strict = false } = {}) {
+        this._strict = strict;
+        this._leaves = [];
+        this._byCell = new Map();
+        // per axis: quantized min-plane → entries, quantized max-plane → entries
+        this._minPlane = [new Map(), new Map(), new Map()];
+        this._maxPlane = [new Map(), new Map(), new Map()];
+
+        const cells = Array.isArray(source) ? source : (source.cells || []);
+        cells.forEach((cell, i) => {
+            const size = cell.size || [1, 1, 1];
+            const y = cell.position[1];
+            this._walk(cell, `cells[${i}]`, [0, 0, 0], 1.0, 0, null, [y, y + size[1]]);
+        });
+    }
+
+    _walk(cell, path, parentWorldPos, parentWorldScale, depth, parent, yRange) {
+        if (this._strict) assertNoLegacyFields(cell, `LeafIndex: ${path}`);
+        const worldPosition = cell.position.map((v, axis) => parentWorldPos[axis] + v * parentWorldScale);
+        const sub = cell.refinement || cell.subGrid;
+
+        if (sub && Array.isArray(sub.cells)) {
+            const extent = Math.max(1, cell.size?.[0] ?? 1, cell.size?.[2] ?? 1);
+            const subCellSize = parentWorldScale * extent / Math.max(sub.gridX, sub.gridZ);
+            const key = cell.refinement ? 'refinement' : 'subGrid';
+            sub.cells.forEach((child, i) => {
+                this._walk(child, `${path}.${key}.cells[${i}]`, worldPosition, subCellSize, depth + 1, cell, yRange);
+            });
+            return;
+        }
+
+        const entry = {
+            cell,
+            path,
+            depth,
+            parent,
+            worldPosition,
+            worldScale: parentWorldScale,
+            min: [worldPosition[0], yRange[0], worldPosition[2]],
+            max: [
+                worldPosition[0] + parentWorldScale * (cell.size?.[0] ?? 1),
+                yRange[1],
+                worldPosition[2] + parentWorldScale * (cell.size?.[2] ?? 1),
+            ],
+        };
+        this._leaves.push(entry);
+        this._byCell.set(cell, entry);
+        for (let axis = 0; axis < 3; axis++) {
+            pushTo(this._minPlane[axis], quantize(entry.min[axis]), entry);
+            pushTo(this._maxPlane[axis], quantize(entry.max[axis]), entry);
+        }
+    }
+
+    get size() {
+        return this._leaves.length;
+    }
+
+    /**
+     * All leaf entries, depth-first in cell order.
+     * @returns {Array} a fresh array
+     */
+    leaves() {
+        return [...this._leaves];
+    }
+
+    [Symbol.iterator]() {
+        return this.leaves()[Symbol.iterator]();
+    }
+
+    /**
+     * Entry for a leaf cell object.
+     *
+     * @param {Object} cell - a leaf cell of the indexed chunk
+     * @returns {Object|null} leaf entry (null for refined cells or unknown objects)
+     */
+    leafOf(cell) {
+        return this._byCell.get(cell) || null;
+    }
+
+    /**
+     * Leaf containing a world-space point (boundaries belong to the leaf on
+     * their positive side).
+     *
+     * @param {Array<number>} point - [x, y, z]
+     * @returns {Object|null} leaf entry
+     */
+    leafAt(point) {
+        for (const entry of this._leaves) {
+            if ([0, 1, 2].every(a => point[a] >= entry.min[a] - OVERLAP_EPSILON &&
+                                     point[a] < entry.max[a] - OVERLAP_EPSILON)) {
+                return entry;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Leaves on the other side of a face, at any depth.
+     *
+     * Returns one result when the neighbor is the same size or coarser, and
+     * several when the neighbor side is refined more finely. `overlap` is the
+     * shared face area in world units², so a caller can weigh partial contacts.
+     *
+     * @param {Object} leafOrCell - leaf entry or leaf cell object
+     * @param {number} face - FACE index
+     * @returns {Array} [{ leaf, face, overlap }] where `face` is the neighbor's facing side
+     */
+    neighbors(leafOrCell, face) {
+        const entry = this._entryOf(leafOrCell);
+        if (!entry) return [];
+
+        const axis = FACE_AXIS[face];
+        const positive = FACE_DIRECTION[face][axis] > 0;
+        const plane = positive ? entry.max[axis] : entry.min[axis];
+        const candidates = (positive ? this._minPlane : this._maxPlane)[axis].get(quantize(plane)) || [];
+
+        const result = [];
+        for (const other of candidates) {
+            if (other === entry) continue;
+            let overlap = 1;
+            for (let a = 0; a < 3 && overlap > 0; a++) {
+                if (a === axis) continue;
+                const span = Math.min(entry.max[a], other.max[a]) - Math.max(entry.min[a], other.min[a]);
+                overlap = span > OVERLAP_EPSILON ? overlap * span : 0;
+            }
+            if (overlap > 0) result.push({ leaf: other, face: OPPOSITE_FACE[face], overlap });
+        }
+        return result;
+    }
+
+    /**
+     * Leaves across a face, one entry per face segment and neighbor leaf that
+     * touch: the LeafIndex counterpart of ChunkIndex.neighborsAcross, for
+     * reading faceSegments on cells larger than one unit. Segments without
+     * an entry lie on the exterior.
+     *
+     * @param {Object} leafOrCell - leaf entry or leaf cell object
+     * @param {number} face - FACE index
+     * @returns {Array} [{ leaf, face, segment, neighborSegment, overlap, point }] — `face`
+     *          is the neighbor's facing side, `point` the centre of the shared area
+     */
+    neighborsAcross(leafOrCell, face) {
+        const entry = this._entryOf(leafOrCell);
+        if (!entry) return [];
+
+        const axis = FACE_AXIS[face];
+        const plane = FACE_DIRECTION[face][axis] > 0 ? entry.max[axis] : entry.min[axis];
+        const count = segmentCount(entry.cell, face);
+        const result = [];
+        for (const { leaf: other, face: otherFace } of this.neighbors(entry, face)) {
+            for (let segment = 0; segment < count; segment++) {
+                const bounds = count === 1 ? entry : segmentBounds(entry, face, segment);
+                const point = [0, 0, 0];
+                point[axis] = plane;
+                let overlap = 1;
+                for (let a = 0; a < 3 && overlap > 0; a++) {
+                    if (a === axis) continue;
+                    const lo = Math.max(bounds.min[a], other.min[a]);
+                    const hi = Math.min(bounds.max[a], other.max[a]);
+                    overlap = hi - lo > OVERLAP_EPSILON ? overlap * (hi - lo) : 0;
+                    point[a] = (lo + hi) / 2;
+                }
+                if (overlap === 0) continue;
+                result.push({
+                    leaf: other,
+                    face: otherFace,
+                    segment,
+                    neighborSegment: segmentAtPoint(other, otherFace, point),
+                    overlap,
+                    point,
+                });
+            }
+        }
+        return result;
+    }
+
+    _entryOf(leafOrCell) {
+        return this._byCell.get(leafOrCell)
+            || (leafOrCell && this._byCell.get(leafOrCell.cell) === leafOrCell ? leafOrCell : null);
+    }
+}
+
+// World-space box of one face segment of a leaf larger than one unit.
+// Refinements keep the root's vertical extent, so y is always in world units.
+function segmentBounds(entry, face, segment) {
+    const slot = segmentSlots(entry.cell, face)[segment];
+    const unit = [entry.worldScale, 1, entry.worldScale];
+    const min = [0, 1, 2].map(a => entry.min[a] + (slot[a] - entry.cell.position[a]) * unit[a]);
+    return { min, max: min.map((v, a) => v + unit[a]) };
+}
+
+// Segment of a leaf's face that a world-space point lies on
+function segmentAtPoint(entry, face, point) {
+    if (segmentCount(entry.cell, face) === 1) return 0;
+    const unit = [entry.worldScale, 1, entry.worldScale];
+    const slot = [0, 1, 2].map(a => entry.cell.position[a] + (point[a] - entry.min[a]) / unit[a]);
+    return segmentIndex(entry.cell, face, slot);
+}
+
+function pushTo(map, key, value) {
+    const list = map.get(key);
+    if (list) list.push(value);
+    else map.set(key, [value]);
+}
@@ -0,0 +1,393 @@
+/**
+ * spp-transform.js — SPP Chunk Transforms
+ *
+ * Rigid transforms of a whole ParticleChunk on the XZ plane: quarter-turn
+ * rotation about Y, mirroring and translation. Faces are permuted along with
+ * positions (a 90° turn sends POS_X → NEG_Z), so a mirrored or rotated copy
+ * of an apartment unit keeps its doors on the same walls.
+ *
+ * Also composes chunks: mergeChunks places one chunk next to another and
+ * reconciles the faces along the seam between them.
+ *
+ * Usage:
+ *   import { transformChunk, mergeChunks } from './spp-transform.js';
+ *
+ *   const right = transformChunk(left, { mirrorX: true, translate: [left.gridX, 0, 0] });
+ *   const turned = transformChunk(unit, { rotateY: 90 });
+ *
+ *   const { chunk, conflicts } = mergeChunks(westWing, eastWing, [12, 0, 0], { seamPolicy: 'prefer-priority' });
+ */
+
+import {
+    FACE_DIRECTION, OPPOSITE_FACE, OPTION_ROLE, OPTION_CONTEXT, DEFAULT_REGISTRY, OptionRegistry,
+    segmentCount, segmentSlots, segmentIndex, getResolvedSegmentOption, setSegmentOptions,
+} from './spp-core.js';
+import { ChunkIndex } from './spp-spatial.js';
+import { checkReciprocity, checkRefinementBoundary, RECIPROCITY_POLICY } from './spp-validate.js';
+import { mergeSpaces, renameSpaces } from './spp-semantics.js';
+
+// What went wrong where two merged chunks meet
+export const SEAM_CONFLICT = {
+    OVERLAP: 'overlap',          // a cell of b covers a slot already taken by a; b's cell is dropped
+    MISMATCH: 'mismatch',        // the two sides of a seam face disagree (checkReciprocity)
+    CONTEXT: 'context',          // an exterior-only option (a window) now faces a neighbor
+    REFINEMENT: 'refinement',    // a refinement edge no longer matches its changed parent face
+};
+
+// ═════════════════════════════════════════════════════════════
+// transformChunk
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Rotate, mirror and translate a chunk.
+ *
+ * The steps run in a fixed order: mirrors first, then the rotation, then the
+ * translation. Mirrors and the rotation map the chunk's grid onto itself:
+ * cells stay inside [0, gridX) × [0, gridZ), and gridX / gridZ swap on odd
+ * quarter turns. Positive rotation is counter-clockwise seen from above
+ * (+Y), so 90° sends POS_X → NEG_Z, NEG_Z → NEG_X, NEG_X → POS_Z and
+ * POS_Z → POS_X. ±Y faces and position[1] are only touched by translate.
+ *
+ * Per cell, faceOptions, faceSegments, faceMeta and the faceStates bits
+ * move with their faces, and size swaps its X and Z on odd turns. Each
+ * refinement is transformed the same way within its own gridX × gridZ,
+ * without the translation. Its edge sub-faces end up under the parent face they were
+ * under before, so the refinement boundary invariant still holds.
+ *
+ * Extents follow validateChunk: a cell covers position .. position + size,
+ * at least one unit per axis. gridX / gridZ are inferred from the cells when
+ * missing, and grow by a positive translation. The input is not modified.
+ *
+ * @param {Object} chunk - ParticleChunk { cells, gridX?, gridZ? }
+ * @param {Object} [options]
+ * @param {number} [options.rotateY=0] - degrees, a multiple of 90
+ * @param {boolean} [options.mirrorX=false] - flip along X (x → gridX − x)
+ * @param {boolean} [options.mirrorZ=false] - flip along Z (z → gridZ − z)
+ * @param {Array<number>} [options.translate=[0, 0, 0]] - [dx, dy, dz] added after rotating
+ * @returns {Object} transformed copy of the chunk
+ */
+export function transformChunk(chunk, { rotateY = 0, mirrorX = false, mirrorZ = false, translate = [0, 0, 0] } = {}) {
+    if (!Number.isInteger(rotateY / 90)) {
+        throw new Error(`transformChunk: rotateY must be a multiple of 90, got ${rotateY}`);
+    }
+    if (!Array.isArray(translate) || translate.length !== 3 || !translate.every(Number.isFinite)) {
+        throw new Error('transformChunk: translate must be [dx, dy, dz]');
+    }
+
+    const transform = planarTransform(((rotateY / 90) % 4 + 4) % 4, mirrorX, mirrorZ);
+    const out = transformLevel(chunk, transform);
+    const [dx, dy, dz] = translate;
+    if (dx || dy || dz) {
+        for (const cell of out.cells) {
+            cell.position = [cell.position[0] + dx, cell.position[1] + dy, cell.position[2] + dz];
+        }
+        if (dx > 0) out.gridX += dx;
+        if (dz > 0) out.gridZ += dz;
+    }
+    return out;
+}
+
+// ─── Transform construction ──────────────────────────────────
+
+// XZ matrix [[a, b], [c, d]]: x' = a·x + b·z, z' = c·x + d·z
+function planarTransform(quarterTurns, mirrorX, mirrorZ) {
+    let m = [[mirrorX ? -1 : 1, 0], [0, mirrorZ ? -1 : 1]];
+    for (let i = 0; i < quarterTurns; i++) {
+        // one quarter turn: x' = z, z' = −x
+        m = [[m[1][0], m[1][1]], [-m[0][0], -m[0][1]]];
+    }
+    const faces = [0, 1, 2, 3, 4, 5];
+    const faceMap = faces.map(face => {
+        const [x, y, z] = FACE_DIRECTION[face];
+        const to = [m[0][0] * x + m[0][1] * z, y, m[1][0] * x + m[1][1] * z];
+        return faces.find(f => FACE_DIRECTION[f].every((v, axis) => v === to[axis]));
+    });
+    return { m, faceMap, swapsAxes: m[0][0] === 0 };
+}
+
+// Box [x0, x0 + w) × [z0, z0 + d) → its image, placed so that the
+// transformed grid starts at 0 again
+function mapBox(t, [x0, z0], [w, d], grid) {
+    const corners = [[x0, z0], [x0 + w, z0 + d]].map(([x, z]) =>
+        [t.m[0][0] * x + t.m[0][1] * z, t.m[1][0] * x + t.m[1][1] * z]);
+    const gridCorner = [[0, 0], [grid.gridX, grid.gridZ]].map(([x, z]) =>
+        [t.m[0][0] * x + t.m[0][1] * z, t.m[1][0] * x + t.m[1][1] * z]);
+    const originX = Math.min(gridCorner[0][0], gridCorner[1][0]);
+    const originZ = Math.min(gridCorner[0][1], gridCorner[1][1]);
+    return [
+        Math.min(corners[0][0], corners[1][0]) - originX,
+        Math.min(corners[0][1], corners[1][1]) - originZ,
+    ];
+}
+
+// ─── Level / cell transforms ─────────────────────────────────
+
+function extentOf(size, axis) {
+    return Math.max(1, size?.[axis] ?? 1);
+}
+
+// Grid extent of a level, inferred from its cells when not given
+function gridOf(level) {
+    const cells = level.cells || [];
+    return {
+        gridX: level.gridX || Math.max(0, ...cells.map(c => c.position[0] + extentOf(c.size, 0))),
+        gridZ: level.gridZ || Math.max(0, ...cells.map(c => c.position[2] + extentOf(c.size, 2))),
+    };
+}
+
+function transformLevel(level, t) {
+    const grid = gridOf(level);
+    return {
+        ...level,
+        gridX: t.swapsAxes ? grid.gridZ : grid.gridX,
+        gridZ: t.swapsAxes ? grid.gridX : grid.gridZ,
+        cells: (level.cells || []).map(cell => transformCell(cell, t, grid)),
+    };
+}
+
+function transformCell(cell, t, grid) {
+    const size = cell.size || [1, 1, 1];
+    const [x, y, z] = cell.position;
+    const [nx, nz] = mapBox(t, [x, z], [extentOf(size, 0), extentOf(size, 2)], grid);
+    const out = {
+        ...cell,
+        position: [nx, y, nz],
+        size: t.swapsAxes ? [size[2], size[1], size[0]] : [...size],
+        faceOptions: [],
+    };
+    delete out.faceSegments;
+
+    for (let face = 0; face < 6; face++) {
+        out.faceOptions[t.faceMap[face]] = [...(cell.faceOptions[face] || [])];
+    }
+    if (Array.isArray(cell.faceMeta)) {
+        out.faceMeta = [];
+        for (let face = 0; face < 6; face++) {
+            out.faceMeta[t.faceMap[face]] = cell.faceMeta[face] ? { ...cell.faceMeta[face] } : null;
+        }
+    }
+    if (typeof cell.faceStates === 'number') {
+        out.faceStates = 0;
+        for (let face = 0; face < 6; face++) {
+            if (cell.faceStates & (1 << face)) out.faceStates |= 1 << t.faceMap[face];
+        }
+    }
+
+    // Overrides follow the unit slot they describe
+    if (cell.faceSegments) {
+        cell.faceSegments.forEach((segments, face) => {
+            if (!segments || segmentCount(cell, face) === 1) return;
+            const slots = segmentSlots(cell, face);
+            segments.forEach((opts, segment) => {
+                if (!opts || !slots[segment]) return;
+                const [sx, sz] = mapBox(t, [slots[segment][0], slots[segment][2]], [1, 1], grid);
+                const target = t.faceMap[face];
+                const slot = [sx, slots[segment][1], sz];
+                setSegmentOptions(out, target, segmentIndex(out, target, slot), [...opts]);
+            });
+        });
+    }
+
+    for (const key of ['refinement', 'subGrid']) {
+        if (cell[key] && Array.isArray(cell[key].cells)) out[key] = transformLevel(cell[key], t);
+    }
+    return out;
+}
+
+// ═════════════════════════════════════════════════════════════
+// mergeChunks
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Merge chunk b into chunk a, with b translated by offset.
+ *
+ * Cells of b that overlap a cell of a are dropped (a wins) and reported. Faces
+ * where a cell of a abuts a cell of b form the seam, and only those are
+ * reconciled:
+ *   1. mismatched sides are resolved by seamPolicy, as in checkReciprocity
+ *      (a wall on one side and an opening on the other: prefer-open opens
+ *      both, prefer-wall closes both);
+ *   2. options only allowed on exterior faces (windows) become the registry's
+ *      wall role on both sides, since the face is now interior — including
+ *      the refinement sub-faces under the seam;
+ *   3. refinements of seam cells are repaired to match their changed parent
+ *      faces (checkRefinementBoundary), so they stay valid.
+ * With 'report-only' nothing is changed and every problem is reported.
+ *
+ * b's spaces join a's table; ids a already uses are renamed in b's copy
+ * ('kitchen' → 'kitchen-2'), so the two sides stay separate spaces.
+ *
+ * A negative x or z offset shifts a instead, so the merged grid starts at 0;
+ * `shift` is the translation applied to a (b got offset + shift). Neither
+ * input is modified.
+ *
+ * @param {Object} a - ParticleChunk
+ * @param {Object} b - ParticleChunk
+ * @param {Array<number>} [offset=[0, 0, 0]] - [dx, dy, dz] for b's cells
+ * @param {Object} [options]
+ * @param {string} [options.seamPolicy='prefer-priority'] - one of RECIPROCITY_POLICY
+ * @param {Object} [options.registry=DEFAULT_REGISTRY] - OptionRegistry or id → entry table
+ * @returns {Object} { chunk, conflicts, repaired, shift }
+ *   - conflicts: [{ kind, path, message, ... }] with kind one of SEAM_CONFLICT; paths
+ *     are into the merged chunk, except `b.cells[j]` for dropped cells
+ *   - repaired: number of faces and sub-faces rewritten
+ */
+export function mergeChunks(a, b, offset = [0, 0, 0], {
+    seamPolicy = RECIPROCITY_POLICY.PREFER_PRIORITY,
+    registry = DEFAULT_REGISTRY,
+} = {}) {
+    if (!Object.values(RECIPROCITY_POLICY).includes(seamPolicy)) {
+        throw new Error(`Unknown seam policy "${seamPolicy}"`);
+    }
+    if (!Array.isArray(offset) || offset.length !== 3 || !offset.every(Number.isFinite)) {
+        throw new Error('mergeChunks: offset must be [dx, dy, dz]');
+    }
+    registry = OptionRegistry.from(registry);
+    const repair = seamPolicy !== RECIPROCITY_POLICY.REPORT_ONLY;
+
+    const shift = [Math.max(0, -offset[0]), 0, Math.max(0, -offset[2])];
+    const left = transformChunk(a, { translate: shift });
+    const right = transformChunk(b, { translate: offset.map((v, axis) => v + shift[axis]) });
+
+    const conflicts = [];
+    const index = new ChunkIndex();
+    const cells = [];
+    for (const cell of left.cells) {
+        index.add(cell);
+        cells.push(cell);
+    }
+    const fromB = new Set();
+    right.cells.forEach((cell, j) => {
+        try {
+            index.add(cell);
+        } catch {
+            conflicts.push({
+                kind: SEAM_CONFLICT.OVERLAP,
+                path: `b.cells[${j}]`,
+                position: cell.position,
+                message: `overlaps a cell of a at [${cell.position.join(', ')}] and was dropped`,
+            });
+            return;
+        }
+        fromB.add(cell);
+        cells.push(cell);
+    });
+
+    const merged = {
+        ...left,
+        gridX: Math.max(left.gridX, right.gridX),
+        gridZ: Math.max(left.gridZ, right.gridZ),
+        cells,
+    };
+    if (left.spaces || right.spaces) {
+        const { spaces, renamed } = mergeSpaces(left.spaces, right.spaces);
+        renameSpaces(right.cells, renamed);
+        merged.spaces = spaces;
+    }
+    const acrossSeam = (cell, neighbor) => fromB.has(cell) !== fromB.has(neighbor);
+
+    // 1. Disagreeing sides
+    const reciprocity = checkReciprocity(merged, { policy: seamPolicy, registry, recursive: false, filter: acrossSeam });
+    let repaired = reciprocity.repaired;
+    for (const m of reciprocity.mismatches) {
+        conflicts.push({ kind: SEAM_CONFLICT.MISMATCH, ...m, message: `option ${m.option} meets ${m.neighborOption}` });
+    }
+
+    // 2. Exterior-only options now facing a neighbor
+    const wallId = registry.role(OPTION_ROLE.WALL);
+    const seamFaces = new Map();   // cell → Map(face → Set of seam segments)
+    const addSeam = (cell, face, segment) => {
+        if (!seamFaces.has(cell)) seamFaces.set(cell, new Map());
+        const faces = seamFaces.get(cell);
+        if (!faces.has(face)) faces.set(face, new Set());
+        faces.get(face).add(segment);
+    };
+    for (const cell of fromB) {
+        for (let face = 0; face < 6; face++) {
+            for (const { cell: neighbor, segment, neighborSegment } of index.neighborsAcross(cell, face)) {
+                if (!acrossSeam(cell, neighbor)) continue;
+                addSeam(cell, face, segment);
+                addSeam(neighbor, OPPOSITE_FACE[face], neighborSegment);
+            }
+        }
+    }
+    const sealFace = (cell, face, segment, path) => {
+        const id = getResolvedSegmentOption(cell, face, segment);
+        if (id === null || registry.allowedIn(id, OPTION_CONTEXT.INTERIOR)) return;
+        conflicts.push({
+            kind: SEAM_CONFLICT.CONTEXT,
+            path: facePath(cell, path, face, segment),
+            face,
+            option: id,
+            resolved: repair ? wallId : null,
+            message: `option ${id} is not allowed on an interior face`,
+        });
+        if (repair) {
+            setSegmentOptions(cell, face, segment, [wallId]);
+            repaired++;
+        }
+    };
+    for (const [cell, faces] of seamFaces) {
+        const path = `cells[${cells.indexOf(cell)}]`;
+        for (const [face, segments] of faces) {
+            for (const segment of segments) sealFace(cell, face, segment, path);
+            forEachEdgeSubFace(cell, face, segments, path, sealFace);
+        }
+    }
+
+    // 3. Refinements under changed seam faces
+    for (const cell of seamFaces.keys()) {
+        if (!cell.refinement) continue;
+        const path = `cells[${cells.indexOf(cell)}]`;
+        const boundary = checkRefinementBoundary(cell, { registry, repair, path });
+        repaired += boundary.repaired;
+        for (const v of boundary.violations) {
+            conflicts.push({
+                kind: SEAM_CONFLICT.REFINEMENT,
+                ...v,
+                message: `sub-face ${v.actual} under a ${v.expected} parent face (${v.parentOption})`,
+            });
+        }
+    }
+
+    return { chunk: merged, conflicts, repaired, shift };
+}
+
+// Path of a face, or of one of its segments when the cell has several
+function facePath(cell, path, face, segment) {
+    return segmentCount(cell, face) > 1
+        ? `${path}.faceSegments[${face}][${segment}]`
+        : `${path}.faceOptions[${face}]`;
+}
+
+// Call visit(sub, face, segment, path) for every refinement sub-face, at any
+// depth, that lies on the cell's face under one of the given segments
+function forEachEdgeSubFace(cell, face, segments, path, visit) {
+    const ref = cell.refinement;
+    if (!ref || !Array.isArray(ref.cells)) return;
+    const grid = gridOf(ref);
+    const axis = FACE_DIRECTION[face].findIndex(d => d !== 0);
+    const positive = FACE_DIRECTION[face][axis] > 0;
+    const size = cell.size || [1, 1, 1];
+
+    ref.cells.forEach((sub, i) => {
+        // A refinement subdivides X and Z only, so ±Y sub-faces are all on the edge
+        if (axis === 0 || axis === 2) {
+            const extent = axis === 0 ? grid.gridX : grid.gridZ;
+            const onEdge = positive ? sub.position[axis] + extentOf(sub.size, axis) >= extent : sub.position[axis] === 0;
+            if (!onEdge) return;
+        }
+        // The unit of the parent the sub-cell's centre lies in
+        const slot = [
+            cell.position[0] + (sub.position[0] + 0.5) * extentOf(size, 0) / grid.gridX,
+            cell.position[1],
+            cell.position[2] + (sub.position[2] + 0.5) * extentOf(size, 2) / grid.gridZ,
+        ];
+        if (!segments.has(segmentIndex(cell, face, slot))) return;
+
+        const subPath = `${path}.refinement.cells[${i}]`;
+        const subSegments = new Set(Array.from({ length: segmentCount(sub, face) }, (_, k) => k));
+        for (const k of subSegments) visit(sub, face, k, subPath);
+        forEachEdgeSubFace(sub, face, subSegments, subPath, visit);
+    });
+}
@@ -0,0 +1,832 @@
+/**
+ * spp-validate.js — SPP Structural Validation
+ *
+ * Checks a ParticleChunk (and its recursive refinement tree) against the
+ * SPP-Core data model and reports every problem with a path that points
+ * at the offending field, e.g. `cells[12].refinement.cells[3].faceOptions[4]`.
+ *
+ * Usage:
+ *   import { validateChunk } from './spp-validate.js';
+ *
+ *   const { valid, errors, warnings } = validateChunk(chunk, { maxDepth: 4 });
+ *   if (!valid) throw new Error(formatValidationErrors(errors));
+ *
+ *   const { consistent, violations } = checkChunkBoundaries(chunk, { repair: true });
+ *   const { mismatches } = checkReciprocity(chunk, { policy: 'prefer-priority' });
+ *   const { violations: misplaced } = checkAdjacency(chunk, { registry });
+ */
+
+import {
+    FACE, OPPOSITE_FACE, FACE_DIRECTION, FACE_NAMES,
+    OPTION_TYPE, OPTION_CONTEXT, DEFAULT_REGISTRY, OptionRegistry, getResolvedOption,
+    COVERAGE, coverageOf, isEmptyCell, faceContext,
+    segmentCount, segmentSlots, getResolvedSegmentOption, setSegmentOptions,
+} from './spp-core.js';
+import { ChunkIndex } from './spp-spatial.js';
+import { FACE_META_FIELDS } from './spp-semantics.js';
+
+// ═════════════════════════════════════════════════════════════
+// Issue Codes
+// ═════════════════════════════════════════════════════════════
+
+// Stable machine-readable codes — messages may change, codes should not
+export const VALIDATION_CODE = {
+    NOT_OBJECT: 'not_object',
+    MISSING_CELLS: 'missing_cells',
+    BAD_POSITION: 'bad_position',
+    BAD_SIZE: 'bad_size',
+    BAD_FACE_STATES: 'bad_face_states',
+    BAD_FACE_OPTIONS: 'bad_face_options',
+    UNKNOWN_OPTION: 'unknown_option',
+    CLOSED_FACE_HAS_OPTIONS: 'closed_face_has_options',
+    DUPLICATE_POSITION: 'duplicate_position',
+    OVERLAPPING_CELLS: 'overlapping_cells',
+    BAD_FACE_SEGMENTS: 'bad_face_segments',
+    OUT_OF_GRID: 'out_of_grid',
+    BAD_GRID_EXTENT: 'bad_grid_extent',
+    MAX_DEPTH_EXCEEDED: 'max_depth_exceeded',
+    BAD_COVERAGE: 'bad_coverage',
+    BAD_EMPTY: 'bad_empty',
+    EMPTY_CELL_NOT_CLEAR: 'empty_cell_not_clear',
+    BAD_SPACES: 'bad_spaces',
+    DUPLICATE_SPACE: 'duplicate_space',
+    UNKNOWN_SPACE: 'unknown_space',
+    BAD_FACE_META: 'bad_face_meta',
+};
+
+// Value types of the optional fields of a spaces entry (see spp-semantics.js)
+const SPACE_FIELDS = {
+    name: 'string',
+    function: 'string',
+    floorFinish: 'string',
+};
+
+const DEFAULT_MAX_DEPTH = 8;
+
+// ═════════════════════════════════════════════════════════════
+// Chunk Validation
+// ═════════════════════════════════════════════════════════════
+
+/**
+ * Validate a ParticleChunk and every refinement beneath it.
+ *
+ * Errors are spec violations (MUST); warnings are SHOULD-level issues such as
+ * a closed face (faceStates bit 0) that still lists options, or an empty
+ * cell that carries a room or a barrier.
+ *
+ * Every cell `space` must name an entry of the root chunk's `spaces` table.
+ *
+ * @param {Object} chunk - ParticleChunk { cells, gridX?, gridZ?, coverage?, spaces? }
+ * @param {Object} [options]
+ * @param {Object} [options.registry=DEFAULT_REGISTRY] - OptionRegistry or id → entry table
+ * @param {number} [options.maxDepth=8] - deepest allowed refinement level (root = 0)
+ * @returns {Object} { valid, errors, warnings } — each issue is { path, code, message }
+ */
+export function validateChunk(chunk, { registry = DEFAULT_REGISTRY, maxDepth = DEFAULT_MAX_DEPTH } = {}) {
+    const errors = [];
+    const warnings = [];
+    const ctx = {
+        registry: OptionRegistry.from(registry),
+        maxDepth,
+        spaceIds: new Set(),   // ids of the root spaces table
+        error: (path, code, message) => errors.push({ path, code, message }),
+        warn: (path, code, message) => warnings.push({ path, code, message }),
+    };
+
+    validateChunkAt(chunk, '', 0, ctx);
+
+    return { valid: errors.length === 0, errors, warnings };
+}
+
+/**
+ * Render validation issues as one line per issue, for logs and error messages.
+ *
+ * @param {Array} issues - errors or warnings from validateChunk
+ * @returns {string}
+ */
+export function formatValidationErrors(issues) {
+    return issues.map(i => `${i.path || '(root)'}: ${i.message}`).join('\n');
+}
+
+function validateChunkAt(chunk, path, depth, ctx) {
+    if (!chunk || typeof chunk !== 'object') {
+        ctx.error(path, VALIDATION_CODE.NOT_OBJECT, 'chunk must be an object');
+        return;
+    }
+    if (!Array.isArray(chunk.cells)) {
+        ctx.error(join(path, 'cells'), VALIDATION_CODE.MISSING_CELLS, 'chunk must have a "cells" array');
+        return;
+    }
+
+    // Refinements declare their grid extent; the root chunk may omit it
+    const hasExtent = chunk.gridX !== undefined || chunk.gridZ !== undefined;
+    if (hasExtent) {
+        for (const key of ['gridX', 'gridZ']) {
+            if (!isPositiveInteger(chunk[key])) {
+                ctx.error(join(path, key), VALIDATION_CODE.BAD_GRID_EXTENT,
+                    `${key} must be a positive integer, got ${JSON.stringify(chunk[key])}`);
+            }
+        }
+    } else if (depth > 0) {
+        ctx.error(path, VALIDATION_CODE.BAD_GRID_EXTENT, 'refinement must declare gridX and gridZ');
+    }
+
+    if (chunk.coverage !== undefined) {
+        const covPath = join(path, 'coverage');
+        if (!Object.values(COVERAGE).includes(chunk.coverage)) {
+            ctx.error(covPath, VALIDATION_CODE.BAD_COVERAGE,
+                `coverage must be one of ${Object.values(COVERAGE).map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(chunk.coverage)}`);
+        } else if (depth > 0) {
+            ctx.warn(covPath, VALIDATION_CODE.BAD_COVERAGE, 'coverage is read from the root chunk only; refinements follow it');
+        }
+    }
+
+    if (chunk.spaces !== undefined) {
+        if (depth > 0) {
+            ctx.warn(join(path, 'spaces'), VALIDATION_CODE.BAD_SPACES, 'spaces are read from the root chunk only; refinements use its table');
+        } else {
+            validateSpaces(chunk.spaces, join(path, 'spaces'), ctx);
+        }
+    }
+
+    const seen = new Map();       // anchor position → cell index
+    const covered = new Map();    // unit slot → cell index, for cells larger than one unit
+    chunk.cells.forEach((cell, i) => {
+        const cellPath = join(path, `cells[${i}]`);
+        const positionOk = validateCell(cell, cellPath, ctx);
+        if (!positionOk) return;
+
+        const [x, y, z] = cell.position;
+        const key = `${x},${y},${z}`;
+        if (seen.has(key)) {
+            ctx.error(join(cellPath, 'position'), VALIDATION_CODE.DUPLICATE_POSITION,
+                `position [${x}, ${y}, ${z}] already used by cells[${seen.get(key)}]`);
+        } else {
+            seen.set(key, i);
+            const other = unitSlots(cell).map(slot => covered.get(slot.join(','))).find(j => j !== undefined);
+            if (other !== undefined) {
+                ctx.error(join(cellPath, 'size'), VALIDATION_CODE.OVERLAPPING_CELLS,
+                    `cell at [${x}, ${y}, ${z}] with size [${unitSize(cell).join(', ')}] overlaps cells[${other}]`);
+            } else {
+                for (const slot of unitSlots(cell)) covered.set(slot.join(','), i);
+            }
+        }
+
+        if (hasExtent && isPositiveInteger(chunk.gridX) && isPositiveInteger(chunk.gridZ)) {
+            const [w, , d] = isIntegerTriple(cell.size) ? cell.size : [1, 1, 1];
+            if (x < 0 || x + w > chunk.gridX || z < 0 || z + d > chunk.gridZ) {
+                ctx.error(join(cellPath, 'position'), VALIDATION_CODE.OUT_OF_GRID,
+                    `cell at [${x}, ${y}, ${z}] with size [${w}, ·, ${d}] extends outside the ${chunk.gridX}×${chunk.gridZ} grid`);
+            }
+        }
+
+        if (cell.refinement !== undefined && cell.refinement !== null) {
+            const refPath = join(cellPath, 'refinement');
+            if (depth + 1 > ctx.maxDepth) {
+                ctx.error(refPath, VALIDATION_CODE.MAX_DEPTH_EXCEEDED,
+                    `refinement depth ${depth + 1} exceeds maxDepth ${ctx.maxDepth}`);
+                return;
+            }
+            validateChunkAt(cell.refinement, refPath, depth + 1, ctx);
+        }
+    });
+}
+
+/**
+ * Validate a single cell's own fields (not its refinement).
+ * Returns true when the position is usable for duplicate / bounds checks.
+ */
+function validateCell(cell, path, ctx) {
+    if (!cell || typeof cell !== 'object') {
+        ctx.error(path, VALIDATION_CODE.NOT_OBJECT, 'cell must be an object');
+        return false;
+    }
+
+    const positionOk = isIntegerTriple(cell.position);
+    if (!positionOk) {
+        ctx.error(join(path, 'position'), VALIDATION_CODE.BAD_POSITION,
+            `position must be [x, y, z] integers, got ${JSON.stringify(cell.position)}`);
+    }
+
+    if (!isIntegerTriple(cell.size) || cell.size.some(v => v <= 0)) {
+        ctx.error(join(path, 'size'), VALIDATION_CODE.BAD_SIZE,
+            `size must be [w, h, d] positive integers, got ${JSON.stringify(cell.size)}`);
+    }
+
+    const statesOk = Number.isInteger(cell.faceStates) && cell.faceStates >= 0 && cell.faceStates <= 0b111111;
+    if (!statesOk) {
+        ctx.error(join(path, 'faceStates'), VALIDATION_CODE.BAD_FACE_STATES,
+            `faceStates must be a 6-bit integer (0–63), got ${JSON.stringify(cell.faceStates)}`);
+    }
+
+    if (!Array.isArray(cell.faceOptions) || cell.faceOptions.length !== 6) {
+        const got = Array.isArray(cell.faceOptions) ? `${cell.faceOptions.length} entries` : JSON.stringify(cell.faceOptions);
+        ctx.error(join(path, 'faceOptions'), VALIDATION_CODE.BAD_FACE_OPTIONS,
+            `faceOptions must be an array of 6 option lists, got ${got}`);
+        return positionOk;
+    }
+
+    cell.faceOptions.forEach((opts, face) => {
+        const facePath = join(path, `faceOptions[${face}]`);
+        if (!Array.isArray(opts)) {
+            ctx.error(facePath, VALIDATION_CODE.BAD_FACE_OPTIONS,
+                `face option list must be an array, got ${JSON.stringify(opts)}`);
+            return;
+        }
+        opts.forEach((id, k) => {
+            if (!isKnownOption(id, ctx.registry)) {
+                const match = isOptionIdType(id) ? ctx.registry.resolveId(id) : null;
+                const hint = match !== null ? ` (did you mean ${JSON.stringify(match)}?)` : '';
+                ctx.error(`${facePath}[${k}]`, VALIDATION_CODE.UNKNOWN_OPTION,
+                    `unknown option id ${JSON.stringify(id)}${hint}`);
+            }
+        });
+        if (statesOk && ((cell.faceStates >> face) & 1) === 0 && opts.length > 0) {
+            ctx.warn(facePath, VALIDATION_CODE.CLOSED_FACE_HAS_OPTIONS,
+                `face ${face} is closed in faceStates but lists ${opts.length} option(s)`);
+        }
+    });
+
+    if (cell.faceSegments !== undefined) validateFaceSegments(cell, path, ctx);
+    if (cell.faceMeta !== undefined) validateFaceMeta(cell, path, ctx);
+    if (cell.empty !== undefined) validateEmptyCell(cell, path, ctx);
+    if (cell.space !== undefined && !ctx.spaceIds.has(cell.space)) {
+        ctx.error(join(path, 'space'), VALIDATION_CODE.UNKNOWN_SPACE,
+            `space ${JSON.stringify(cell.space)} is not in the root chunk's spaces table`);
+    }
+
+    return positionOk;
+}
+
+// spaces: an array of { id, name?, function?, tags?, floorFinish?, properties? } with unique ids
+function validateSpaces(spaces, path, ctx) {
+    if (!Array.isArray(spaces)) {
+        ctx.error(path, VALIDATION_CODE.BAD_SPACES, 'spaces must be an array');
+        return;
+    }
+    spaces.forEach((space, i) => {
+        const spacePath = `${path}[${i}]`;
+        if (!space || typeof space !== 'object' || Array.isArray(space)) {
+            ctx.error(spacePath, VALIDATION_CODE.BAD_SPACES, 'space must be an object');
+            return;
+        }
+        if (typeof space.id !== 'string' || space.id === '') {
+            ctx.error(join(spacePath, 'id'), VALIDATION_CODE.BAD_SPACES,
+                `id must be a non-empty string, got ${JSON.stringify(space.id)}`);
+        } else if (ctx.spaceIds.has(space.id)) {
+            ctx.error(join(spacePath, 'id'), VALIDATION_CODE.DUPLICATE_SPACE,
+                `space id ${JSON.stringify(space.id)} is used more than once`);
+        } else {
+            ctx.spaceIds.add(space.id);
+        }
+        for (const [key, type] of Object.entries(SPACE_FIELDS)) {
+            if (space[key] !== undefined && typeof space[key] !== type) {
+                ctx.error(join(spacePath, key), VALIDATION_CODE.BAD_SPACES,
+                    `${key} must be a ${type}, got ${JSON.stringify(space[key])}`);
+            }
+        }
+        if (space.tags !== undefined && !(Array.isArray(space.tags) && space.tags.every(t => typeof t === 'string'))) {
+            ctx.error(join(spacePath, 'tags'), VALIDATION_CODE.BAD_SPACES, 'tags must be an array of strings');
+        }
+        if (space.properties !== undefined &&
+            (!space.properties || typeof space.properties !== 'object' || Array.isArray(space.properties))) {
+            ctx.error(join(spacePath, 'properties'), VALIDATION_CODE.BAD_SPACES, 'properties must be an object');
+        }
+    });
+}
+
+// faceMeta: 6 entries, each null or an object; known fields have fixed types
+function validateFaceMeta(cell, path, ctx) {
+    const metaPath = join(path, 'faceMeta');
+    if (!Array.isArray(cell.faceMeta) || cell.faceMeta.length !== 6) {
+        ctx.error(metaPath, VALIDATION_CODE.BAD_FACE_META, 'faceMeta must be an array of 6 entries');
+        return;
+    }
+    cell.faceMeta.forEach((meta, face) => {
+        if (meta === null) return;
+        const facePath = `${metaPath}[${face}]`;
+        if (!meta || typeof meta !== 'object' || Array.isArray(meta)) {
+            ctx.error(facePath, VALIDATION_CODE.BAD_FACE_META, 'face metadata must be null or an object');
+            return;
+        }
+        for (const [key, type] of Object.entries(FACE_META_FIELDS)) {
+            const value = meta[key];
+            if (value === undefined) continue;
+            const ok = type === 'number'
+                ? Number.isFinite(value) && (key === 'fireRating' ? value >= 0 : value > 0)
+                : typeof value === type;
+            if (!ok) {
+                ctx.error(join(facePath, key), VALIDATION_CODE.BAD_FACE_META, type === 'number'
+                    ? `${key} must be a ${key === 'fireRating' ? 'non-negative' : 'positive'} number, got ${JSON.stringify(value)}`
+                    : `${key} must be a ${type}, got ${JSON.stringify(value)}`);
+            }
+        }
+    });
+}
+
+// empty: a boolean; an empty cell holds no room, space, refinement or barrier
+function validateEmptyCell(cell, path, ctx) {
+    if (typeof cell.empty !== 'boolean') {
+        ctx.error(join(path, 'empty'), VALIDATION_CODE.BAD_EMPTY,
+            `empty must be a boolean, got ${JSON.stringify(cell.empty)}`);
+        return;
+    }
+    if (!cell.empty) return;
+    for (const key of ['room', 'space', 'refinement']) {
+        if (cell[key] !== undefined && cell[key] !== null) {
+            ctx.warn(join(path, key), VALIDATION_CODE.EMPTY_CELL_NOT_CLEAR, `empty cell has a ${key}`);
+        }
+    }
+    for (const face of [FACE.POS_X, FACE.NEG_X, FACE.POS_Z, FACE.NEG_Z]) {
+        const opts = cell.faceOptions[face];
+        const barrier = Array.isArray(opts) ? opts.find(id => ctx.registry.isWall(id)) : undefined;
+        if (barrier !== undefined) {
+            ctx.warn(join(path, `faceOptions[${face}]`), VALIDATION_CODE.EMPTY_CELL_NOT_CLEAR,
+                `empty cell lists wall option ${JSON.stringify(barrier)}`);
+        }
+    }
+}
+
+// faceSegments: 6 entries, each null or an array of (null | option list), one per segment
+function validateFaceSegments(cell, path, ctx) {
+    const segPath = join(path, 'faceSegments');
+    if (!Array.isArray(cell.faceSegments) || cell.faceSegments.length !== 6) {
+        ctx.error(segPath, VALIDATION_CODE.BAD_FACE_SEGMENTS,
+            'faceSegments must be an array of 6 entries (null or one option list per segment)');
+        return;
+    }
+    if (!isIntegerTriple(cell.size)) return;
+
+    cell.faceSegments.forEach((segments, face) => {
+        if (segments === null || segments === undefined) return;
+        const facePath = join(segPath, `[${face}]`);
+        const count = segmentCount(cell, face);
+        if (!Array.isArray(segments) || segments.length > count) {
+            ctx.error(facePath, VALIDATION_CODE.BAD_FACE_SEGMENTS,
+                `face ${face} has ${count} segment(s); expected an array of at most ${count} option lists`);
+            return;
+        }
+        segments.forEach((opts, k) => {
+            if (opts === null || opts === undefined) return;
+            if (!Array.isArray(opts)) {
+                ctx.error(`${facePath}[${k}]`, VALIDATION_CODE.BAD_FACE_SEGMENTS,
+                    `segment option list must be an array, got ${JSON.stringify(opts)}`);
+                return;
+            }
+            opts.forEach((id, n) => {
+                if (!isKnownOption(id, ctx.registry)) {
+                    ctx.error(`${facePath}[${k}][${n}]`, VALIDATION_CODE.UNKNOWN_OPTION,
+                        `unknown option id ${JSON.stringify(id)}`);
+                }
+            });
+        });
+    });
+}
+
+// ═════════════════════════════════════════════════════════════
+// Refinement Boundary Consistency (spec Section 3.2.5)
+// ═════════════════════════════════════════════════════════════
+
+// Horizontal parent faces and the refinement edge each one covers.
+// `s` is the sub-cell's size, so a 2×1×2 sub-cell at gridX - 2 touches +X.
+const BOUNDARY_EDGES = [
+    { face: FACE.POS_X, onEdge: (p, g, s) => p[0] + extentOf(s, 0) >= g.gridX, along: p => p[2], span: g => g.gridZ },
+    { face: FACE.NEG_X, onEdge: (p) => p[0] === 0,                             along: p => p[2], span: g => g.gridZ },
+    { face: FACE.POS_Z, onEdge: (p, g, s) => p[2] + extentOf(s, 2) >= g.gridZ, along: p => p[0], span: g => g.gridX },
+    { face: FACE.NEG_Z, onEdge: (p) => p[2] === 0,                             along: p => p[0], span: g => g.gridX },
+];
+
+function extentOf(size, axis) {
+    return Math.max(1, size?.[axis] ?? 1);
+}
+
+/**
+ * Check a refined cell's boundary consistency invariant, recursively.
+ *
+ * The invariant is edge-level, matching the spec's 2×2 example and
+ * createBatchRefineContext: a Wall parent face requires every resolved
+ * sub-face on that edge to be Wall; an Open parent face requires at least
+ * one of them to be Open. In the Open case every sub-face of the sealed
+ * edge is reported, and repair opens only the one nearest the edge midpoint.
+ *
+ * Repaired sub-faces are rewritten to the parent's resolved option id.
+ * Unresolved parent or sub faces are skipped.
+ *
+ * @param {Object} cell - ParticleCell, possibly with .refinement
+ * @param {Object} [options]
+ * @param {Object} [options.registry=DEFAULT_REGISTRY] - OptionRegistry or id → entry table (for open/wall type)
+ * @param {boolean} [options.repair=false] - rewrite offending sub-faces in place
+ * @param {string} [options.path=''] - path prefix for reported violations
+ * @returns {Object} { consistent, violations, repaired }
+ *   - violations: [{ path, face, parentOption, expected: 'open'|'wall', actual }]
+ *   - repaired: number of sub-faces rewritten
+ */
+export function checkRefinementBoundary(cell, { registry = DEFAULT_REGISTRY, repair = false, path = '' } = {}) {
+    const violations = [];
+    let repaired = 0;
+
+    const ref = cell.refinement;
+    if (!ref || !Array.isArray(ref.cells)) return { consistent: true, violations, repaired };
+    registry = OptionRegistry.from(registry);
+
+    const refPath = join(path, 'refinement');
+    const extent = refinementExtent(ref);
+
+    for (const { face, onEdge, along, span } of BOUNDARY_EDGES) {
+        const parentOption = getResolvedOption(cell, face);
+        const parentType = optionType(parentOption, registry);
+        if (!parentType) continue;
+
+        // One entry per sub-face segment on the edge (several for larger sub-cells)
+        const edge = [];
+        ref.cells.forEach((sub, i) => {
+            if (!sub?.position || !onEdge(sub.position, extent, sub.size)) return;
+            segmentSlots(sub, face).forEach((slot, segment) => {
+                const actual = getResolvedSegmentOption(sub, face, segment);
+                const type = optionType(actual, registry);
+                if (!type) return;
+                edge.push({ sub, segment, slot, type, actual, path: join(refPath, segmentPath(sub, i, face, segment)) });
+            });
+        });
+        if (edge.length === 0) continue;
+
+        const expected = parentType;
+        if (expected === 'wall') {
+            for (const e of edge) {
+                if (e.type === 'wall') continue;
+                violations.push({ path: e.path, face, parentOption, expected, actual: e.actual });
+                if (repair) {
+                    setSegmentOptions(e.sub, face, e.segment, [parentOption]);
+                    repaired++;
+                }
+            }
+        } else if (!edge.some(e => e.type === 'open')) {
+            for (const e of edge) {
+                violations.push({ path: e.path, face, parentOption, expected, actual: e.actual });
+            }
+            if (repair) {
+                const mid = (span(extent) - 1) / 2;
+                const nearest = edge.reduce((best, e) =>
+                    Math.abs(along(e.slot) - mid) < Math.abs(along(best.slot) - mid) ? e : best
+                );
+                setSegmentOptions(nearest.sub, face, nearest.segment, [parentOption]);
+                repaired++;
+            }
+        }
+    }
+
+    // Each nested refinement is checked against its own parent (the sub-cell)
+    ref.cells.forEach((sub, i) => {
+        if (!sub?.refinement) return;
+        const nested = checkRefinementBoundary(sub, { registry, repair, path: join(refPath, `cells[${i}]`) });
+        violations.push(...nested.violations);
+        repaired += nested.repaired;
+    });
+
+    return { consistent: violations.length === 0, violations, repaired };
+}
+
+/**
+ * Check the boundary consistency invariant for every refinement in a chunk.
+ *
+ * @param {Object} chunk - ParticleChunk { cells }
+ * @param {Object} [options] - same as checkRefinementBoundary (registry, repair)
+ * @returns {Object} { consistent, violations, repaired }
+ */
+export function checkChunkBoundaries(chunk, { registry = DEFAULT_REGISTRY, repair = false } = {}) {
+    const violations = [];
+    let repaired = 0;
+    (chunk?.cells || []).forEach((cell, i) => {
+        const result = checkRefinementBoundary(cell, { registry, repair, path: `cells[${i}]` });
+        violations.push(...result.violations);
+        repaired += result.repaired;
+    });
+    return { consistent: violations.length === 0, violations, repaired };
+}
+
+/**
+ * Render boundary violations as one line per sub-face.
+ *
+ * @param {Array} violations - from checkRefinementBoundary / checkChunkBoundaries
+ * @returns {string}
+ */
+export function formatBoundaryViolations(violations) {
+    return violations.map(v =>
+        `${v.path}: parent ${FACE_NAMES[v.face]} is ${v.expected} (option ${v.parentOption}), sub-face is option ${v.actual}`
+    ).join('\n');
+}
+
+// ═════════════════════════════════════════════════════════════
+// Neighbor Reciprocity
+// ═════════════════════════════════════════════════════════════
+
+// How a mismatched face pair is resolved
+export const RECIPROCITY_POLICY = {
+    PREFER_OPEN: 'prefer-open',          // an Open side wins over a Wall side
+    PREFER_WALL: 'prefer-wall',          // a Wall side wins over an Open side
+    PREFER_PRIORITY: 'prefer-priority',  // the option with the higher registry priority wins
+    REPORT_ONLY: 'report-only',          // find mismatches, change nothing
+};
+
+/**
+ * Find face pairs where two adjacent cells disagree about their shared boundary,
+ * e.g. A's +X is a door while neighbor B's −X is still brick.
+ *
+ * Neighbors are located via FACE_DIRECTION and compared through OPPOSITE_FACE.
+ * Only resolved faces are compared. Each refinement is checked as its own grid.
+ * A face of a cell larger than one unit is compared segment by segment, and a
+ * repair writes the segment (faceSegments) rather than the whole face.
+ * Options with an `opposite` in the registry (Floor ↔ Ceiling) agree when the
+ * neighbor holds that opposite; all others agree when both sides are equal.
+ *
+ * Ties that the policy cannot break (same type, same priority) fall back to
+ * priority, then to the cell that comes first in the chunk.
+ *
+ * Faces shared with an empty cell are not compared: the empty cell's Open
+ * side and a room's exterior wall describe the same boundary.
+ *
+ * @param {Object} chunk - ParticleChunk { cells }
+ * @param {Object} [options]
+ * @param {string} [options.policy='report-only'] - one of RECIPROCITY_POLICY
+ * @param {Object} [options.registry=DEFAULT_REGISTRY] - OptionRegistry or id → entry table
+ * @param {boolean} [options.recursive=true] - also check inside refinements
+ * @param {Function} [options.filter] - (cell, neighbor) → boolean; only pairs it accepts are
+ *        compared (mergeChunks uses it to limit a repair to the seam)
+ * @returns {Object} { consistent, mismatches, repaired }
+ *   - mismatches: [{ path, face, neighborPath, neighborFace, option, neighborOption, resolved, neighborResolved }]
+ *     (resolved / neighborResolved are the options written to each side, or null in report-only mode)
+ */
+export function checkReciprocity(chunk, {
+    policy = RECIPROCITY_POLICY.REPORT_ONLY,
+    registry = DEFAULT_REGISTRY,
+    recursive = true,
+    filter = null,
+} = {}) {
+    if (!Object.values(RECIPROCITY_POLICY).includes(policy)) {
+        throw new Error(`Unknown reciprocity policy "${policy}"`);
+    }
+
+    registry = OptionRegistry.from(registry);
+    const mismatches = [];
+    let repaired = 0;
+
+    const visit = (ch, path) => {
+        const cells = ch?.cells || [];
+        const { index, indexOf } = levelIndex(cells);
+
+        cells.forEach((cell, i) => {
+            if (!indexOf.has(cell) || !cell.faceOptions) return;
+
+            for (const face of [FACE.POS_X, FACE.POS_Y, FACE.POS_Z]) {
+                const oppFace = OPPOSITE_FACE[face];
+                for (const { cell: neighbor, segment, neighborSegment } of index.neighborsAcross(cell, face)) {
+                    if (filter && !filter(cell, neighbor)) continue;
+                    if (isEmptyCell(cell) || isEmptyCell(neighbor)) continue;
+                    const j = indexOf.get(neighbor);
+                    const a = getResolvedSegmentOption(cell, face, segment);
+                    const b = getResolvedSegmentOption(neighbor, oppFace, neighborSegment);
+                    if (a === null || b === null || registry.reciprocalOf(a) === b) continue;
+
+                    // Compare from this cell's side: b as seen from here (a Floor above reads as Ceiling)
+                    const resolved = policy === RECIPROCITY_POLICY.REPORT_ONLY
+                        ? null
+                        : pickReciprocal(a, registry.reciprocalOf(b), policy, registry);
+
+                    mismatches.push({
+                        path: join(path, segmentPath(cell, i, face, segment)),
+                        face,
+                        neighborPath: join(path, segmentPath(neighbor, j, oppFace, neighborSegment)),
+                        neighborFace: oppFace,
+                        option: a,
+                        neighborOption: b,
+                        resolved,
+                        neighborResolved: resolved === null ? null : registry.reciprocalOf(resolved),
+                    });
+
+                    if (resolved !== null) {
+                        setSegmentOptions(cell, face, segment, [resolved]);
+                        setSegmentOptions(neighbor, oppFace, neighborSegment, [registry.reciprocalOf(resolved)]);
+                        repaired++;
+                    }
+                }
+            }
+
+            if (recursive && cell.refinement) visit(cell.refinement, join(path, `cells[${i}].refinement`));
+        });
+    };
+
+    visit(chunk, '');
+
+    return { consistent: mismatches.length === 0, mismatches, repaired };
+}
+
+// ═════════════════════════════════════════════════════════════
+// Adjacency & Context Rules
+// ═════════════════════════════════════════════════════════════
+
+// Which registry rule a violation breaks
+export const ADJACENCY_RULE = {
+    CONTEXT: 'context',    // option not allowed on an exterior / interior face
+    MEETS: 'meets',        // the two sides of a shared boundary may not face each other
+    FACE: 'face',          // option restricted to other faces (e.g. a Floor on +X)
+};
+
+/**
+ * Check a resolved chunk against the registry's `faces`, `context` and `meets` rules.
+ *
+ * A face is interior when a described neighbor at the same level lies
+ * across it, and exterior when an empty cell or — under closed coverage —
+ * nothing does (see faceContext). Under sparse coverage a face with nothing
+ * across is undescribed and no context rule applies. Sub-faces on a
+ * refinement edge take the context of the parent face they cover (±Y
+ * sub-faces always do). Empty cells' own faces, unresolved faces and
+ * unknown ids are skipped — validateChunk reports the latter.
+ *
+ * @param {Object} chunk - ParticleChunk
+ * @param {Object} [options]
+ * @param {Object} [options.registry=DEFAULT_REGISTRY]
+ * @param {boolean} [options.recursive=true] - also check refinements
+ * @returns {Object} { consistent, violations } — each violation is
+ *          { rule, path, face, option, context?, neighborPath?, neighborOption?, message }
+ */
+export function checkAdjacency(chunk, { registry = DEFAULT_REGISTRY, recursive = true } = {}) {
+    registry = OptionRegistry.from(registry);
+    const violations = [];
+    const name = id => `${registry.get(id).name} (${JSON.stringify(id)})`;
+    const coverage = coverageOf(chunk);
+
+    const visit = (ch, path, edgeContext) => {
+        const cells = ch?.cells || [];
+        const { index, indexOf } = levelIndex(cells);
+        const extent = edgeContext ? refinementExtent(ch) : null;
+
+        cells.forEach((cell, i) => {
+            if (!indexOf.has(cell) || !cell.faceOptions || isEmptyCell(cell)) return;
+            const contexts = [];
+
+            for (let face = 0; face < 6; face++) {
+                const touching = index.neighborsAcross(cell, face);
+                const across = new Map(touching.filter(n => !isEmptyCell(n.cell)).map(n => [n.segment, n]));
+                const onEdge = edgeContext && onRefinementEdge(cell.position, face, extent, cell.size);
+                const outsideOf = cells => (onEdge ? edgeContext[face] : faceContext(cells, coverage));
+                // A face counts as interior for its refinement when any segment has a neighbor
+                contexts[face] = across.size > 0 ? OPTION_CONTEXT.INTERIOR : outsideOf(touching.map(n => n.cell));
+
+                for (let segment = 0; segment < segmentCount(cell, face); segment++) {
+                    const neighbor = across.get(segment);
+                    const context = neighbor ? OPTION_CONTEXT.INTERIOR
+                        : outsideOf(touching.filter(n => n.segment === segment).map(n => n.cell));
+                    const a = getResolvedSegmentOption(cell, face, segment);
+                    if (a === null || !registry.has(a)) continue;
+                    const facePath = join(path, segmentPath(cell, i, face, segment));
+
+                    if (!registry.allowedOnFace(a, face)) {
+                        violations.push({
+                            rule: ADJACENCY_RULE.FACE, path: facePath, face, option: a,
+                            message: `${name(a)} is not allowed on a ${FACE_NAMES[face]} face`,
+                        });
+                        continue;
+                    }
+                    if (!registry.allowedIn(a, context)) {
+                        violations.push({
+                            rule: ADJACENCY_RULE.CONTEXT, path: facePath, face, option: a, context,
+                            message: `${name(a)} is not allowed on an ${context} face`,
+                        });
+                        continue;
+                    }
+
+                    // Each shared boundary once, from its positive side
+                    if (!neighbor || FACE_DIRECTION[face].some(d => d < 0)) continue;
+                    const oppFace = OPPOSITE_FACE[face];
+                    const b = getResolvedSegmentOption(neighbor.cell, oppFace, neighbor.neighborSegment);
+                    if (b === null || !registry.has(b) || !registry.allowedIn(b, OPTION_CONTEXT.INTERIOR)) continue;
+                    if (!registry.meets(a, b)) {
+                        violations.push({
+                            rule: ADJACENCY_RULE.MEETS, path: facePath, face, option: a,
+                            neighborPath: join(path, segmentPath(neighbor.cell, indexOf.get(neighbor.cell), oppFace, neighbor.neighborSegment)),
+                            neighborOption: b,
+                            message: `${name(a)} may not face ${name(b)}`,
+                        });
+                    }
+                }
+            }
+
+            if (recursive && cell.refinement?.cells) {
+                visit(cell.refinement, join(path, `cells[${i}].refinement`), contexts);
+            }
+        });
+    };
+
+    visit(chunk, '', null);
+
+    return { consistent: violations.length === 0, violations };
+}
+
+/**
+ * Render adjacency violations as one line each.
+ */
+export function formatAdjacencyViolations(violations) {
+    return violations.map(v => `${v.path} (${FACE_NAMES[v.face]}): ${v.message}`).join('\n');
+}
+
+function pickReciprocal(a, b, policy, registry) {
+    const ta = registry.typeOf(a);
+    const tb = registry.typeOf(b);
+    if (ta !== tb) {
+        if (policy === RECIPROCITY_POLICY.PREFER_OPEN) return ta === OPTION_TYPE.OPEN ? a : b;
+        if (policy === RECIPROCITY_POLICY.PREFER_WALL) return ta === OPTION_TYPE.WALL ? a : b;
+    }
+    const pa = registry.get(a)?.priority ?? 0;
+    const pb = registry.get(b)?.priority ?? 0;
+    return pb > pa ? b : a;
+}
+
+// ─── Helpers ─────────────────────────────────────────────────
+
+// Whether a sub-cell's face lies on the refinement's outer edge. A refinement
+// subdivides X and Z only, so ±Y faces always do.
+function onRefinementEdge(position, face, extent, size) {
+    if (face === FACE.POS_Y || face === FACE.NEG_Y) return true;
+    const edge = BOUNDARY_EDGES.find(e => e.face === face);
+    return edge.onEdge(position, extent, size);
+}
+
+function join(path, segment) {
+    if (!path) return segment;
+    return segment.startsWith('[') ? `${path}${segment}` : `${path}.${segment}`;
+}
+
+function optionType(id, registry) {
+    if (id === null || id === undefined) return null;
+    return registry.typeOf(id);
+}
+
+// ChunkIndex over one level, skipping cells that overlap an earlier one
+// (validateChunk reports those), plus cell → index for paths
+function levelIndex(cells) {
+    const index = new ChunkIndex();
+    const indexOf = new Map();
+    cells.forEach((cell, i) => {
+        if (!cell?.position) return;
+        try {
+            index.add(cell);
+            indexOf.set(cell, i);
+        } catch {
+            // overlapping cell — not part of the neighbor graph
+        }
+    });
+    return { index, indexOf };
+}
+
+// Path of a face, or of one of its segments when the cell has several
+function segmentPath(cell, i, face, segment) {
+    return segmentCount(cell, face) > 1
+        ? `cells[${i}].faceSegments[${face}][${segment}]`
+        : `cells[${i}].faceOptions[${face}]`;
+}
+
+// Refinements should declare gridX/gridZ; fall back to the occupied extent
+function refinementExtent(ref) {
+    const xs = ref.cells.map(c => (c?.position?.[0] ?? 0) + extentOf(c?.size, 0) - 1);
+    const zs = ref.cells.map(c => (c?.position?.[2] ?? 0) + extentOf(c?.size, 2) - 1);
+    return {
+        gridX: ref.gridX || Math.max(0, ...xs) + 1,
+        gridZ: ref.gridZ || Math.max(0, ...zs) + 1,
+    };
+}
+
+// Integer unit slots covered by a cell (just its position for unit cells)
+// Extent in units per axis: at least one, [1, 1, 1] when size is missing or invalid
+function unitSize(cell) {
+    return isIntegerTriple(cell.size) ? cell.size.map(v => Math.max(1, v)) : [1, 1, 1];
+}
+
+function unitSlots(cell) {
+    const [w, h, d] = unitSize(cell);
+    const slots = [];
+    for (let dy = 0; dy < h; dy++) {
+        for (let dz = 0; dz < d; dz++) {
+            for (let dx = 0; dx < w; dx++) {
+                slots.push([cell.position[0] + dx, cell.position[1] + dy, cell.position[2] + dz]);
+            }
+        }
+    }
+    return slots;
+}
+
+function isPositiveInteger(v) {
+    return Number.isInteger(v) && v > 0;
+}
+
+function isIntegerTriple(v) {
+    return Array.isArray(v) && v.length === 3 && v.every(Number.isInteger);
+}
+
+function isOptionIdType(id) {
+    return typeof id === 'number' || typeof id === 'string';
+}
+
+// Strict: ids must match the registry exactly ("10" is not 10)
+function isKnownOption(id, registry) {
+    return isOptionIdType(id) && registry.has(id);
+}